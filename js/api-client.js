@@ -0,0 +1,487 @@
+// ===============================================
+// API CLIENT - Accesso unificato al backend
+// Da includere dopo credential-manager.js e prima degli script di pagina
+// ===============================================
+
+const ApiClient = {
+    // Chiavi per localStorage
+    STORAGE_KEYS: {
+        ENVIRONMENT: 'api_environment',
+        CUSTOM_URLS: 'api_custom_urls'
+    },
+
+    // Base URL per servizio, per ogni ambiente.
+    // api    -> feweb-tunnel (portafoglio, trade, strumenti, prezzi...)
+    // market -> market-tunnel (mercato, statistiche, log)
+    // auth   -> user-tunnel (login, aggiornamento profilo)
+    // signup -> new-user-tunnel (registrazione)
+    ENVIRONMENTS: {
+        production: {
+            api: 'https://feweb-tunnel.fe-web.eu',
+            market: 'https://market-tunnel.fe-web.eu',
+            auth: 'https://user-tunnel.fe-web.eu',
+            signup: 'https://new-user-tunnel.fe-web.eu'
+        },
+        local: {
+            api: 'http://localhost:8080',
+            market: 'http://localhost:8080',
+            auth: 'http://localhost:8080',
+            signup: 'http://localhost:8080'
+        }
+    },
+
+    DEFAULT_ENVIRONMENT: 'production',
+    DEFAULT_TIMEOUT: 30000,
+    DEFAULT_RETRIES: 2,
+    RETRY_DELAY: 800,
+
+    /**
+     * Restituisce il nome dell'ambiente attivo con priorità:
+     * 1. URL parameter `api_env` (viene anche salvato nel localStorage)
+     * 2. sessionStorage (ambiente del profilo attivo nella scheda)
+     * 3. localStorage
+     * 4. DEFAULT_ENVIRONMENT
+     */
+    getEnvironment() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const fromUrl = urlParams.get('api_env');
+        if (fromUrl) {
+            localStorage.setItem(this.STORAGE_KEYS.ENVIRONMENT, fromUrl);
+            return fromUrl;
+        }
+        return sessionStorage.getItem(this.STORAGE_KEYS.ENVIRONMENT) ||
+            localStorage.getItem(this.STORAGE_KEYS.ENVIRONMENT) || this.DEFAULT_ENVIRONMENT;
+    },
+
+    /**
+     * Imposta l'ambiente solo per la scheda corrente (usato dai profili di CredentialsManager)
+     */
+    setTabEnvironment(name) {
+        sessionStorage.setItem(this.STORAGE_KEYS.ENVIRONMENT, name);
+    },
+
+    /**
+     * Imposta l'ambiente attivo. Con `urls` registra (o aggiorna) un ambiente
+     * personalizzato, es. setEnvironment('staging', { api: 'https://...' }).
+     * I servizi non indicati ereditano gli URL di produzione.
+     */
+    setEnvironment(name, urls = null) {
+        if (urls) {
+            const custom = this.getCustomEnvironments();
+            custom[name] = { ...this.ENVIRONMENTS.production, ...urls };
+            localStorage.setItem(this.STORAGE_KEYS.CUSTOM_URLS, JSON.stringify(custom));
+        }
+        localStorage.setItem(this.STORAGE_KEYS.ENVIRONMENT, name);
+        // Se la scheda ha un ambiente proprio, la scelta esplicita vale anche qui
+        if (sessionStorage.getItem(this.STORAGE_KEYS.ENVIRONMENT)) this.setTabEnvironment(name);
+    },
+
+    /**
+     * Ambienti personalizzati salvati nel localStorage
+     */
+    getCustomEnvironments() {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_KEYS.CUSTOM_URLS) || '{}') || {};
+        } catch (e) {
+            console.warn('ApiClient: invalid custom environments, ignored');
+            return {};
+        }
+    },
+
+    /**
+     * Elenco di tutti gli ambienti disponibili (predefiniti + personalizzati)
+     */
+    listEnvironments() {
+        return { ...this.ENVIRONMENTS, ...this.getCustomEnvironments() };
+    },
+
+    /**
+     * Restituisce il base URL del servizio per l'ambiente attivo.
+     * `window.FINEST_API_CONFIG` (se definito prima dello script) ha la precedenza.
+     */
+    getBaseUrl(service = 'api') {
+        const override = window.FINEST_API_CONFIG && window.FINEST_API_CONFIG[service];
+        if (override) return override.replace(/\/+$/, '');
+
+        const environments = this.listEnvironments();
+        const env = environments[this.getEnvironment()] || environments[this.DEFAULT_ENVIRONMENT];
+        const url = env[service] || this.ENVIRONMENTS.production[service];
+        return (url || '').replace(/\/+$/, '');
+    },
+
+    /**
+     * Costruisce il payload standard { username, token, language, ...extra }
+     */
+    buildPayload(extra = {}, credentials = null) {
+        const creds = credentials || CredentialsManager.getCredentials();
+        return {
+            username: creds.username || '',
+            token: creds.token || '',
+            language: creds.language || '',
+            ...extra
+        };
+    },
+
+    /**
+     * Normalizza il corpo della risposta nel formato { status, msg, data }.
+     * Se il backend non usa `data`, l'intero corpo viene restituito in `data`
+     * così da non perdere chiavi come `trade`, `classification`, `pdf_data`.
+     * Il corpo originale resta comunque disponibile in `raw`.
+     */
+    normalizeResponse(body, httpStatus) {
+        if (body && typeof body === 'object' && !Array.isArray(body) && 'status' in body) {
+            return {
+                status: body.status,
+                msg: body.msg || (typeof body.detail === 'string' ? body.detail : ''),
+                data: body.data !== undefined ? body.data : body,
+                raw: body,
+                httpStatus
+            };
+        }
+        return { status: 'ok', msg: '', data: body, raw: body, httpStatus };
+    },
+
+    /**
+     * Esegue una chiamata POST verso un endpoint del backend.
+     *
+     * @param {string} endpoint - Nome dell'endpoint (es. 'getportfolio')
+     * @param {Object|FormData} extra - Campi aggiuntivi del payload, oppure un FormData
+     * @param {Object} options
+     * @param {string} options.service - Servizio ('api', 'market', 'auth', 'signup')
+     * @param {number} options.timeout - Timeout in millisecondi
+     * @param {number} options.retries - Numero di tentativi aggiuntivi su errore di rete/5xx
+     * @param {boolean} options.auth - Se false non aggiunge le credenziali al payload
+     * @param {boolean} options.raw - Se true restituisce la Response senza leggerne il corpo
+     * @param {Object} options.credentials - Credenziali da usare al posto di quelle correnti
+     * @param {boolean} options.handleAuth - Se false non reindirizza al login su sessione scaduta
+     * @param {string} options.method - 'POST' (default) oppure 'GET': in GET `extra` va nella query string
+     * @param {string} options.mode - Modalità della fetch (es. 'no-cors' per i controlli di raggiungibilità)
+     * @param {string} options.cache - Politica di cache della fetch (es. 'no-cache')
+     * @returns {Promise<{status: string, msg: string, data: *, raw: *, httpStatus: number}>}
+     */
+    async request(endpoint, extra = {}, options = {}) {
+        const {
+            service = 'api',
+            timeout = this.DEFAULT_TIMEOUT,
+            retries = this.isIdempotent(endpoint) ? this.DEFAULT_RETRIES : 0,
+            auth = true,
+            raw = false,
+            credentials = null,
+            handleAuth = auth,
+            method = 'POST',
+            mode = 'cors',
+            cache = 'default'
+        } = options;
+
+        let url = `${this.getBaseUrl(service)}/${endpoint}`;
+        const isFormData = typeof FormData !== 'undefined' && extra instanceof FormData;
+
+        let body;
+        const headers = {};
+        if (method === 'GET') {
+            const query = new URLSearchParams(auth ? this.buildPayload(extra, credentials) : extra).toString();
+            if (query) url += `?${query}`;
+        } else if (isFormData) {
+            body = extra;
+            if (auth) {
+                const creds = credentials || CredentialsManager.getCredentials();
+                ['username', 'token', 'language'].forEach(key => {
+                    if (!body.has(key)) body.append(key, creds[key] || '');
+                });
+            }
+        } else {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(auth ? this.buildPayload(extra, credentials) : extra);
+        }
+
+        let lastError = null;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.RETRY_DELAY * attempt));
+                console.warn(`ApiClient: retry ${attempt}/${retries} for /${endpoint}`);
+            }
+
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeout);
+
+            try {
+                const response = await fetch(url, {
+                    method,
+                    headers,
+                    body,
+                    mode,
+                    cache,
+                    signal: controller.signal
+                });
+                clearTimeout(timer);
+
+                if (handleAuth && CredentialsManager.isAuthError(response.status)) {
+                    CredentialsManager.handleAuthFailure();
+                    return { status: 'error', msg: 'Session expired', data: null, httpStatus: response.status, authError: true };
+                }
+
+                if (raw) return response;
+
+                if (!response.ok) {
+                    const text = await response.text().catch(() => '');
+                    lastError = { status: 'error', msg: this.errorMessage(response.status, text), data: null, httpStatus: response.status };
+                    if (response.status >= 500 && attempt < retries) continue;
+                    return lastError;
+                }
+
+                const contentType = response.headers.get('content-type') || '';
+                const parsed = contentType.includes('application/json') ? await response.json() : await response.text();
+                const result = this.normalizeResponse(parsed, response.status);
+                if (handleAuth && CredentialsManager.isAuthError(response.status, result)) {
+                    CredentialsManager.handleAuthFailure();
+                    result.authError = true;
+                }
+                return result;
+            } catch (error) {
+                clearTimeout(timer);
+                const isTimeout = error.name === 'AbortError';
+                lastError = {
+                    status: 'error',
+                    msg: isTimeout ? `Timeout after ${timeout}ms` : (error.message || 'Network error'),
+                    data: null,
+                    httpStatus: 0
+                };
+                console.error(`ApiClient: /${endpoint} failed:`, lastError.msg);
+            }
+        }
+
+        return lastError;
+    },
+
+    /**
+     * Messaggio per una risposta non 2xx: `msg` o `detail` del corpo JSON
+     * se presenti (il servizio auth risponde così sugli errori di validazione)
+     */
+    errorMessage(httpStatus, text) {
+        try {
+            const body = JSON.parse(text);
+            const detail = body && (body.msg || body.detail);
+            if (typeof detail === 'string' && detail) return detail;
+        } catch (e) {
+            // Corpo non JSON: si usa il testo così com'è
+        }
+        return `HTTP ${httpStatus}${text ? ': ' + text : ''}`;
+    },
+
+    /**
+     * Le sole letture vengono ripetute automaticamente in caso di errore
+     */
+    isIdempotent(endpoint) {
+        return /^(get|download|health)/.test(endpoint);
+    },
+
+    // ========== PORTAFOGLIO ==========
+    getPortfolio(extra = {}) {
+        return this.request('getportfolio', { filter: '', code: '', ...extra });
+    },
+    getPortfolioOnline(extra = {}) {
+        return this.request('getportfolioonline', { filter: '', code: '', ...extra });
+    },
+    getPortfolioYield(extra = {}) {
+        return this.request('getportfolioyield', { filter: '', code: '', ...extra });
+    },
+    getTrend(extra = {}) {
+        return this.request('gettrend', extra);
+    },
+    getReport(extra = {}) {
+        return this.request('getreport', { code: '', ...extra });
+    },
+
+    // ========== TRADE ==========
+    getTrade(code, extra = {}) {
+        return this.request('gettrade', { code, ...extra });
+    },
+    getTradeYield(extra = {}) {
+        return this.request('gettradeyield', extra);
+    },
+    putTrade(trade) {
+        return this.request('puttrade', { trade });
+    },
+    delTrade(trade) {
+        return this.request('deltrade', { trade });
+    },
+
+    // ========== STRUMENTI E PREZZI ==========
+    getInstruments(instrument = {}) {
+        return this.request('getinstruments', { instrument });
+    },
+    putInstrument(instrument) {
+        return this.request('putinstrument', { instrument });
+    },
+    downloadInstrument(extra = {}) {
+        return this.request('downloadinstrument', extra);
+    },
+    getPrices(extra = {}) {
+        return this.request('getprices', extra);
+    },
+    putPrice(price) {
+        return this.request('putprice', { price: typeof price === 'string' ? price : JSON.stringify(price) });
+    },
+    downloadPrice(extra = {}) {
+        return this.request('downloadprice', extra);
+    },
+
+    // ========== ANAGRAFICHE E CONTI ==========
+    getAccounts(account = '') {
+        return this.request('getaccounts', { account });
+    },
+    putAccount(extra = {}) {
+        return this.request('putaccount', extra);
+    },
+    getRegistries(extra = {}) {
+        return this.request('getregistries', extra);
+    },
+    putRegistry(extra = {}) {
+        return this.request('putregistry', extra);
+    },
+
+    // ========== STORICO ==========
+    // Versioni di un record registrate con insert_scd (table: 'trade', 'instrument', 'registry')
+    getHistory(table, id, extra = {}) {
+        return this.request('gethistory', { table, id, ...extra });
+    },
+
+    // ========== FILTRI ==========
+    getFilter(extra = {}) {
+        const creds = CredentialsManager.getCredentials();
+        return this.request('getfilter', { filter: creds.filter || '', code: '', ...extra });
+    },
+    putFilter(extra = {}, options = {}) {
+        return this.request('putfilter', extra, options);
+    },
+
+    // ========== DATABASE ==========
+    importData(formData) {
+        return this.request('importdata', formData, { timeout: 300000 });
+    },
+    exportData(extra = {}) {
+        return this.request('exportdata', { filter: null, ...extra }, { raw: true, timeout: 300000 });
+    },
+    downloadData(extra = {}) {
+        return this.request('downloaddata', extra, { raw: true, timeout: 300000 });
+    },
+    importAll(extra = {}) {
+        return this.request('importall', extra, { timeout: 300000 });
+    },
+
+    // ========== MERCATO E LOG ==========
+    getMarket(extra = {}) {
+        return this.request('getmarket', extra, { service: 'market' });
+    },
+    getLogList() {
+        return this.request('getloglist', {}, { service: 'market' });
+    },
+    getLogFile(filename) {
+        return this.request('getlogfile', { filename }, { service: 'market' });
+    },
+
+    // ========== RICHIESTE ==========
+    getRequestTemplates() {
+        return this.request('getrequesttemplates', {}, { method: 'GET', auth: false });
+    },
+    getRequestTemplate(template) {
+        return this.request('getrequesttemplate', { template }, { method: 'GET', auth: false });
+    },
+    putRequest(extra = {}, service = 'api') {
+        return this.request('putrequest', extra, { service });
+    },
+
+    // ========== STATO DEI SERVIZI ==========
+    /**
+     * GET /health del servizio. Restituisce la Response (oppure l'oggetto
+     * d'errore se il servizio non è raggiungibile). Con `opaque` la fetch usa
+     * mode 'no-cors': un 502 del reverse proxy senza header CORS non la fa
+     * fallire, solo un tunnel completamente giù.
+     */
+    health(service = 'api', { opaque = false, timeout = 10000 } = {}) {
+        return this.request('health', {}, {
+            service,
+            method: 'GET',
+            auth: false,
+            raw: true,
+            timeout,
+            mode: opaque ? 'no-cors' : 'cors',
+            cache: 'no-cache'
+        });
+    },
+
+    // ========== UTENTE (servizi auth e signup) ==========
+    // Le credenziali (username/password) sono nel payload: niente token
+    login(extra) {
+        return this.request('login', extra, { service: 'auth', auth: false });
+    },
+    createUser(extra) {
+        return this.request('create', extra, { service: 'signup', auth: false });
+    },
+    updateUser(extra) {
+        return this.request('update', extra, { service: 'auth', auth: false });
+    },
+    checkPassword(extra) {
+        return this.request('checkpassword', extra, { service: 'auth', auth: false });
+    },
+    changePassword(extra) {
+        return this.request('changepassword', extra, { service: 'auth', auth: false });
+    },
+    sendMailToken(extra) {
+        return this.request('sendmailtoken', extra, { service: 'auth', auth: false });
+    },
+    checkChangePassword(extra) {
+        return this.request('checkchangepassword', extra, { service: 'auth', auth: false });
+    },
+    changeEmail(extra) {
+        return this.request('changeemail', extra, { service: 'auth', auth: false });
+    },
+    changeCurrency(extra) {
+        return this.request('changecurrency', extra, { service: 'auth', auth: false });
+    },
+    changeLanguage(extra) {
+        return this.request('changelanguage', extra, { service: 'auth', auth: false });
+    },
+    changeTimezone(extra) {
+        return this.request('changetimezone', extra, { service: 'auth', auth: false });
+    },
+
+    // ========== SESSIONE ==========
+    logout() {
+        return this.request('logout', {}, { retries: 0 });
+    }
+};
+
+// Rendi disponibile globalmente
+window.ApiClient = ApiClient;
+
+
+// ===============================================
+// ESEMPI DI UTILIZZO
+// ===============================================
+
+/*
+
+// === ESEMPIO 1: Lettura portafoglio ===
+const result = await ApiClient.getPortfolio();
+if (result.status === 'ok') {
+    renderPortfolio(result.data.portfolio);
+} else {
+    showMessage(result.msg, 'error');
+}
+
+
+// === ESEMPIO 2: Puntare l'app su staging o su un mock locale ===
+ApiClient.setEnvironment('staging', {
+    api: 'https://staging-feweb.example',
+    market: 'https://staging-market.example'
+});
+ApiClient.setEnvironment('local');          // http://localhost:8080
+ApiClient.setEnvironment('production');     // default
+// oppure una tantum dall'URL: dashboard.html?api_env=local
+
+
+// === ESEMPIO 3: Endpoint non ancora mappato ===
+const res = await ApiClient.request('getsomething', { code: 'ABC' }, { timeout: 10000 });
+
+*/
@@ -0,0 +1,590 @@
+// ===============================================
+// BENCHMARK - Confronto con strumenti e indici di riferimento
+// Carica le quotazioni dei benchmark scelti (getinstruments / getprices), le ribasa a 100
+// all'inizio dell'intervallo del grafico, costruisce un benchmark composito a pesi
+// (es. 60% indice azionario / 40% indice obbligazionario) e calcola performance relativa,
+// tracking error e beta della serie del grafico rispetto a ciascun benchmark.
+// Da includere dopo api-client.js, locale-formatter.js e performance-engine.js.
+// ===============================================
+
+const Benchmark = {
+    STORAGE_KEY: 'benchmarkSelection',
+    BASE: 100,
+    // Rendimenti di periodo minimi per tracking error e beta
+    MIN_OBSERVATIONS: 3,
+    COLORS: ['#8e24aa', '#ef6c00', '#3949ab', '#00897b', '#6d4c41', '#c2185b'],
+    COMPOSITE_ID: '__composite__',
+    COMPOSITE_COLOR: '#212121',
+
+    instrumentsCache: null,
+    seriesCache: {},
+
+    // ========== SELEZIONE ==========
+
+    /**
+     * Legge una selezione nel formato "FTSEMIB:60,AGG:40" (peso facoltativo, in percentuale).
+     * @returns {Array} [{ id_instrument, weight }]
+     */
+    parseSelection(text) {
+        return String(text || '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const idx = part.lastIndexOf(':');
+            const weight = idx > 0 ? parseFloat(part.slice(idx + 1)) : NaN;
+            return {
+                id_instrument: isFinite(weight) ? part.slice(0, idx).trim() : part,
+                weight: isFinite(weight) ? weight : null
+            };
+        });
+    },
+
+    formatSelection(items) {
+        return items.map(item => item.weight === null ? item.id_instrument : `${item.id_instrument}:${item.weight}`).join(',');
+    },
+
+    // Selezione dal parametro URL "benchmark" (composito con "benchmark_composite=1"), altrimenti l'ultima usata
+    loadSelection(urlParams) {
+        const param = urlParams ? urlParams.get('benchmark') : null;
+        if (param !== null) {
+            return { items: this.parseSelection(param), composite: urlParams.get('benchmark_composite') === '1' };
+        }
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+            if (saved && Array.isArray(saved.items)) return { items: saved.items, composite: !!saved.composite };
+        } catch (e) {
+            console.warn('Benchmark: invalid saved selection', e);
+        }
+        return { items: [], composite: false };
+    },
+
+    saveSelection(selection) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(selection));
+    },
+
+    // Pesi normalizzati a 1; gli strumenti senza peso valgono 0, se nessuno ha un peso si ripartisce in parti uguali
+    normaliseWeights(items) {
+        const given = items.map(item => (item.weight > 0 ? item.weight : 0));
+        const total = given.reduce((a, b) => a + b, 0);
+        return total > 0 ? given.map(w => w / total) : items.map(() => 1 / items.length);
+    },
+
+    // "FTSEMIB - FTSE MIB Index" se l'anagrafica è disponibile
+    describe(idInstrument) {
+        const instrument = this.instrumentsCache && this.instrumentsCache[idInstrument];
+        return instrument && instrument.instrument_description ? `${idInstrument} - ${instrument.instrument_description}` : idInstrument;
+    },
+
+    // ========== DATI ==========
+
+    async loadInstruments() {
+        if (this.instrumentsCache) return this.instrumentsCache;
+        const result = await ApiClient.getInstruments();
+        if (result.authError) return {};
+        this.instrumentsCache = result.status === 'ok' && result.data && typeof result.data === 'object' ? result.data : {};
+        return this.instrumentsCache;
+    },
+
+    /**
+     * Quotazioni di un benchmark nell'intervallo, nella valuta richiesta.
+     * @returns {Promise<Object|null>} { id_instrument, prices: [{ day, price }] } o null se non disponibili
+     */
+    async loadSeries(idInstrument, { currency = '', dateStart = '', dateEnd = '' } = {}) {
+        const cacheKey = [idInstrument, currency, dateStart, dateEnd].join('|');
+        if (this.seriesCache[cacheKey]) return this.seriesCache[cacheKey];
+
+        const result = await ApiClient.getPrices({
+            currency: currency,
+            instrument: {
+                id_instrument: idInstrument,
+                date_start: dateStart,
+                date_end: dateEnd
+            }
+        });
+        if (result.authError) return null;
+
+        const prices = PerformanceEngine.priceList(PerformanceEngine.priceRows(result.raw), currency);
+        if (!prices.length) return null;
+        return (this.seriesCache[cacheKey] = { id_instrument: idInstrument, prices });
+    },
+
+    /**
+     * Carica tutti i benchmark della selezione.
+     * @returns {Promise<Object>} { id_instrument: serie | null }
+     */
+    async loadAll(selection, options) {
+        const list = await Promise.all(selection.items.map(item =>
+            this.loadSeries(item.id_instrument, options).catch(error => {
+                console.error(`Benchmark ${item.id_instrument}:`, error);
+                return null;
+            })
+        ));
+        const map = {};
+        selection.items.forEach((item, i) => { map[item.id_instrument] = list[i]; });
+        return map;
+    },
+
+    // ========== CALCOLI ==========
+
+    // Livelli ribasati a BASE sul primo valore disponibile (null dove manca il dato)
+    rebaseValues(values) {
+        const valid = v => v !== null && v !== undefined && isFinite(v);
+        const first = values.find(v => valid(v) && v !== 0);
+        return values.map(v => (first === undefined || !valid(v)) ? null : v / first * this.BASE);
+    },
+
+    // Quotazioni sui giorni del grafico (ultimo prezzo noto a quella data), ribasate
+    rebase(series, days) {
+        return this.rebaseValues(days.map(day => day ? PerformanceEngine.priceAt(series, day) : null));
+    },
+
+    /**
+     * Benchmark composito a pesi costanti, ribilanciato a ogni punto: il rendimento di periodo
+     * è la media pesata dei rendimenti dei componenti quotati in entrambi i punti.
+     * @param {Array} indexes - Serie ribasate dei componenti, allineate
+     * @param {Array} weights - Pesi normalizzati
+     */
+    composite(indexes, weights) {
+        const length = indexes.length ? indexes[0].length : 0;
+        const result = [];
+        let level = null;
+        for (let t = 0; t < length; t++) {
+            if (level === null) {
+                if (indexes.some(index => index[t] !== null)) level = this.BASE;
+                result.push(level);
+                continue;
+            }
+            let rate = 0;
+            let weight = 0;
+            indexes.forEach((index, i) => {
+                if (index[t] === null || index[t - 1] === null) return;
+                rate += weights[i] * (index[t] / index[t - 1] - 1);
+                weight += weights[i];
+            });
+            if (weight > 0) level *= 1 + rate / weight;
+            result.push(level);
+        }
+        return result;
+    },
+
+    /**
+     * Linee da sovrapporre al grafico: una per benchmark e, se richiesto, il composito.
+     * @param {Object} selection - { items, composite }
+     * @param {Object} seriesMap - Risultato di loadAll
+     * @param {Array} days - Giorno (YYYY-MM-DD) di ogni punto dell'asse X
+     * @returns {Array} [{ id, label, color, data, composite }]
+     */
+    buildLines(selection, seriesMap, days, t = key => key) {
+        const components = [];
+        const lines = [];
+        selection.items.forEach((item, i) => {
+            const series = seriesMap[item.id_instrument];
+            if (!series) return;
+            const data = this.rebase(series, days);
+            components.push({ item, data });
+            lines.push({ id: item.id_instrument, label: this.describe(item.id_instrument), color: this.COLORS[i % this.COLORS.length], data, composite: false });
+        });
+
+        if (selection.composite && components.length > 1) {
+            const weights = this.normaliseWeights(components.map(c => c.item));
+            const parts = components.map((c, i) => `${Math.round(weights[i] * 100)}% ${c.item.id_instrument}`).join(' / ');
+            lines.push({
+                id: this.COMPOSITE_ID,
+                label: `${t('int.benchmark.composite')} (${parts})`,
+                color: this.COMPOSITE_COLOR,
+                data: this.composite(components.map(c => c.data), weights),
+                composite: true
+            });
+        }
+        return lines;
+    },
+
+    /**
+     * Performance relativa, tracking error (annualizzato) e beta della serie rispetto al benchmark.
+     * Si usano solo i punti in cui entrambe le serie hanno un valore.
+     * @param {Array} portfolio - Livelli della serie, allineati ai giorni
+     * @param {Array} benchmark - Livelli del benchmark, allineati ai giorni
+     * @param {Array} days - Giorni dei punti, per ricavare il numero di periodi per anno
+     * @returns {Object|null} { portfolioReturn, benchmarkReturn, relative, trackingError, beta, observations }
+     */
+    stats(portfolio, benchmark, days) {
+        const points = [];
+        portfolio.forEach((p, i) => {
+            const b = benchmark[i];
+            if (p !== null && p !== undefined && b !== null && b !== undefined && days[i]) points.push({ p, b, day: days[i] });
+        });
+        if (points.length < 2) return null;
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        const portfolioReturn = last.p / first.p - 1;
+        const benchmarkReturn = last.b / first.b - 1;
+        const result = {
+            portfolioReturn,
+            benchmarkReturn,
+            relative: (1 + portfolioReturn) / (1 + benchmarkReturn) - 1,
+            trackingError: null,
+            beta: null,
+            observations: points.length - 1
+        };
+
+        const rp = [];
+        const rb = [];
+        for (let i = 1; i < points.length; i++) {
+            rp.push(points[i].p / points[i - 1].p - 1);
+            rb.push(points[i].b / points[i - 1].b - 1);
+        }
+        const n = rp.length;
+        const span = PerformanceEngine.daysBetween(first.day, last.day);
+        if (n < this.MIN_OBSERVATIONS || span <= 0) return result;
+
+        const mean = list => list.reduce((a, b) => a + b, 0) / list.length;
+        const diff = rp.map((r, i) => r - rb[i]);
+        const meanDiff = mean(diff);
+        const meanP = mean(rp);
+        const meanB = mean(rb);
+        const varDiff = diff.reduce((s, d) => s + (d - meanDiff) ** 2, 0) / (n - 1);
+        const varB = rb.reduce((s, r) => s + (r - meanB) ** 2, 0) / (n - 1);
+        const cov = rp.reduce((s, r, i) => s + (r - meanP) * (rb[i] - meanB), 0) / (n - 1);
+
+        // Periodi per anno dalla distanza media tra i punti (giornaliero, mensile, ...)
+        const periodsPerYear = 365 * n / span;
+        result.trackingError = Math.sqrt(varDiff * periodsPerYear);
+        result.beta = varB > 0 ? cov / varB : null;
+        return result;
+    }
+};
+
+/**
+ * Selettore dei benchmark e tabella delle statistiche sotto il grafico
+ */
+class BenchmarkPanel {
+    /**
+     * @param {HTMLElement} pickerContainer - dove mostrare il selettore
+     * @param {HTMLElement} statsContainer - dove mostrare la tabella delle statistiche
+     * @param {Object} options
+     *   selection       selezione iniziale { items, composite }
+     *   getTranslation  funzione di traduzione della pagina
+     *   onChange        callback (selection) a ogni modifica della selezione
+     */
+    constructor(pickerContainer, statsContainer, options = {}) {
+        this.pickerContainer = pickerContainer;
+        this.statsContainer = statsContainer;
+        this.selection = options.selection || { items: [], composite: false };
+        this.t = options.getTranslation || (key => key);
+        this.onChange = options.onChange || (() => { });
+        this.instruments = {};
+
+        BenchmarkPanel.injectStyles();
+        this.render();
+    }
+
+    render() {
+        this.pickerContainer.innerHTML = `
+            <div class="benchmark-picker">
+                <button type="button" class="benchmark-toggle">
+                    <i class="fas fa-scale-balanced"></i> <span>${this.t('int.benchmark')}</span>
+                    <span class="benchmark-count"></span>
+                </button>
+                <div class="benchmark-dropdown">
+                    <div class="benchmark-add">
+                        <input type="text" class="benchmark-input" list="benchmark-instruments" autocomplete="off"
+                               placeholder="${this.t('int.search.instrument')}">
+                        <input type="number" class="benchmark-weight" min="0" max="100" step="1" placeholder="%"
+                               title="${this.t('int.benchmark.weight')}">
+                        <button type="button" class="benchmark-add-btn" title="${this.t('int.benchmark.add')}"><i class="fas fa-plus"></i></button>
+                    </div>
+                    <datalist id="benchmark-instruments"></datalist>
+                    <ul class="benchmark-list"></ul>
+                    <label class="benchmark-composite">
+                        <input type="checkbox"> ${this.t('int.benchmark.composite')}
+                    </label>
+                </div>
+            </div>
+        `;
+
+        const root = this.pickerContainer.querySelector('.benchmark-picker');
+        this.nodes = {
+            root,
+            dropdown: root.querySelector('.benchmark-dropdown'),
+            count: root.querySelector('.benchmark-count'),
+            input: root.querySelector('.benchmark-input'),
+            weight: root.querySelector('.benchmark-weight'),
+            datalist: root.querySelector('datalist'),
+            list: root.querySelector('.benchmark-list'),
+            composite: root.querySelector('.benchmark-composite input')
+        };
+
+        root.querySelector('.benchmark-toggle').addEventListener('click', () => root.classList.toggle('open'));
+        document.addEventListener('click', (e) => {
+            if (!root.contains(e.target)) root.classList.remove('open');
+        });
+        root.querySelector('.benchmark-add-btn').addEventListener('click', () => this.add());
+        [this.nodes.input, this.nodes.weight].forEach(input => input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.add();
+            }
+        }));
+        this.nodes.composite.addEventListener('change', () => {
+            this.selection.composite = this.nodes.composite.checked;
+            this.emit();
+        });
+
+        this.renderList();
+    }
+
+    setInstruments(instruments) {
+        this.instruments = instruments || {};
+        this.nodes.datalist.innerHTML = '';
+        Object.entries(this.instruments).forEach(([id, data]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = data.instrument_description || '';
+            this.nodes.datalist.appendChild(option);
+        });
+        this.renderList();
+    }
+
+    add() {
+        // "ID - descrizione" incollato dal selettore strumenti: conta solo il codice
+        const id = this.nodes.input.value.split(' - ')[0].trim();
+        if (!id) return;
+        const known = Object.keys(this.instruments).length === 0 || this.instruments[id];
+        this.nodes.input.classList.toggle('invalid', !known);
+        if (!known || this.selection.items.some(item => item.id_instrument === id)) return;
+
+        const weight = parseFloat(this.nodes.weight.value);
+        this.selection.items.push({ id_instrument: id, weight: isFinite(weight) ? weight : null });
+        this.nodes.input.value = '';
+        this.nodes.weight.value = '';
+        this.renderList();
+        this.emit();
+    }
+
+    remove(id) {
+        this.selection.items = this.selection.items.filter(item => item.id_instrument !== id);
+        this.renderList();
+        this.emit();
+    }
+
+    renderList() {
+        const items = this.selection.items;
+        this.nodes.count.textContent = items.length ? `(${items.length})` : '';
+        this.nodes.composite.checked = !!this.selection.composite;
+        this.nodes.composite.disabled = items.length < 2;
+
+        this.nodes.list.innerHTML = '';
+        items.forEach(item => {
+            const li = document.createElement('li');
+            const label = document.createElement('span');
+            label.className = 'benchmark-label';
+            label.textContent = Benchmark.describe(item.id_instrument);
+
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.className = 'benchmark-weight';
+            weight.min = '0';
+            weight.max = '100';
+            weight.step = '1';
+            weight.placeholder = '%';
+            weight.title = this.t('int.benchmark.weight');
+            weight.value = item.weight === null ? '' : item.weight;
+            weight.addEventListener('change', () => {
+                const value = parseFloat(weight.value);
+                item.weight = isFinite(value) ? value : null;
+                this.emit();
+            });
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'benchmark-remove';
+            remove.innerHTML = '<i class="fas fa-times"></i>';
+            remove.addEventListener('click', () => this.remove(item.id_instrument));
+
+            li.append(label, weight, remove);
+            this.nodes.list.appendChild(li);
+        });
+    }
+
+    emit() {
+        Benchmark.saveSelection(this.selection);
+        this.onChange(this.selection);
+    }
+
+    /**
+     * Tabella delle statistiche della serie rispetto a ogni linea di benchmark.
+     * @param {string} seriesLabel - Nome della serie confrontata
+     * @param {Array|null} seriesIndex - Livelli della serie (null: si mostrano solo i rendimenti dei benchmark)
+     * @param {Array} lines - Risultato di Benchmark.buildLines
+     * @param {Array} days - Giorni dei punti
+     */
+    renderStats(seriesLabel, seriesIndex, lines, days) {
+        const container = this.statsContainer;
+        container.innerHTML = '';
+        container.style.display = lines.length ? '' : 'none';
+        if (!lines.length) return;
+
+        const table = document.createElement('table');
+        table.className = 'benchmark-stats-table';
+        const headers = [
+            this.t('int.benchmark'),
+            this.t('int.benchmark.return'),
+            seriesLabel || '-',
+            this.t('int.benchmark.relative'),
+            this.t('int.benchmark.tracking.error'),
+            this.t('int.benchmark.beta')
+        ];
+        const thead = table.createTHead().insertRow();
+        headers.forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            thead.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        lines.forEach(line => {
+            const stats = seriesIndex ? Benchmark.stats(seriesIndex, line.data, days) : null;
+            const levels = line.data.filter(v => v !== null);
+            const tr = tbody.insertRow();
+
+            const name = tr.insertCell();
+            name.innerHTML = `<span class="benchmark-swatch" style="background:${line.color}"></span>`;
+            name.appendChild(document.createTextNode(line.label));
+
+            const percent = (value) => {
+                const td = tr.insertCell();
+                if (value === null || value === undefined) td.textContent = '-';
+                else LocaleFormatter.formatCell(td, value * 100, { type: 'percent', colorize: 'sign' });
+            };
+            percent(levels.length > 1 ? levels[levels.length - 1] / levels[0] - 1 : null);
+            percent(stats ? stats.portfolioReturn : null);
+            percent(stats ? stats.relative : null);
+            percent(stats ? stats.trackingError : null);
+
+            const beta = tr.insertCell();
+            if (stats && stats.beta !== null) LocaleFormatter.formatCell(beta, stats.beta, { decimals: 2, colorize: false });
+            else beta.textContent = '-';
+        });
+
+        container.appendChild(table);
+    }
+
+    static injectStyles() {
+        if (document.getElementById('benchmark-styles')) return;
+
+        const css = `
+            .benchmark-picker {
+                position: relative;
+            }
+            .benchmark-toggle {
+                padding: 8px 12px;
+                border: 1px solid #ccc;
+                border-radius: 4px;
+                background: #fff;
+                cursor: pointer;
+                font-family: inherit;
+            }
+            .benchmark-dropdown {
+                display: none;
+                position: absolute;
+                right: 0;
+                top: 100%;
+                margin-top: 4px;
+                z-index: 1000;
+                min-width: 340px;
+                background: #fff;
+                border: 1px solid #ddd;
+                border-radius: 6px;
+                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+                padding: 10px;
+                color: #1a1a1a;
+                font-size: 13px;
+            }
+            .benchmark-picker.open .benchmark-dropdown {
+                display: block;
+            }
+            .benchmark-add,
+            .benchmark-list li {
+                display: flex;
+                gap: 6px;
+                align-items: center;
+            }
+            .benchmark-input {
+                flex: 1;
+                padding: 5px 8px;
+                border: 1px solid #ccc;
+                border-radius: 4px;
+            }
+            .benchmark-input.invalid {
+                border-color: #c62828;
+            }
+            .benchmark-weight {
+                width: 60px;
+                padding: 5px;
+                border: 1px solid #ccc;
+                border-radius: 4px;
+                text-align: right;
+            }
+            .benchmark-add-btn,
+            .benchmark-remove {
+                border: 1px solid #ccc;
+                background: #fff;
+                border-radius: 4px;
+                padding: 4px 8px;
+                cursor: pointer;
+            }
+            .benchmark-list {
+                list-style: none;
+                margin: 8px 0;
+                padding: 0;
+            }
+            .benchmark-list li {
+                padding: 4px 0;
+                border-bottom: 1px solid #f0f0f0;
+            }
+            .benchmark-label {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .benchmark-composite {
+                display: flex;
+                gap: 6px;
+                align-items: center;
+                cursor: pointer;
+            }
+            .benchmark-stats-table {
+                width: 100%;
+                border-collapse: collapse;
+                background: #fff;
+                font-size: 12px;
+                margin-top: 8px;
+            }
+            .benchmark-stats-table th,
+            .benchmark-stats-table td {
+                padding: 4px 8px;
+                border-bottom: 1px solid #eee;
+                text-align: right;
+            }
+            .benchmark-stats-table th:first-child,
+            .benchmark-stats-table td:first-child {
+                text-align: left;
+            }
+            .benchmark-swatch {
+                display: inline-block;
+                width: 10px;
+                height: 10px;
+                border-radius: 2px;
+                margin-right: 6px;
+            }
+        `;
+
+        const style = document.createElement('style');
+        style.id = 'benchmark-styles';
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
+}
+
+// Esporta globalmente
+window.Benchmark = Benchmark;
+window.BenchmarkPanel = BenchmarkPanel;
@@ -12,61 +12,308 @@ const CredentialsManager = {
         FILTER: 'filter'
     },
 
+    // Profili salvati fianco a fianco (localStorage) e profilo attivo della scheda (sessionStorage)
+    PROFILES_KEY: 'credential_profiles',
+    ACTIVE_PROFILE_KEY: 'active_profile',
+
+    // Passaggio credenziali alle finestre figlie tramite nonce monouso
+    HANDOFF_PARAM: 'handoff',
+    HANDOFF_PREFIX: 'handoff:',
+    HANDOFF_TTL: 60000,
+
+    // Modalità legacy: username e token nella query string (solo su richiesta esplicita,
+    // impostando CredentialsManager.LEGACY_URL_CREDENTIALS = true o
+    // localStorage 'legacy_url_credentials' = 'true')
+    LEGACY_URL_CREDENTIALS: false,
+
     /**
      * Recupera le credenziali con priorità:
-     * 1. URL parameters (più alta priorità)
-     * 2. localStorage (fallback)
-     * 3. Valori di default
+     * 1. Handoff dalla finestra che ha aperto la pagina (parametro `handoff`)
+     * 2. URL parameters (link legacy, vengono rimossi dalla barra degli indirizzi)
+     * 3. sessionStorage della scheda (profilo scelto in questa scheda)
+     * 4. localStorage (fallback, ultima sessione usata)
+     * 5. Valori di default
      */
     getCredentials() {
         const urlParams = new URLSearchParams(window.location.search);
+        const handoff = this.consumeHandoff(urlParams);
+        const store = this.getStore();
 
         const credentials = {
-            username: urlParams.get('username') ||
-                localStorage.getItem(this.STORAGE_KEYS.USERNAME) || '',
-            token: urlParams.get('token') ||
-                localStorage.getItem(this.STORAGE_KEYS.TOKEN) || '',
-            language: urlParams.get('language') ||
-                localStorage.getItem(this.STORAGE_KEYS.LANGUAGE) || 'it_IT',
-            filter: urlParams.get('filter') ||
-                localStorage.getItem(this.STORAGE_KEYS.FILTER) || ''
+            username: (handoff && handoff.username) || urlParams.get('username') ||
+                store.getItem(this.STORAGE_KEYS.USERNAME) || '',
+            token: (handoff && handoff.token) || urlParams.get('token') ||
+                store.getItem(this.STORAGE_KEYS.TOKEN) || '',
+            language: urlParams.get('language') || (handoff && handoff.language) ||
+                store.getItem(this.STORAGE_KEYS.LANGUAGE) || 'it_IT',
+            filter: urlParams.get('filter') || (handoff && handoff.filter) ||
+                store.getItem(this.STORAGE_KEYS.FILTER) || ''
         };
 
-        // Se le credenziali sono presenti nell'URL, aggiorna anche il localStorage
-        if (urlParams.has('username') || urlParams.has('token')) {
+        const source = handoff ? 'handoff' : (urlParams.has('token') ? 'URL' :
+            (store === sessionStorage ? 'sessionStorage' : 'localStorage'));
+
+        // Se le credenziali arrivano da handoff o URL, aggiorna anche lo storage
+        if (handoff || urlParams.has('username') || urlParams.has('token')) {
             this.saveCredentials(credentials);
+            this.scrubUrl(['username', 'token', this.HANDOFF_PARAM]);
         }
 
-        // Log per debug (rimuovere in produzione)
-        console.log('=== CREDENTIALS LOADED ===');
-        console.log('Source:', urlParams.has('username') ? 'URL' : 'localStorage');
-        console.log('Username:', credentials.username);
-        console.log('Token:', credentials.token ? '***' + credentials.token.slice(-4) : 'missing');
-        console.log('Language:', credentials.language);
-        console.log('Filter:', credentials.filter);
-        console.log('========================');
+        // La finestra figlia eredita profilo e ambiente API della scheda che l'ha aperta
+        if (handoff) {
+            if (handoff.profile) sessionStorage.setItem(this.ACTIVE_PROFILE_KEY, handoff.profile);
+            if (handoff.environment && window.ApiClient) ApiClient.setTabEnvironment(handoff.environment);
+        }
+
+        // Log per debug: mai username o token in chiaro
+        console.log('Credentials loaded from', source, '- token', credentials.token ? 'present' : 'missing');
 
         return credentials;
     },
 
     /**
-     * Salva le credenziali nel localStorage
+     * Storage da cui leggere le credenziali: la sessionStorage se la scheda ha
+     * una sessione propria (profilo scelto o handoff), altrimenti il localStorage
      */
-    saveCredentials(credentials) {
-        if (credentials.username) {
-            localStorage.setItem(this.STORAGE_KEYS.USERNAME, credentials.username);
+    getStore() {
+        return sessionStorage.getItem(this.STORAGE_KEYS.TOKEN) !== null ? sessionStorage : localStorage;
+    },
+
+    /**
+     * Rimuove i parametri indicati dalla barra degli indirizzi senza ricaricare la pagina
+     */
+    scrubUrl(keys) {
+        const url = new URL(window.location.href);
+        let changed = false;
+        keys.forEach(key => {
+            if (url.searchParams.has(key)) {
+                url.searchParams.delete(key);
+                changed = true;
+            }
+        });
+        if (changed && window.history && window.history.replaceState) {
+            window.history.replaceState(window.history.state, '', url.pathname + url.search + url.hash);
         }
-        if (credentials.token) {
-            localStorage.setItem(this.STORAGE_KEYS.TOKEN, credentials.token);
+    },
+
+    /**
+     * Genera un nonce casuale per l'handoff
+     */
+    generateNonce() {
+        const bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * Deposita le credenziali per una finestra figlia e restituisce il nonce
+     * da passare nell'URL. Il nonce vale una sola volta e scade dopo HANDOFF_TTL.
+     */
+    createHandoff(credentials = null) {
+        const creds = credentials || this.getCredentials();
+        this.purgeExpiredHandoffs();
+
+        const nonce = this.generateNonce();
+        localStorage.setItem(this.HANDOFF_PREFIX + nonce, JSON.stringify({
+            credentials: {
+                username: creds.username || '',
+                token: creds.token || '',
+                language: creds.language || '',
+                filter: creds.filter || '',
+                profile: this.getActiveProfileName() || '',
+                environment: window.ApiClient ? ApiClient.getEnvironment() : ''
+            },
+            expires: Date.now() + this.HANDOFF_TTL
+        }));
+        return nonce;
+    },
+
+    /**
+     * Ritira le credenziali associate al nonce presente nell'URL (una sola volta)
+     */
+    consumeHandoff(urlParams = new URLSearchParams(window.location.search)) {
+        const nonce = urlParams.get(this.HANDOFF_PARAM);
+        if (!nonce) return null;
+
+        const key = this.HANDOFF_PREFIX + nonce;
+        const raw = localStorage.getItem(key);
+        localStorage.removeItem(key);
+        if (!raw) return null;
+
+        try {
+            const entry = JSON.parse(raw);
+            if (!entry || entry.expires < Date.now()) {
+                console.warn('Credentials handoff expired');
+                return null;
+            }
+            return entry.credentials;
+        } catch (e) {
+            console.warn('Invalid credentials handoff');
+            return null;
         }
-        if (credentials.language) {
-            localStorage.setItem(this.STORAGE_KEYS.LANGUAGE, credentials.language);
+    },
+
+    /**
+     * Elimina gli handoff scaduti e mai ritirati
+     */
+    purgeExpiredHandoffs() {
+        const now = Date.now();
+        for (let i = localStorage.length - 1; i >= 0; i--) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith(this.HANDOFF_PREFIX)) continue;
+            try {
+                const entry = JSON.parse(localStorage.getItem(key));
+                if (!entry || entry.expires < now) localStorage.removeItem(key);
+            } catch (e) {
+                localStorage.removeItem(key);
+            }
+        }
+    },
+
+    /**
+     * Indica se è attiva la modalità legacy con token nell'URL
+     */
+    isLegacyUrlMode() {
+        return this.LEGACY_URL_CREDENTIALS || localStorage.getItem('legacy_url_credentials') === 'true';
+    },
+
+    /**
+     * Salva le credenziali nella sessionStorage della scheda e nel localStorage
+     * (usato come default dalle nuove schede). Aggiorna anche il profilo attivo
+     * se appartiene allo stesso utente (es. nuovo token dopo il login).
+     */
+    saveCredentials(credentials) {
+        [sessionStorage, localStorage].forEach(store => {
+            if (credentials.username) {
+                store.setItem(this.STORAGE_KEYS.USERNAME, credentials.username);
+            }
+            if (credentials.token) {
+                store.setItem(this.STORAGE_KEYS.TOKEN, credentials.token);
+            }
+            if (credentials.language) {
+                store.setItem(this.STORAGE_KEYS.LANGUAGE, credentials.language);
+            }
+            if (credentials.filter !== undefined) {
+                store.setItem(this.STORAGE_KEYS.FILTER, credentials.filter);
+            }
+        });
+
+        const active = this.getActiveProfileName();
+        if (active && credentials.username) {
+            const profile = this.getProfiles()[active];
+            if (profile && profile.username === credentials.username) {
+                this.updateProfile(active, credentials);
+            } else {
+                sessionStorage.removeItem(this.ACTIVE_PROFILE_KEY);
+            }
         }
-        if (credentials.filter !== undefined) {
-            localStorage.setItem(this.STORAGE_KEYS.FILTER, credentials.filter);
+    },
+
+    // ========== PROFILI ==========
+
+    /**
+     * Profili salvati: { nome: { username, token, language, filter, environment } }
+     */
+    getProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.PROFILES_KEY) || '{}') || {};
+        } catch (e) {
+            console.warn('Invalid profiles in localStorage');
+            return {};
         }
     },
 
+    /**
+     * Elenco dei profili per i selettori, senza token
+     */
+    listProfiles() {
+        const active = this.getActiveProfileName();
+        return Object.entries(this.getProfiles())
+            .map(([name, profile]) => ({
+                name,
+                username: profile.username || '',
+                language: profile.language || '',
+                environment: profile.environment || '',
+                hasToken: !!profile.token,
+                active: name === active
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Nome del profilo attivo nella scheda corrente ('' se nessuno)
+     */
+    getActiveProfileName() {
+        return sessionStorage.getItem(this.ACTIVE_PROFILE_KEY) || '';
+    },
+
+    /**
+     * Salva le credenziali correnti (o quelle indicate) come profilo con nome
+     * e lo rende il profilo attivo della scheda
+     */
+    saveProfile(name, credentials = null, environment = null) {
+        const profileName = String(name || '').trim();
+        if (!profileName) return false;
+
+        const creds = credentials || this.getCredentials();
+        const profiles = this.getProfiles();
+        profiles[profileName] = {
+            username: creds.username || '',
+            token: creds.token || '',
+            language: creds.language || '',
+            filter: creds.filter || '',
+            environment: environment || (window.ApiClient ? ApiClient.getEnvironment() : '')
+        };
+        localStorage.setItem(this.PROFILES_KEY, JSON.stringify(profiles));
+        sessionStorage.setItem(this.ACTIVE_PROFILE_KEY, profileName);
+        return true;
+    },
+
+    /**
+     * Aggiorna i campi di un profilo esistente
+     */
+    updateProfile(name, changes) {
+        const profiles = this.getProfiles();
+        if (!profiles[name]) return false;
+
+        ['username', 'token', 'language', 'filter', 'environment'].forEach(key => {
+            if (changes[key] !== undefined) profiles[name][key] = changes[key];
+        });
+        localStorage.setItem(this.PROFILES_KEY, JSON.stringify(profiles));
+        return true;
+    },
+
+    /**
+     * Elimina un profilo salvato
+     */
+    removeProfile(name) {
+        const profiles = this.getProfiles();
+        if (!profiles[name]) return false;
+
+        delete profiles[name];
+        localStorage.setItem(this.PROFILES_KEY, JSON.stringify(profiles));
+        if (this.getActiveProfileName() === name) sessionStorage.removeItem(this.ACTIVE_PROFILE_KEY);
+        return true;
+    },
+
+    /**
+     * Attiva un profilo solo nella scheda corrente: le credenziali vanno nella
+     * sessionStorage, così le altre schede restano sul proprio utente.
+     * Il chiamante deve ricaricare la pagina.
+     */
+    switchProfile(name) {
+        const profile = this.getProfiles()[name];
+        if (!profile) return false;
+
+        sessionStorage.setItem(this.STORAGE_KEYS.USERNAME, profile.username || '');
+        sessionStorage.setItem(this.STORAGE_KEYS.TOKEN, profile.token || '');
+        sessionStorage.setItem(this.STORAGE_KEYS.LANGUAGE, profile.language || 'it_IT');
+        sessionStorage.setItem(this.STORAGE_KEYS.FILTER, profile.filter || '');
+        sessionStorage.setItem(this.ACTIVE_PROFILE_KEY, name);
+        if (profile.environment && window.ApiClient) ApiClient.setTabEnvironment(profile.environment);
+        return true;
+    },
+
     /**
      * Valida se le credenziali sono complete
      */
@@ -79,46 +326,145 @@ const CredentialsManager = {
     },
 
     /**
-     * Costruisce una query string con le credenziali correnti
+     * Costruisce la query string per passare la sessione a un'altra pagina:
+     * un nonce di handoff più lingua e filtro. In modalità legacy
+     * username e token vengono invece inseriti in chiaro.
      */
     buildQueryString(credentials = null) {
         const creds = credentials || this.getCredentials();
         const params = new URLSearchParams();
 
-        if (creds.username) params.set('username', creds.username);
-        if (creds.token) params.set('token', creds.token);
+        if (this.isLegacyUrlMode()) {
+            if (creds.username) params.set('username', creds.username);
+            if (creds.token) params.set('token', creds.token);
+        } else if (creds.token) {
+            params.set(this.HANDOFF_PARAM, this.createHandoff(creds));
+        }
         if (creds.language) params.set('language', creds.language);
         if (creds.filter) params.set('filter', creds.filter);
 
         return params.toString();
     },
 
+    /**
+     * Aggiunge all'URL i parametri di sessione, senza sovrascrivere quelli già presenti
+     */
+    buildUrl(url, credentials = null) {
+        const target = new URL(url, window.location.href);
+        const sessionParams = new URLSearchParams(this.buildQueryString(credentials));
+        sessionParams.forEach((value, key) => {
+            if (!target.searchParams.has(key)) target.searchParams.set(key, value);
+        });
+        return target.href;
+    },
+
     /**
      * Apre una nuova finestra/tab con le credenziali correnti
+     * (features: stringa opzionale di window.open, es. 'width=1200,height=800')
      */
-    openWindow(url, target = '_blank', credentials = null) {
-        const queryString = this.buildQueryString(credentials);
-        const separator = url.includes('?') ? '&' : '?';
-        const fullUrl = `${url}${separator}${queryString}`;
-        return window.open(fullUrl, target);
+    openWindow(url, target = '_blank', credentials = null, features = '') {
+        return window.open(this.buildUrl(url, credentials), target, features);
     },
 
     /**
      * Naviga a una nuova pagina mantenendo le credenziali
      */
     navigate(url, credentials = null) {
-        const queryString = this.buildQueryString(credentials);
-        const separator = url.includes('?') ? '&' : '?';
-        window.location.href = `${url}${separator}${queryString}`;
+        window.location.href = this.buildUrl(url, credentials);
     },
 
     /**
-     * Cancella le credenziali dal localStorage
+     * Cancella le credenziali dalla scheda e dal localStorage.
+     * Il profilo attivo resta selezionato ma perde il token, ormai non valido.
      */
     clearCredentials() {
         Object.values(this.STORAGE_KEYS).forEach(key => {
+            sessionStorage.removeItem(key);
             localStorage.removeItem(key);
         });
+
+        const active = this.getActiveProfileName();
+        if (active) this.updateProfile(active, { token: '' });
+    },
+
+    /**
+     * Logout completo: svuota localStorage e sessionStorage conservando i profili salvati
+     */
+    resetStorage() {
+        this.clearCredentials();
+        const profiles = localStorage.getItem(this.PROFILES_KEY);
+        localStorage.clear();
+        sessionStorage.clear();
+        if (profiles) localStorage.setItem(this.PROFILES_KEY, profiles);
+    },
+
+    // Pagina di login e chiave per la pagina da riaprire dopo il login
+    LOGIN_PAGE: 'login.html',
+    RETURN_URL_KEY: 'return_url',
+
+    // Messaggi del backend che indicano un token scaduto o non valido
+    AUTH_ERROR_PATTERN: /(token|session[ei]?).*(invalid|expired|scadut|non valid|not valid)|(invalid|expired|scadut).*(token|session)|unauthori[sz]ed|not authenticated|non autenticat/i,
+
+    /**
+     * Riconosce una risposta di autenticazione fallita:
+     * HTTP 401/403 oppure corpo { status != 'ok', msg: "...token scaduto..." }
+     */
+    isAuthError(httpStatus, body = null) {
+        if (httpStatus === 401 || httpStatus === 403) return true;
+        if (body && typeof body === 'object' && body.status && body.status !== 'ok') {
+            return this.AUTH_ERROR_PATTERN.test(String(body.msg || body.detail || ''));
+        }
+        return false;
+    },
+
+    /**
+     * Salva la pagina corrente (senza credenziali nella query string)
+     * per riaprirla dopo un nuovo login
+     */
+    rememberReturnUrl(url = window.location.href) {
+        const target = new URL(url, window.location.href);
+        if (target.pathname.endsWith('/' + this.LOGIN_PAGE)) return;
+
+        ['username', 'token', this.HANDOFF_PARAM].forEach(key => target.searchParams.delete(key));
+        const page = target.pathname.split('/').pop() || 'dashboard.html';
+        localStorage.setItem(this.RETURN_URL_KEY, page + target.search + target.hash);
+    },
+
+    /**
+     * Restituisce (e cancella) la pagina salvata da rememberReturnUrl.
+     * Accetta solo percorsi relativi, per evitare redirect verso altri domini.
+     */
+    consumeReturnUrl() {
+        const url = localStorage.getItem(this.RETURN_URL_KEY);
+        localStorage.removeItem(this.RETURN_URL_KEY);
+        if (!url || /^[a-z][a-z0-9+.-]*:|^\/\/|^\\/i.test(url)) return null;
+        return url;
+    },
+
+    /**
+     * Sessione scaduta: cancella le credenziali, ricorda la pagina corrente
+     * e reindirizza al login
+     */
+    handleAuthFailure() {
+        if (this._redirectingToLogin) return;
+        this._redirectingToLogin = true;
+
+        console.warn('Session expired, redirecting to login');
+        this.rememberReturnUrl();
+        this.clearCredentials();
+        window.location.href = `${this.LOGIN_PAGE}?expired=1`;
+    },
+
+    /**
+     * Da chiamare dopo ogni fetch verso il backend: se la risposta indica
+     * un'autenticazione fallita gestisce il redirect e restituisce true
+     */
+    checkResponse(response, body = null) {
+        if (this.isAuthError(response ? response.status : 0, body)) {
+            this.handleAuthFailure();
+            return true;
+        }
+        return false;
     },
 
     /**
@@ -251,4 +597,18 @@ function logout() {
     window.location.href = 'login.html';
 }
 
+
+// === ESEMPIO 8: Sessione scaduta con fetch diretta ===
+const response = await fetch(`${API_URL}/getprices`, { method: 'POST', body: JSON.stringify(payload) });
+const data = await response.json();
+if (CredentialsManager.checkResponse(response, data)) return; // redirect al login in corso
+
+
+// === ESEMPIO 9: Profili multipli ===
+CredentialsManager.saveProfile('Demo');           // salva l'utente corrente come profilo "Demo"
+CredentialsManager.listProfiles();                // [{ name: 'Demo', username, environment, active, ... }]
+if (CredentialsManager.switchProfile('Mario')) {  // attiva "Mario" solo in questa scheda
+    location.reload();
+}
+
 */
\ No newline at end of file
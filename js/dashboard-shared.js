@@ -140,7 +140,9 @@ function populateGroupingSelectSummary(selectElement, classificationList, transl
  * Groups portfolio data based on a classification key.
  * @param {Array} portfolioData - Flat list of portfolio items.
  * @param {Object} classificationMap - Map of id_instrument -> classification object.
- * @param {string} groupingKey - The key to group by (e.g., 'asset_class').
+ * @param {string|Array} groupingKey - The key to group by (e.g., 'asset_class'). With several keys
+ *   (array or "asset_class,sector") the leaves of getGroupTree are returned, each with its `path`
+ *   and a label made of the raw path segments.
  * @param {string} valueKey - The key of the value to sum up (e.g., 'CTVMKTTQ').
  * @returns {Array} - Array of { label: string, value: number } objects, sorted by value descending.
  */
@@ -151,8 +153,20 @@ function getGroupedData(portfolioData, classificationMap, groupingKey, valueKey
     });
 
     let groupedResults = [];
+    const keys = parseGroupingKeys(groupingKey);
 
-    if (groupingKey) {
+    if (keys.length > 1) {
+        const leaves = [];
+        const collect = (node) => {
+            if (node.children.length === 0) { if (node.level > 0) leaves.push(node); }
+            else node.children.forEach(collect);
+        };
+        collect(getGroupTree(active, classificationMap, keys, valueKey));
+        groupedResults = leaves
+            .sort((a, b) => b.value - a.value)
+            .map(node => ({ label: node.path.join(" › "), value: node.value, path: node.path }));
+    } else if (groupingKey) {
+        groupingKey = keys[0];
         const grp = {};
 
         active.forEach(item => {
@@ -181,3 +195,296 @@ function getGroupedData(portfolioData, classificationMap, groupingKey, valueKey
 
     return groupedResults;
 }
+
+// ========== MULTI-LEVEL GROUPING & PIVOT ==========
+
+const GROUP_OTHER = "Other";
+const MAX_GROUPING_LEVELS = 3;
+
+/**
+ * Normalizes a grouping specification into an ordered list of distinct keys.
+ * Accepts an array, a single key or a comma separated string (as used in the
+ * `grouping` URL parameter, e.g. "asset_class,sector").
+ * @param {Array|string} grouping - Grouping specification.
+ * @returns {Array<string>} - Distinct, non-empty keys in order.
+ */
+function parseGroupingKeys(grouping) {
+    const list = Array.isArray(grouping) ? grouping : String(grouping || "").split(",");
+    const keys = [];
+    list.forEach(k => {
+        const key = String(k || "").trim();
+        if (key && !keys.includes(key)) keys.push(key);
+    });
+    return keys;
+}
+
+/**
+ * Returns the classification value of an item for a grouping key, "Other" when missing.
+ * @param {Object} item - Portfolio item (must carry id_instrument).
+ * @param {Object} classificationMap - Map of id_instrument -> classification object.
+ * @param {string} groupingKey - Classification key.
+ * @returns {string}
+ */
+function getGroupingValue(item, classificationMap, groupingKey) {
+    const id = item.id_instrument;
+    const cls = classificationMap[id] || classificationMap[String(id)];
+    const value = cls ? cls[groupingKey] : null;
+    return (value === null || value === undefined || value === "") ? GROUP_OTHER : String(value);
+}
+
+/**
+ * Sums `valueKey` over a list of items, ignoring non numeric values.
+ */
+function sumItems(items, valueKey) {
+    return items.reduce((acc, item) => {
+        const v = parseFloat(item[valueKey]);
+        return acc + (isNaN(v) ? 0 : v);
+    }, 0);
+}
+
+/**
+ * Builds a nested grouping tree (e.g. asset_class → sector → instrument) with
+ * subtotals and percentages. Items are not filtered: callers decide which rows count.
+ *
+ * Every node has the shape:
+ *   { key, label, path, level, value, count, percent, share, items, children, pivot }
+ * where `label` is the raw classification value, `path` the list of raw values from
+ * the root, `percent` the share of the grand total and `share` the share of the parent.
+ * Leaf nodes (last grouping level) have an empty `children` array and keep their `items`.
+ * When `options.pivotKey` is set every node also carries `pivot`: { columnValue: sum },
+ * and the root exposes `columns` ([{ label, value, percent }], sorted by value descending).
+ *
+ * @param {Array} portfolioData - Flat list of portfolio items.
+ * @param {Object} classificationMap - Map of id_instrument -> classification object.
+ * @param {Array|string} groupingKeys - Keys for each level (see parseGroupingKeys).
+ * @param {string} valueKey - The key of the value to sum up (e.g., 'CTVMKTTQ').
+ * @param {Object} options - { pivotKey: string, sort: 'value'|'label' }.
+ * @returns {Object} - Root node (key null, label null, path []).
+ */
+function getGroupTree(portfolioData, classificationMap, groupingKeys, valueKey = "CTVMKTTQ", options = {}) {
+    const keys = parseGroupingKeys(groupingKeys);
+    const pivotKey = options.pivotKey || null;
+    const sort = options.sort || "value";
+
+    const pivotOf = (items) => {
+        if (!pivotKey) return null;
+        const cells = {};
+        items.forEach(item => {
+            const col = getGroupingValue(item, classificationMap, pivotKey);
+            const v = parseFloat(item[valueKey]);
+            cells[col] = (cells[col] || 0) + (isNaN(v) ? 0 : v);
+        });
+        return cells;
+    };
+
+    const makeNode = (key, label, path, items) => ({
+        key: key,
+        label: label,
+        path: path,
+        level: path.length,
+        value: sumItems(items, valueKey),
+        count: items.length,
+        percent: null,
+        share: null,
+        items: items,
+        children: [],
+        pivot: pivotOf(items)
+    });
+
+    const compare = (a, b) => {
+        if (sort === "label") return String(a.label).localeCompare(String(b.label));
+        return b.value - a.value;
+    };
+
+    const root = makeNode(null, null, [], portfolioData);
+
+    const build = (node) => {
+        if (node.level >= keys.length) return;
+        const key = keys[node.level];
+        const buckets = {};
+        node.items.forEach(item => {
+            const label = getGroupingValue(item, classificationMap, key);
+            if (!buckets[label]) buckets[label] = [];
+            buckets[label].push(item);
+        });
+        node.children = Object.keys(buckets).map(label => makeNode(key, label, node.path.concat(label), buckets[label]));
+        node.children.sort(compare);
+        node.children.forEach(child => {
+            child.percent = root.value !== 0 ? child.value / root.value * 100 : null;
+            child.share = node.value !== 0 ? child.value / node.value * 100 : null;
+            build(child);
+        });
+    };
+
+    root.percent = 100;
+    root.share = 100;
+    build(root);
+
+    if (pivotKey) {
+        root.columns = Object.keys(root.pivot)
+            .map(label => ({
+                label: label,
+                value: root.pivot[label],
+                percent: root.value !== 0 ? root.pivot[label] / root.value * 100 : null
+            }))
+            .sort((a, b) => b.value - a.value);
+    }
+
+    return root;
+}
+
+/**
+ * Finds the node of a grouping tree matching a path of raw values (drill-down).
+ * @param {Object} tree - Root node returned by getGroupTree.
+ * @param {Array<string>} path - Raw values from the root.
+ * @returns {Object|null} - The node, or null when the path no longer exists.
+ */
+function findGroupNode(tree, path) {
+    let node = tree;
+    for (const label of (path || [])) {
+        node = node.children.find(c => c.label === label);
+        if (!node) return null;
+    }
+    return node;
+}
+
+/**
+ * Two-dimensional grouping (e.g. sector × currency) with row/column totals.
+ * @param {Array} portfolioData - Flat list of portfolio items.
+ * @param {Object} classificationMap - Map of id_instrument -> classification object.
+ * @param {string} rowKey - Classification key for the rows.
+ * @param {string} columnKey - Classification key for the columns.
+ * @param {string} valueKey - The key of the value to sum up (e.g., 'CTVMKTTQ').
+ * @returns {Object} - { rows: [{ label, value, percent, cells: { column: value } }],
+ *                       columns: [{ label, value, percent }], total }
+ */
+function getPivotData(portfolioData, classificationMap, rowKey, columnKey, valueKey = "CTVMKTTQ") {
+    const tree = getGroupTree(portfolioData, classificationMap, [rowKey], valueKey, { pivotKey: columnKey });
+    return {
+        rows: tree.children.map(node => ({
+            label: node.label,
+            value: node.value,
+            percent: node.percent,
+            cells: node.pivot
+        })),
+        columns: tree.columns,
+        total: tree.value
+    };
+}
+
+/**
+ * Translates every segment of a group path and joins them (e.g. "Equity › Energy").
+ * @param {Array<string>} path - Raw values.
+ * @param {Array<string>} keys - Grouping key of each segment.
+ * @param {Function} translateFn - (rawLabel, groupingKey) -> label, defaults to translateGroupLabel.
+ * @returns {string}
+ */
+function formatGroupPath(path, keys, translateFn = translateGroupLabel) {
+    return path.map((label, i) => translateFn(label, keys[i])).join(" › ");
+}
+
+/**
+ * Renders a drill-down breadcrumb ("All › Equity › Energy") into a container.
+ * Every crumb but the last is clickable and reports the truncated path.
+ * @param {HTMLElement} container - Target element (emptied first).
+ * @param {Array<string>} path - Raw values of the current node.
+ * @param {Array<string>} keys - Grouping key of each level.
+ * @param {string} rootLabel - Label of the first crumb.
+ * @param {Function} onSelect - Called with the path of the clicked crumb.
+ */
+function renderDrillPath(container, path, keys, rootLabel, onSelect) {
+    container.innerHTML = "";
+    if (keys.length === 0) return;
+
+    const crumbs = [rootLabel].concat(path.map((label, i) => translateGroupLabel(label, keys[i])));
+    crumbs.forEach((text, i) => {
+        if (i > 0) container.appendChild(document.createTextNode(" › "));
+        const span = document.createElement("span");
+        span.textContent = text;
+        if (i === crumbs.length - 1) span.className = "current";
+        else span.onclick = () => onSelect(path.slice(0, i));
+        container.appendChild(span);
+    });
+}
+
+/**
+ * Adds "then by" selects after a grouping select so that up to MAX_GROUPING_LEVELS
+ * keys can be chained. The first level is the existing select, populated through
+ * populateGroupingSelectSummary; a further level is shown only once the previous one
+ * is set, and already used keys are disabled. Changing any level dispatches a
+ * `change` event on the primary select, so its existing handler keeps working.
+ *
+ * @param {HTMLElement} selectElement - The primary grouping select.
+ * @param {Array|Object} classificationList - As for populateGroupingSelectSummary.
+ * @param {Function} translationFn - Function to translate keys (optional).
+ * @param {Array|string} initialKeys - Initial keys (see parseGroupingKeys).
+ * @param {string} defaultLabel - Label for the "no grouping" option of the first level.
+ * @param {string} nextLabel - Label for the empty option of the further levels.
+ */
+function populateGroupingLevels(selectElement, classificationList, translationFn, initialKeys = [], defaultLabel = "Nessun raggruppamento", nextLabel = "+") {
+    const keys = parseGroupingKeys(initialKeys);
+    populateGroupingSelectSummary(selectElement, classificationList, translationFn, keys[0] || "", defaultLabel);
+
+    (selectElement.groupingLevels || []).forEach(s => s.remove());
+    selectElement.groupingLevels = [];
+
+    let anchor = selectElement;
+    for (let level = 1; level < MAX_GROUPING_LEVELS; level++) {
+        const sub = document.createElement("select");
+        sub.className = "grouping-level";
+        sub.dataset.level = level;
+        populateGroupingSelectSummary(sub, classificationList, translationFn, keys[level] || "", nextLabel);
+        sub.addEventListener("change", () => {
+            syncGroupingLevels(selectElement);
+            selectElement.dispatchEvent(new Event("change"));
+        });
+        anchor.insertAdjacentElement("afterend", sub);
+        selectElement.groupingLevels.push(sub);
+        anchor = sub;
+    }
+
+    if (!selectElement.groupingLevelsBound) {
+        // Capture phase: levels are tidied before the page handler reads them
+        selectElement.addEventListener("change", () => syncGroupingLevels(selectElement), true);
+        selectElement.groupingLevelsBound = true;
+    }
+    syncGroupingLevels(selectElement);
+}
+
+/**
+ * Shows/hides the further grouping levels and disables keys used by a previous level.
+ * @param {HTMLElement} selectElement - The primary grouping select.
+ */
+function syncGroupingLevels(selectElement) {
+    const selects = [selectElement].concat(selectElement.groupingLevels || []);
+    const used = [];
+    let open = true;
+    selects.forEach((select, i) => {
+        if (i > 0) {
+            if (!open || used.includes(select.value)) select.value = "";
+            select.style.display = open ? "" : "none";
+            Array.from(select.options).forEach(opt => {
+                opt.disabled = opt.value !== "" && used.includes(opt.value);
+            });
+        }
+        if (open && select.value) used.push(select.value);
+        else open = false;
+    });
+}
+
+/**
+ * Reads the chained grouping keys from a select set up by populateGroupingLevels
+ * (a plain select returns its single value).
+ * @param {HTMLElement} selectElement - The primary grouping select.
+ * @returns {Array<string>}
+ */
+function getGroupingKeys(selectElement) {
+    if (!selectElement) return [];
+    const keys = [];
+    const selects = [selectElement].concat(selectElement.groupingLevels || []);
+    for (const select of selects) {
+        if (!select.value) break;
+        keys.push(select.value);
+    }
+    return parseGroupingKeys(keys);
+}
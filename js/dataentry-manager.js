@@ -69,6 +69,12 @@ const FormatHelper = {
         return /^-?\d+(\.\d+)?\:.+$/.test(value);
     },
 
+    normalizeDateTime(value) {
+        // accetta: "2024-12-19 23:30" oppure "2024-12-19 23:30:00" senza offset
+        // e aggiunge l'offset del fuso dell'utente valido in quella data (ora legale inclusa)
+        return TimezoneService.normalizeDateTime(value);
+    },
+
     validateFloat(value) {
         if (!value) return false;
         const floatRegex = /^\d+(\.\d+)?$/;
@@ -124,6 +130,921 @@ const FormatHelper = {
     }
 };
 
+/**
+ * Registro dei tipi di campo: il "format" di ogni voce di <prefix>@data@format.json.
+ * Un tipo dichiara, tutti opzionali:
+ *
+ *   render(field, ctx)           HTML dell'input (ctx da FieldTypes.createContext)
+ *   attach(field, element, ctx)  listener dopo l'inserimento nel DOM (es. autocomplete)
+ *   normalize(value, field)      valore ripulito all'uscita dal campo e prima della validazione
+ *   validate(value, field)       true se il valore (già normalizzato) è valido
+ *   serialize(value, field)      valore inviato al server (default: invariato)
+ *   message: [chiave, testo]     errore di formato (testo se la chiave non è tradotta)
+ *   placeholder
+ *
+ * I tipi non registrati sono testo libero. "extends" eredita da un altro tipo.
+ * Tipi senza codice si dichiarano in JSON (dataentry/field-types.json, vedi define):
+ *
+ *   "FE_ISIN": { "transform": ["compact", "uppercase"], "pattern": "^[A-Z]{2}[A-Z0-9]{9}[0-9]$",
+ *                "checksum": "isin", "message": "int.format.isin.invalid" }
+ */
+const FieldTypes = {
+    types: {},
+
+    // Tipo dei campi senza format o con un format sconosciuto
+    DEFAULT_TYPE: 'text',
+
+    // Trasformazioni dei tipi dichiarati in JSON ("transform"), applicate in ordine
+    TRANSFORMS: {
+        trim: v => v.trim(),
+        uppercase: v => v.toUpperCase(),
+        lowercase: v => v.toLowerCase(),
+        compact: v => v.replace(/\s+/g, ''),
+        comma: v => v.replace(',', '.'),
+        percent: v => v.replace(/\s*%$/, '')
+    },
+
+    // Cifre di controllo dei tipi dichiarati in JSON ("checksum")
+    CHECKSUMS: {
+        // Luhn su una stringa di sole cifre
+        luhn(digits) {
+            if (!/^\d+$/.test(digits)) return false;
+            let sum = 0;
+            for (let i = 0; i < digits.length; i++) {
+                let d = Number(digits[digits.length - 1 - i]);
+                if (i % 2 === 1) {
+                    d *= 2;
+                    if (d > 9) d -= 9;
+                }
+                sum += d;
+            }
+            return sum % 10 === 0;
+        },
+
+        // ISIN: lettere -> numeri (A=10 ... Z=35), poi Luhn
+        isin(value) {
+            if (!/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(value)) return false;
+            const digits = value.split('').map(c => parseInt(c, 36)).join('');
+            return FieldTypes.CHECKSUMS.luhn(digits);
+        },
+
+        // CUSIP (USA/Canada): 8 caratteri pesati 1,2,1,2... (lettere A=10, * @ # = 36 37 38)
+        cusip(value) {
+            if (!/^[A-Z0-9*@#]{8}\d$/.test(value)) return false;
+            let sum = 0;
+            for (let i = 0; i < 8; i++) {
+                const c = value[i];
+                let v = c === '*' ? 36 : c === '@' ? 37 : c === '#' ? 38 : parseInt(c, 36);
+                if (i % 2 === 1) v *= 2;
+                sum += Math.floor(v / 10) + (v % 10);
+            }
+            return (10 - (sum % 10)) % 10 === Number(value[8]);
+        },
+
+        // SEDOL (Londra/Dublino): 6 caratteri senza vocali pesati 1,3,1,7,3,9
+        sedol(value) {
+            if (!/^[B-DF-HJ-NP-TV-Z0-9]{6}\d$/.test(value)) return false;
+            const weights = [1, 3, 1, 7, 3, 9];
+            const sum = weights.reduce((total, weight, i) => total + parseInt(value[i], 36) * weight, 0);
+            return (10 - (sum % 10)) % 10 === Number(value[6]);
+        },
+
+        // FIGI (OpenFIGI): "BBG..." a 12 caratteri, come il CUSIP ma su 11 caratteri
+        figi(value) {
+            if (!/^[B-DF-HJ-NP-TV-Z]{2}G[B-DF-HJ-NP-TV-Z0-9]{8}\d$/.test(value)) return false;
+            // Prefissi esclusi perché coincidono con codici paese ISIN
+            if (['BS', 'BM', 'GG', 'GB', 'GH', 'KY', 'VG'].includes(value.slice(0, 2))) return false;
+            let sum = 0;
+            for (let i = 0; i < 11; i++) {
+                let v = parseInt(value[i], 36);
+                if (i % 2 === 1) v *= 2;
+                sum += Math.floor(v / 10) + (v % 10);
+            }
+            return (10 - (sum % 10)) % 10 === Number(value[11]);
+        },
+
+        // IBAN: primi 4 caratteri in coda, lettere -> numeri, resto modulo 97 uguale a 1
+        iban(value) {
+            if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(value)) return false;
+            const digits = (value.slice(4) + value.slice(0, 4)).split('').map(c => parseInt(c, 36)).join('');
+            let rest = 0;
+            for (const chunk of digits.match(/\d{1,7}/g)) {
+                rest = Number(String(rest) + chunk) % 97;
+            }
+            return rest === 1;
+        }
+    },
+
+    /**
+     * Registra (o sostituisce) un tipo
+     * @param {string} name - es. 'FE_Decimal'
+     * @param {Object} definition - vedi commento del registro
+     */
+    register(name, definition) {
+        const base = definition.extends ? this.types[definition.extends] : null;
+        if (definition.extends && !base) {
+            console.warn(`[FieldTypes] ${name}: unknown base type ${definition.extends}`);
+        }
+        this.types[name] = { ...(base || {}), ...definition, name };
+        return this.types[name];
+    },
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.types, name);
+    },
+
+    names() {
+        return Object.keys(this.types);
+    },
+
+    /**
+     * Definizione di un format; 'list:["A","B"]' è un FE_Enum con quelle opzioni
+     */
+    get(format) {
+        const name = String(format || '');
+        if (name.startsWith('list:')) return this.types.FE_Enum;
+        return this.types[name] || this.types[this.DEFAULT_TYPE];
+    },
+
+    /**
+     * Tipo dichiarato in JSON:
+     *   extends      tipo base (default 'text', 'FE_Enum' se ci sono "options")
+     *   transform    nomi di TRANSFORMS applicati prima della normalizzazione del tipo base
+     *   pattern      espressione regolare del valore normalizzato
+     *   checksum     nome di CHECKSUMS
+     *   min / max    limiti numerici
+     *   options      valori ammessi: stringhe o { value, label } (label = chiave di traduzione)
+     *   placeholder, message (chiave di traduzione), messageText (testo di default)
+     */
+    define(name, spec = {}) {
+        const base = this.types[spec.extends || (spec.options ? 'FE_Enum' : this.DEFAULT_TYPE)];
+        const transforms = (spec.transform || []).map(t => {
+            if (!this.TRANSFORMS[t]) console.warn(`[FieldTypes] ${name}: unknown transform ${t}`);
+            return this.TRANSFORMS[t];
+        }).filter(Boolean);
+        const pattern = spec.pattern ? new RegExp(spec.pattern) : null;
+        const checksum = spec.checksum ? this.CHECKSUMS[spec.checksum] : null;
+        if (spec.checksum && !checksum) console.warn(`[FieldTypes] ${name}: unknown checksum ${spec.checksum}`);
+
+        const definition = { extends: base ? base.name : undefined, format: name };
+        if (spec.placeholder) definition.placeholder = spec.placeholder;
+        if (spec.options) definition.options = spec.options;
+        if (spec.message) definition.message = [spec.message, spec.messageText || (base && base.message ? base.message[1] : '')];
+
+        if (transforms.length) {
+            definition.normalize = function (value, field) {
+                const transformed = transforms.reduce((v, transform) => transform(v), String(value));
+                return base && base.normalize ? base.normalize.call(this, transformed, field) : transformed;
+            };
+        }
+
+        const hasRange = spec.min !== undefined || spec.max !== undefined;
+        if (pattern || checksum || hasRange) {
+            definition.validate = function (value, field) {
+                if (base && base.validate && !base.validate.call(this, value, field)) return false;
+                if (pattern && !pattern.test(value)) return false;
+                if (checksum && !checksum(value)) return false;
+                if (hasRange) {
+                    const number = parseFloat(value);
+                    if (isNaN(number)) return false;
+                    if (spec.min !== undefined && number < Number(spec.min)) return false;
+                    if (spec.max !== undefined && number > Number(spec.max)) return false;
+                }
+                return true;
+            };
+        }
+
+        return this.register(name, definition);
+    },
+
+    /**
+     * Registra tutti i tipi di un oggetto JSON { nome: spec }
+     */
+    defineAll(specs = {}) {
+        Object.entries(specs).forEach(([name, spec]) => {
+            try {
+                this.define(name, spec);
+            } catch (error) {
+                console.warn(`[FieldTypes] ${name} not registered:`, error.message);
+            }
+        });
+    },
+
+    // Promesse dei file già richiesti: url -> Promise
+    _loaded: {},
+
+    /**
+     * Carica i tipi dichiarati in un file JSON (una volta per url); file assente = nessun tipo
+     */
+    load(url) {
+        if (!this._loaded[url]) {
+            this._loaded[url] = fetch(url)
+                .then(response => (response.ok ? response.json() : {}))
+                .then(specs => this.defineAll(specs))
+                .catch(error => console.warn('[FieldTypes] Custom types not loaded:', url, error.message));
+        }
+        return this._loaded[url];
+    },
+
+    // ========== USO DA PARTE DEI RENDERER ==========
+
+    /**
+     * Contesto comune a render/attach
+     * @param {Object} field - campo di DataEntryManager.getFields()
+     * @param {Object} options - { value, t(key), context, getEventTranslation }
+     */
+    createContext(field, options = {}) {
+        const format = field.format || {};
+        const isFixed = !!(format.modify === "False" && field.defaultValue);
+        return {
+            name: field.name,
+            id: `field_${field.name}`,
+            format: format.format || '',
+            value: options.value !== undefined ? options.value : (field.defaultValue || ''),
+            required: !!field.required,
+            isFixed,
+            fixedClass: isFixed ? ' fixed-field' : '',
+            t: options.t || (key => key),
+            context: options.context || {},
+            getEventTranslation: options.getEventTranslation || (code => code)
+        };
+    },
+
+    render(field, options = {}) {
+        const ctx = this.createContext(field, options);
+        return this.get(ctx.format).render(field, ctx);
+    },
+
+    attach(field, element, options = {}) {
+        const type = this.get(field.format && field.format.format);
+        if (type.attach) type.attach(field, element, this.createContext(field, options));
+    },
+
+    normalize(format, value, field = null) {
+        const type = this.get(format);
+        return type.normalize ? type.normalize(String(value), field) : value;
+    },
+
+    /**
+     * Normalizza e valida un valore non vuoto
+     * @returns {Object} { isValid, normalized, message }
+     */
+    check(format, value, field = null, t = key => key) {
+        const type = this.get(format);
+        const normalized = this.normalize(format, value, field);
+        if (!type.validate || type.validate(normalized, field)) return { isValid: true, normalized };
+        return { isValid: false, normalized, message: this.message(type, t) };
+    },
+
+    serialize(format, value, field = null) {
+        const type = this.get(format);
+        return type.serialize && value !== '' ? type.serialize(value, field) : value;
+    },
+
+    message(type, t = key => key) {
+        const [key, text] = type.message || ['int.format.invalid', 'Formato non valido'];
+        return this.translate(t, key, text);
+    },
+
+    // Traduzione con testo di default: le funzioni di traduzione restituiscono la chiave se manca
+    translate(t, key, fallback) {
+        const text = t(key);
+        return text && text !== key ? text : fallback;
+    },
+
+    escape(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
+    /**
+     * <input type="text"> con gli attributi comuni del campo
+     */
+    input(ctx, type, extra = '') {
+        const placeholder = ctx.placeholder !== undefined ? ctx.placeholder : type.placeholder;
+        return `<input type="text" name="${ctx.name}" id="${ctx.id}" ${ctx.required ? 'required' : ''} ${ctx.isFixed ? 'readonly' : ''} value="${this.escape(ctx.value)}" class="form-input${ctx.fixedClass}"` +
+            `${type.format ? ` data-format="${type.format}"` : ''}${placeholder ? ` placeholder="${this.escape(placeholder)}"` : ''}${extra ? ' ' + extra : ''}>`;
+    },
+
+    /**
+     * <select> con l'opzione vuota iniziale; options = HTML delle <option>
+     */
+    select(ctx, type, options, extra = '') {
+        const empty = this.translate(ctx.t, 'ins.select.option', 'Seleziona');
+        return `<select name="${ctx.name}" id="${ctx.id}" ${ctx.required ? 'required' : ''} class="form-select${ctx.fixedClass}" data-format="${type.format}"${extra ? ' ' + extra : ''}>
+                    <option value="">-- ${empty} --</option>
+                    ${options}
+                </select>`;
+    },
+
+    option(value, label, selected) {
+        return `<option value="${this.escape(value)}" ${selected ? 'selected' : ''}>${label}</option>`;
+    },
+
+    /**
+     * Input con pulsante accanto (data/ora corrente)
+     */
+    inputWithButton(ctx, type, onclick, icon) {
+        return `<div class="input-group">
+                    ${this.input(ctx, type)}
+                    <button type="button" class="btn btn-secondary btn-sm" onclick="${onclick}">
+                        <i class="fas ${icon}"></i>
+                    </button>
+                 </div>`;
+    },
+
+    /**
+     * Opzioni di un FE_Enum: format.options del campo, 'list:[...]', oppure options del tipo
+     */
+    getOptions(field, type) {
+        const format = (field && field.format) || {};
+        if (Array.isArray(format.options)) return format.options;
+        if (String(format.format || '').startsWith('list:')) {
+            try {
+                return JSON.parse(format.format.slice(5));
+            } catch (e) {
+                return [];
+            }
+        }
+        return type.options || [];
+    }
+};
+
+// ========== TIPI PREDEFINITI ==========
+
+FieldTypes.register('text', {
+    format: '',
+    render(field, ctx) {
+        return FieldTypes.input(ctx, this);
+    }
+});
+
+FieldTypes.register('FE_Text', {
+    extends: 'text',
+    format: 'FE_Text',
+    validate: value => /^[a-zA-Z][a-zA-Z0-9]*$/.test(value),
+    message: ['ins.format.text.invalid', 'Deve essere alfanumerico e iniziare con una lettera']
+});
+
+FieldTypes.register('FE_Decimal', {
+    extends: 'text',
+    format: 'FE_Decimal',
+    placeholder: 'es: 123.45 EUR',
+    normalize: value => FormatHelper.normalizeDecimal(value),
+    validate: value => FormatHelper.validateDecimal(value),
+    message: ['int.format.decimal.invalid', 'Formato non valido. Usa: valore:DIVISA']
+});
+
+FieldTypes.register('FE_Exchange', {
+    extends: 'text',
+    format: 'FE_Exchange',
+    placeholder: 'es: 1.10 EUR/USD',
+    normalize: value => FormatHelper.normalizeExchange(value),
+    validate: value => FormatHelper.validateExchange(value),
+    message: ['int.format.exchange.invalid', 'Formato non valido. Usa: valore:DIVISA/DIVISA']
+});
+
+FieldTypes.register('FE_Crypto', {
+    extends: 'text',
+    format: 'FE_Crypto',
+    placeholder: 'es: 0.05 BTC',
+    normalize: value => FormatHelper.normalizeCrypto(value),
+    validate: value => FormatHelper.validateCrypto(value),
+    message: ['int.format.crypto.invalid', 'Formato non valido. Usa: valore:CODICE (es: 0.5:BTC)']
+});
+
+FieldTypes.register('FE_Float', {
+    extends: 'text',
+    format: 'FE_Float',
+    placeholder: 'es: 123.45',
+    validate: value => FormatHelper.validateFloat(value),
+    message: ['int.format.float.invalid', 'Formato non valido. Inserire un numero positivo (es: 123.45)']
+});
+
+FieldTypes.register('FE_Date', {
+    extends: 'text',
+    format: 'FE_Date',
+    placeholder: 'YYYY-MM-DD',
+    render(field, ctx) {
+        // "2024-12-19 14:30:00+0100" -> "2024-12-19"
+        const value = String(ctx.value).split(' ')[0];
+        return FieldTypes.inputWithButton({ ...ctx, value }, this,
+            `document.getElementById('${ctx.id}').value = DataEntryUtils.formatCurrentDate()`, 'fa-calendar-day');
+    },
+    normalize: value => value.trim(),
+    validate: value => FormatHelper.validateDate(value),
+    message: ['int.format.date.invalid', 'Formato non valido. Usa: YYYY-MM-DD (es: 2024-12-19)']
+});
+
+FieldTypes.register('FE_DateTime', {
+    extends: 'text',
+    format: 'FE_DateTime',
+    placeholder: 'YYYY-MM-DD HH:MM:SS+ZZZZ',
+    render(field, ctx) {
+        return FieldTypes.inputWithButton(ctx, this,
+            `document.getElementById('${ctx.id}').value = DataEntryUtils.formatCurrentDateTime()`, 'fa-clock');
+    },
+    normalize: value => FormatHelper.normalizeDateTime(value),
+    validate: value => FormatHelper.validateDateTime(value),
+    message: ['int.format.datetime.invalid', 'Formato non valido. Usa: YYYY-MM-DD HH:MM:SS+ZZZZ (es: 2024-12-19 14:30:00+0100)']
+});
+
+// Conti del settore (context.urlParams.account_sector); senza elenco conti, testo con datalist
+FieldTypes.register('FE_Account', {
+    extends: 'text',
+    format: 'FE_Account',
+    render(field, ctx) {
+        const accounts = ctx.context.availableAccounts;
+        if (!Array.isArray(accounts)) {
+            return `${FieldTypes.input(ctx, this, `list="${ctx.name}-list"`)}
+                    <datalist id="${ctx.name}-list"></datalist>`;
+        }
+        const sector = ((ctx.context.urlParams || {}).account_sector || '').trim().toUpperCase();
+        const options = accounts
+            .filter(acc => !sector || (acc.account_sector || '').trim().toUpperCase() === sector)
+            .map(acc => FieldTypes.option(acc.id_account, acc.id_account, acc.id_account == ctx.value))
+            .join('');
+        return FieldTypes.select(ctx, this, options);
+    }
+});
+
+// Ricerca strumento (InstrumentSearchBox) se la pagina fornisce gli strumenti, altrimenti il codice
+FieldTypes.register('FE_Instrument', {
+    extends: 'text',
+    format: 'FE_Instrument',
+    placeholder: 'Codice strumento',
+    render(field, ctx) {
+        const value = ctx.value ? FormatHelper.formatInstrumentCode(String(ctx.value)) : '';
+        if (!ctx.context.availableInstruments) return FieldTypes.input({ ...ctx, value }, this);
+        // L'id field_<nome> resta sul contenitore: InstrumentSearchBox lo sposta sull'input
+        return `<div id="${ctx.id}" class="instrument-search-box-wrapper"></div>`;
+    },
+    attach(field, element, ctx) {
+        if (!ctx.context.availableInstruments) return;
+        const wrapper = element.querySelector('.instrument-search-box-wrapper') || element;
+        new InstrumentSearchBox(wrapper, {
+            instruments: ctx.context.availableInstruments,
+            getTranslation: ctx.t,
+            name: field.name,
+            required: field.required,
+            defaultValue: field.defaultValue || (ctx.context.urlParams || {})[field.name] || '',
+            isFixed: ctx.isFixed
+        });
+    },
+    normalize: value => FormatHelper.formatInstrumentCode(value)
+});
+
+// Eventi del settore da event/manifest.json; senza manifest, il codice con la descrizione tradotta
+FieldTypes.register('FE_Event', {
+    extends: 'text',
+    format: 'FE_Event',
+    render(field, ctx) {
+        const manifest = ctx.context.eventManifest;
+        if (!manifest) {
+            const description = ctx.value ? ctx.getEventTranslation(ctx.value) : '';
+            const display = description && description !== ctx.value ? `${ctx.value} - ${description}` : ctx.value;
+            return FieldTypes.input({ ...ctx, value: display }, this, `data-code="${FieldTypes.escape(ctx.value)}"`);
+        }
+        const sector = ((ctx.context.urlParams || {}).account_sector || '').trim();
+        const options = (manifest[sector] || []).map(evt => {
+            const code = evt.id_event || evt.type_event;
+            const description = ctx.t(evt.id_event_label || evt.type_event_label || `eve.${code}`);
+            return FieldTypes.option(code, `${code} - ${description}`, code == ctx.value);
+        }).join('');
+        return FieldTypes.select(ctx, this, options);
+    },
+    // "FI-BB - Acquisto" -> "FI-BB"
+    serialize: value => (String(value).includes(' - ') ? String(value).split(' - ')[0].trim() : value)
+});
+
+// Divise: strumenti CURRENCY forniti dalla pagina (context.availableCurrenciesInstruments)
+FieldTypes.register('FE_Currency', {
+    extends: 'text',
+    format: 'FE_Currency',
+    render(field, ctx) {
+        const currencies = ctx.context.availableCurrenciesInstruments;
+        if (!currencies) return FieldTypes.input(ctx, this);
+        const options = Object.entries(currencies).map(([id, curr]) => {
+            const code = curr.id || id;
+            return FieldTypes.option(code, `${code} ${curr.instrument_description || ''}`, String(code).trim() === String(ctx.value).trim());
+        }).join('');
+        return FieldTypes.select(ctx, this, options);
+    },
+    normalize: value => value.trim().toUpperCase()
+});
+
+// Settori dalle chiavi dom.sector:CODICE delle traduzioni
+FieldTypes.register('FE_Sector', {
+    extends: 'text',
+    format: 'FE_Sector',
+    render(field, ctx) {
+        const translations = ctx.context.translations;
+        if (!translations) return FieldTypes.input(ctx, this);
+        const options = Object.keys(translations)
+            .filter(key => key.startsWith('dom.sector:'))
+            .map(key => ({ code: key.split(':')[1], label: translations[key] }))
+            .sort((a, b) => a.label.localeCompare(b.label))
+            .map(sector => FieldTypes.option(sector.code, sector.label, sector.code == ctx.value))
+            .join('');
+        return FieldTypes.select(ctx, this, options);
+    }
+});
+
+// Valori ammessi da format.options (stringhe o { value, label }) o da 'list:[...]'
+FieldTypes.register('FE_Enum', {
+    extends: 'text',
+    format: 'FE_Enum',
+    render(field, ctx) {
+        const options = FieldTypes.getOptions(field, this).map(option => {
+            const value = typeof option === 'object' ? option.value : option;
+            const label = typeof option === 'object' && option.label ? FieldTypes.translate(ctx.t, option.label, value) : value;
+            return FieldTypes.option(value, label, value == ctx.value);
+        }).join('');
+        // Un select disabilitato non viene inviato: il valore fisso viaggia in un campo nascosto
+        const hidden = ctx.isFixed ? `<input type="hidden" name="${ctx.name}" value="${FieldTypes.escape(ctx.value)}">` : '';
+        return FieldTypes.select(ctx, this, options, ctx.isFixed ? 'disabled' : '') + hidden;
+    },
+    validate(value, field) {
+        const options = FieldTypes.getOptions(field, this);
+        return !options.length || options.some(option => String(typeof option === 'object' ? option.value : option) === value);
+    },
+    message: ['int.format.enum.invalid', 'Valore non ammesso']
+});
+
+/**
+ * Regole di validazione tra campi, dichiarate in "rules" del file <prefix>@data@mandatory.json.
+ * Ogni regola ha un "type", un "message" (chiave di traduzione) e opzionalmente un "when":
+ *
+ *   { "type": "compare",  "field": "date_settlement", "operator": ">=", "other": "date_trade" }
+ *   { "type": "formula",  "field": "amount:net", "expression": "amount:gross - fee:commission - tax:tobin", "tolerance": 0.01 }
+ *   { "type": "currency", "field": "price", "instrument": "id_instrument" }
+ *   { "type": "sign",     "field": "quantity", "sign": "+", "when": { "field": "id_event", "in": ["FI-BB"] } }
+ *
+ * Le regole che citano campi assenti dal form o vuoti vengono ignorate:
+ * l'obbligatorietà è già verificata da mandatory.required.
+ */
+const ValidationRules = {
+    OPERATORS: {
+        '>=': (a, b) => a >= b,
+        '>': (a, b) => a > b,
+        '<=': (a, b) => a <= b,
+        '<': (a, b) => a < b,
+        '=': (a, b) => a === b,
+        '!=': (a, b) => a !== b
+    },
+
+    // Messaggi di default se la chiave di traduzione manca
+    DEFAULT_MESSAGES: {
+        compare: '{field} deve essere {operator} {other}',
+        formula: '{field} ({actual}) non corrisponde a {expression} ({expected})',
+        currency: 'La divisa di {field} ({currency}) deve essere quella dello strumento ({expected})',
+        sign: '{field} deve essere {sign}'
+    },
+
+    // "123.45:EUR" / "123.45 EUR" -> { amount: 123.45, currency: 'EUR' }
+    parseDecimal(value) {
+        const normalized = FormatHelper.normalizeDecimal(String(value));
+        const [amount, currency = ''] = normalized.split(':');
+        const number = parseFloat(amount);
+        return { amount: isNaN(number) ? null : number, currency: currency.trim() };
+    },
+
+    isDate(value) {
+        return /^\d{4}-\d{2}-\d{2}$/.test(value);
+    },
+
+    isDateTime(value) {
+        return /^\d{4}-\d{2}-\d{2} /.test(value);
+    },
+
+    /**
+     * Valori confrontabili: date come "YYYY-MM-DD" se almeno una delle due è una data
+     * (una data di regolamento si confronta col giorno del trade, non con l'ora),
+     * date/ore come istanti, importi come numeri
+     */
+    comparable(a, b) {
+        if ((this.isDate(a) || this.isDateTime(a)) && (this.isDate(b) || this.isDateTime(b))) {
+            if (this.isDate(a) || this.isDate(b)) return [a.slice(0, 10), b.slice(0, 10)];
+            const parse = (v) => (typeof TimezoneService !== 'undefined' ? TimezoneService.parseDateTime(v) : new Date(v));
+            return [parse(a).getTime(), parse(b).getTime()];
+        }
+        const left = this.parseDecimal(a).amount;
+        const right = this.parseDecimal(b).amount;
+        if (left === null || right === null) return [a, b];
+        return [left, right];
+    },
+
+    /**
+     * Condizione "when" delle regole e "visibleWhen" / "requiredWhen" dei campi:
+     *   { field, in: [...] } | { field, notIn: [...] } | { field, equals } | { field, notEquals } | { field, empty }
+     *   { instrument: "code_market", ... }  dato dello strumento selezionato in id_instrument invece di un campo
+     *   { param: "currency", ... }           parametro della pagina (context.params, es. divisa del portafoglio)
+     *   "part": "currency" | "amount"        solo una parte di un importo "123.45:USD"
+     *   equals / notEquals accettano anche un riferimento { field }, { instrument } o { param } al posto del valore
+     *   { all: [...] } | { any: [...] } | { not: {...} } per combinare più condizioni
+     * Se un dato non è disponibile (strumento non trovato, importo senza divisa) la condizione è vera:
+     * nel dubbio un campo resta visibile.
+     */
+    matches(condition, values, context = {}) {
+        if (!condition) return true;
+        if (Array.isArray(condition.all)) return condition.all.every(c => this.matches(c, values, context));
+        if (Array.isArray(condition.any)) return condition.any.some(c => this.matches(c, values, context));
+        if (condition.not) return !this.matches(condition.not, values, context);
+
+        const value = this.resolveOperand(condition, values, context);
+        if (value === null) return true;
+        if (Array.isArray(condition.in)) return condition.in.includes(value);
+        if (Array.isArray(condition.notIn)) return !condition.notIn.includes(value);
+        if (condition.empty !== undefined) return !value === Boolean(condition.empty);
+
+        const reference = condition.equals !== undefined ? condition.equals : condition.notEquals;
+        if (reference === undefined) return true;
+        const other = reference !== null && typeof reference === 'object' ? this.resolveOperand(reference, values, context) : reference;
+        if (other === null) return true;
+        return condition.equals !== undefined ? value === other : value !== other;
+    },
+
+    /**
+     * Valore di un operando { field | instrument, part }; null se non disponibile
+     */
+    resolveOperand(operand, values, context = {}) {
+        let value;
+        if (operand.instrument) {
+            const code = values.id_instrument;
+            const instrument = code && context.getInstrument ? context.getInstrument(code) : null;
+            if (!instrument) return null;
+            value = operand.instrument === 'currency' ? (instrument.id_currency || instrument.currency) : instrument[operand.instrument];
+            if (value === undefined || value === null || value === '') return null;
+            value = String(value);
+        } else if (operand.param) {
+            value = context.params ? context.params[operand.param] : null;
+            if (value === undefined || value === null || value === '') return null;
+            value = String(value);
+        } else {
+            value = values[operand.field];
+        }
+
+        if (operand.part && value !== undefined) {
+            const parsed = this.parseDecimal(value);
+            value = operand.part === 'currency' ? parsed.currency : (parsed.amount === null ? '' : String(parsed.amount));
+            if (!value) return null;
+        }
+        return value;
+    },
+
+    /**
+     * "1:{param.currency}/{instrument.currency}" -> "1:EUR/EUR"; i riferimenti non disponibili restano vuoti
+     */
+    interpolate(template, values, context = {}) {
+        return String(template).replace(/\{(field|instrument|param)\.([\w:@.]+)\}/g, (match, kind, name) => {
+            const value = this.resolveOperand({ [kind]: name }, values, context);
+            return value === null || value === undefined ? '' : value;
+        });
+    },
+
+    /**
+     * Valuta una regola
+     * @param {Object} rule
+     * @param {Object} values - nome campo -> valore (stringa, già ripulita)
+     * @param {Object} context - { getInstrument(code), params }
+     * @returns {Object|null} { field, rule, params } se la regola è violata
+     */
+    evaluate(rule, values, context = {}) {
+        if (!rule || !rule.field || !(rule.field in values)) return null;
+        if (!this.matches(rule.when, values, context)) return null;
+
+        const value = values[rule.field];
+        if (!value) return null;
+        const fail = (params = {}) => ({ field: rule.field, rule, params });
+
+        switch (rule.type) {
+            case 'compare': {
+                const compare = this.OPERATORS[rule.operator];
+                const other = rule.other !== undefined ? values[rule.other] : rule.value;
+                if (!compare || other === undefined || other === '') return null;
+                const [a, b] = this.comparable(value, String(other));
+                return compare(a, b) ? null : fail({ operator: rule.operator, other: rule.other || rule.value });
+            }
+
+            case 'formula': {
+                const target = this.parseDecimal(value);
+                if (target.amount === null) return null;
+
+                const expected = this.evaluateExpression(rule.expression, values);
+                if (expected === null) return null;
+
+                const tolerance = rule.tolerance !== undefined ? Number(rule.tolerance) : 0.01;
+                if (Math.abs(target.amount - expected) <= tolerance + 1e-9) return null;
+                return fail({
+                    expression: rule.expression,
+                    expected: expected.toFixed(2),
+                    actual: target.amount.toFixed(2)
+                });
+            }
+
+            case 'currency': {
+                const { currency } = this.parseDecimal(value);
+                const code = values[rule.instrument || 'id_instrument'];
+                const instrument = code && context.getInstrument ? context.getInstrument(code) : null;
+                const expected = instrument && (instrument.id_currency || instrument.currency);
+                if (!currency || !expected || currency === expected) return null;
+                return fail({ currency, expected });
+            }
+
+            case 'sign': {
+                const { amount } = this.parseDecimal(value);
+                if (amount === null) return null;
+                const ok = rule.sign === '-' ? amount < 0 : amount > 0;
+                return ok ? null : fail({ sign: rule.sign });
+            }
+
+            default:
+                console.warn('[ValidationRules] Unknown rule type:', rule.type);
+                return null;
+        }
+    },
+
+    /**
+     * Calcola "a - b + c": termini separati da + / - con spazi (i nomi contengono ":").
+     * I termini vuoti valgono zero, tranne il primo che è la base del calcolo.
+     * @returns {number|null} null se manca il primo termine
+     */
+    evaluateExpression(expression, values) {
+        const tokens = String(expression || '').trim().split(/\s+([+-])\s+/);
+        let result = 0;
+        for (let i = 0; i < tokens.length; i += 2) {
+            const sign = i === 0 ? 1 : (tokens[i - 1] === '-' ? -1 : 1);
+            const term = tokens[i];
+            let amount;
+            if (term in values) {
+                if (!values[term]) {
+                    if (i === 0) return null;
+                    continue;
+                }
+                amount = this.parseDecimal(values[term]).amount;
+            } else {
+                amount = parseFloat(term);
+            }
+            if (amount === null || isNaN(amount)) {
+                if (i === 0) return null;
+                continue;
+            }
+            result += sign * amount;
+        }
+        return result;
+    },
+
+    /**
+     * Valuta tutte le regole; al massimo un errore per campo
+     */
+    evaluateAll(rules, values, context = {}) {
+        const errors = [];
+        (rules || []).forEach(rule => {
+            const error = this.evaluate(rule, values, context);
+            if (error && !errors.some(e => e.field === error.field)) errors.push(error);
+        });
+        return errors;
+    }
+};
+
+/**
+ * Calcolo automatico degli importi di un trade a partire da quantità, prezzo, cambio e oneri:
+ *
+ *   amount:gross = quantity * price / price_divisor (+ rateo), convertito con exchange
+ *   amount:net   = amount:gross - fee:commission - tax:tobin (o l'espressione della regola "formula")
+ *
+ * Le obbligazioni sono quotate in percentuale del nominale (price_divisor 100 se lo strumento non lo indica).
+ * BOND.TELQUEL è quotata tel quel, il prezzo comprende già il rateo; BOND.CORSOSECCO a corso secco:
+ * al lordo si aggiunge il rateo maturato dall'ultima cedola alla data di regolamento.
+ */
+const TradeCalculator = {
+    DERIVED_FIELDS: ['amount:gross', 'amount:net'],
+    NET_EXPRESSION: 'amount:gross - fee:commission - tax:tobin',
+    TOLERANCE: 0.01,
+
+    BOND_TYPES: ['BOND.TELQUEL', 'BOND.CORSOSECCO'],
+    BOND_PRICE_DIVISOR: 100,
+
+    // coupon_frequency -> cedole l'anno
+    COUPON_FREQUENCIES: { A: 1, ANNUAL: 1, S: 2, SEMIANNUAL: 2, Q: 4, QUARTERLY: 4, M: 12, MONTHLY: 12 },
+
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    // "1.10:EUR/USD" / "1.10 EUR/USD" -> { rate: 1.1, base: 'EUR', quote: 'USD' }
+    parseExchange(value) {
+        const normalized = FormatHelper.normalizeExchange(String(value || ''));
+        const m = normalized.match(/^(\d+(?:\.\d+)?):([A-Z]{3})\/([A-Z]{3})$/);
+        return m ? { rate: parseFloat(m[1]), base: m[2], quote: m[3] } : null;
+    },
+
+    /**
+     * Importo nella divisa del conto: il cambio "rate:BASE/QUOTE" vale 1 BASE = rate QUOTE,
+     * quindi un importo in QUOTE (divisa dello strumento) si divide, come CTVMKTTQ in dashboard-market.
+     * Negli altri casi l'importo resta nella sua divisa.
+     */
+    convert(amount, currency, exchange) {
+        if (!exchange || !exchange.rate || exchange.base === exchange.quote || currency !== exchange.quote) {
+            return { amount, currency };
+        }
+        return { amount: amount / exchange.rate, currency: exchange.base };
+    },
+
+    isBond(instrument) {
+        return !!instrument && this.BOND_TYPES.includes(instrument.instrument_type);
+    },
+
+    getPriceDivisor(instrument) {
+        const divisor = instrument ? parseFloat(instrument.price_divisor) : NaN;
+        if (divisor > 0) return divisor;
+        return this.isBond(instrument) ? this.BOND_PRICE_DIVISOR : 1;
+    },
+
+    getCouponFrequency(instrument) {
+        const raw = String(instrument.coupon_frequency || '').trim().toUpperCase();
+        const frequency = this.COUPON_FREQUENCIES[raw] || parseInt(raw, 10);
+        return [1, 2, 3, 4, 6, 12].includes(frequency) ? frequency : 1;
+    },
+
+    // "YYYY-MM-DD" + n mesi, fermandosi all'ultimo giorno del mese
+    addMonths(dateStr, months) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(y, m - 1 + months + 1, 0)).getUTCDate();
+        return new Date(Date.UTC(y, m - 1 + months, Math.min(d, lastDay))).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Rateo di un'obbligazione a corso secco: nominale * cedola annua * giorni dall'ultima cedola / base giorni.
+     * L'ultima cedola si ricava risalendo dalla scadenza a passi di 12 / coupon_frequency mesi.
+     * @returns {number} 0 se mancano cedola, scadenza o data di regolamento
+     */
+    accruedInterest(instrument, quantity, settlementDate) {
+        const coupon = parseFloat(instrument.coupon_annual);
+        const settlement = String(settlementDate || '').slice(0, 10);
+        const maturity = String(instrument.date_maturity || '').slice(0, 10);
+        if (!coupon || !/^\d{4}-\d{2}-\d{2}$/.test(settlement) || !/^\d{4}-\d{2}-\d{2}$/.test(maturity)) return 0;
+        if (settlement >= maturity) return 0;
+
+        const step = 12 / this.getCouponFrequency(instrument);
+        let lastCoupon = maturity;
+        for (let i = 1; lastCoupon > settlement && i <= 1200; i++) {
+            lastCoupon = this.addMonths(maturity, -step * i);
+        }
+
+        const days = (Date.parse(settlement) - Date.parse(lastCoupon)) / this.DAY_MS;
+        const baseDays = parseFloat(instrument.coupon_base_days) || 365;
+        return quantity * (coupon / 100) * days / baseDays;
+    },
+
+    // Importo -> "1234.56:EUR" con i decimali della divisa
+    formatAmount(amount, currency) {
+        const digits = typeof LocaleFormatter !== 'undefined' ? LocaleFormatter.getCurrencyDigits(currency) : 2;
+        const text = amount.toFixed(digits);
+        return currency ? `${text}:${currency}` : text;
+    },
+
+    /**
+     * amount:gross da quantity, price, exchange (e date_settlement per il rateo)
+     * @param {Object} values - nome campo -> valore
+     * @param {Object|null} instrument - dati di /getinstruments (instrument_type, price_divisor, currency, coupon_*)
+     * @returns {string|null} valore FE_Decimal, null se quantità o prezzo mancano
+     */
+    computeGross(values, instrument = null) {
+        const quantity = ValidationRules.parseDecimal(values.quantity || '').amount;
+        const price = ValidationRules.parseDecimal(values.price || '');
+        if (quantity === null || price.amount === null) return null;
+
+        let amount = quantity * price.amount / this.getPriceDivisor(instrument);
+        if (instrument && instrument.instrument_type === 'BOND.CORSOSECCO') {
+            amount += this.accruedInterest(instrument, quantity, values.date_settlement);
+        }
+
+        const currency = price.currency || (instrument && (instrument.currency || instrument.id_currency)) || '';
+        const converted = this.convert(amount, currency, this.parseExchange(values.exchange));
+        return this.formatAmount(converted.amount, converted.currency);
+    },
+
+    /**
+     * amount:net dall'espressione (con amount:gross già aggiornato in values)
+     * @returns {string|null}
+     */
+    computeNet(values, expression = this.NET_EXPRESSION) {
+        const amount = ValidationRules.evaluateExpression(expression, values);
+        if (amount === null) return null;
+        const { currency } = ValidationRules.parseDecimal(values['amount:gross'] || '');
+        return this.formatAmount(amount, currency);
+    },
+
+    /**
+     * true se il valore inserito differisce dal calcolato oltre la tolleranza
+     */
+    differs(value, computed) {
+        const actual = ValidationRules.parseDecimal(value || '').amount;
+        const expected = ValidationRules.parseDecimal(computed || '').amount;
+        if (actual === null || expected === null) return false;
+        return Math.abs(actual - expected) > this.TOLERANCE + 1e-9;
+    }
+};
+
 class DataEntryManager {
     constructor(config = {}) {
         this.basePath = config.basePath || '';
@@ -131,11 +1052,28 @@ class DataEntryManager {
         this.defaultValues = config.defaultValues || {};
         this.translations = config.translations || {};
         this.structure = null;
+        // Campi del form visualizzato (generateForm)
+        this.formFields = null;
         this.mandatory = null;
         this.format = null;
         this.onSubmit = config.onSubmit || null;
         this.onChange = config.onChange || null;
         this.filePrefix = config.filePrefix || 'trade';
+        // Dati dello strumento per le regole "currency" (id_instrument -> { id_currency, ... })
+        this.getInstrument = config.getInstrument || null;
+        // Calcolo automatico di amount:gross / amount:net (TradeCalculator)
+        this.autoCompute = config.autoCompute !== false;
+        // Bozze salvate in automatico (DraftStore), per utente, cartella e filePrefix
+        this.autosave = config.autosave !== false;
+        this.user = config.user || '';
+        this.draftDelay = config.draftDelay || 1000;
+        this.draftTimer = null;
+        this.draftForm = null;
+        this.draftBaseline = null;
+        // Tipi di campo aggiuntivi (FieldTypes.define) dichiarati in basePath; null per non caricarli
+        this.fieldTypesFile = config.fieldTypesFile !== undefined ? config.fieldTypesFile : 'field-types.json';
+        // Parametri della pagina per le condizioni { param } (es. { currency: 'EUR' })
+        this.getConditionParams = config.getConditionParams || (() => ({}));
 
         // Translation callbacks
         this.getTranslationFn = config.getTranslation || ((key) => this.translations[key] || key);
@@ -178,7 +1116,8 @@ class DataEntryManager {
             const [structureRes, mandatoryRes, formatRes] = await Promise.all([
                 fetch(structurePath),
                 fetch(mandatoryPath),
-                fetch(formatPath)
+                fetch(formatPath),
+                this.fieldTypesFile ? FieldTypes.load(joinPaths(finalBase, this.fieldTypesFile)) : null
             ]);
 
             if (!structureRes.ok) throw new Error(`Missing or invalid structure file (${structureRes.status}): ${structurePath}`);
@@ -198,6 +1137,7 @@ class DataEntryManager {
 
             try {
                 this.structure = JSON.parse(structureText);
+                this.formFields = null;
             } catch (e) {
                 console.error('Invalid JSON in structure file:', structurePath);
                 console.log('Content starts with:', structureText.substring(0, 100));
@@ -236,424 +1176,884 @@ class DataEntryManager {
         }
 
         const fieldObject = this.structure.data[0];
-        console.log('[DataEntryManager] getFields structure data:', fieldObject);
         return Object.keys(fieldObject).map(key => {
             const format = this.format[key] || {};
             // Priorità al valore definito in format.json (se presente)
             let defaultValue = this.defaultValues[key] !== undefined ? this.defaultValues[key] : (format.value || '');
 
-            // Normalize id_instrument if it contains colons (e.g. ACCOUNT:TICKER -> TICKER)
-            if (key === 'id_instrument' && defaultValue && typeof FormatHelper !== 'undefined') {
-                const original = defaultValue;
-                defaultValue = FormatHelper.formatInstrumentCode(defaultValue);
-                console.log('[DataEntryManager] id_instrument normalized in getFields:', original, '->', defaultValue);
-            }
+            // Normalize id_instrument if it contains colons (e.g. ACCOUNT:TICKER -> TICKER)
+            if (key === 'id_instrument' && defaultValue && typeof FormatHelper !== 'undefined') {
+                defaultValue = FormatHelper.formatInstrumentCode(defaultValue);
+            }
+
+            return {
+                name: key,
+                label: fieldObject[key],
+                required: this.mandatory.required.includes(key),
+                optional: this.mandatory.optional.includes(key),
+                format: format,
+                defaultValue: defaultValue,
+                // Condizioni di format.json (ValidationRules.matches); requiredWhen sostituisce required/optional
+                visibleWhen: format.visibleWhen || null,
+                requiredWhen: format.requiredWhen || null,
+                // Valore inviato al posto del campo quando è nascosto, con riferimenti {param.x} / {instrument.x}
+                valueWhenHidden: format.valueWhenHidden !== undefined ? String(format.valueWhenHidden) : null
+            };
+        });
+    }
+
+    /**
+     * Campi del form visualizzato: calcolati una volta da generateForm e riusati
+     * da condizioni, calcoli e validazione ad ogni modifica
+     */
+    getFormFields() {
+        return this.formFields || this.getFields();
+    }
+
+    /**
+     * Sezioni dichiarate in structure.json: [{ id, label, fields: [...], visibleWhen }].
+     * Una sezione compare nel form al posto del suo primo campo; i campi fuori sezione restano nella griglia.
+     */
+    getSections() {
+        return (this.structure && Array.isArray(this.structure.sections)) ? this.structure.sections : [];
+    }
+
+    getFieldSection(name) {
+        return this.getSections().find(section => (section.fields || []).includes(name)) || null;
+    }
+
+    /**
+     * Campi con condizioni, per non ricalcolare nulla sui form che non ne hanno
+     */
+    hasConditions(fields = this.getFormFields()) {
+        return fields.some(f => f.visibleWhen || f.requiredWhen) || this.getSections().some(s => s.visibleWhen);
+    }
+
+    /**
+     * Dati esterni al form usati da regole e condizioni
+     */
+    getConditionContext() {
+        return { getInstrument: this.getInstrument, params: this.getConditionParams() || {} };
+    }
+
+    /**
+     * Visibilità e obbligatorietà di ogni campo per i valori dati
+     * @returns {Object} nome -> { visible, required }
+     */
+    getFieldStates(fields = this.getFormFields(), values = this.getRuleValues(fields)) {
+        const context = this.getConditionContext();
+        const states = {};
+        fields.forEach(field => {
+            const section = this.getFieldSection(field.name);
+            const visible = ValidationRules.matches(field.visibleWhen, values, context) &&
+                (!section || ValidationRules.matches(section.visibleWhen, values, context));
+            const required = field.requiredWhen ? ValidationRules.matches(field.requiredWhen, values, context) : field.required;
+            states[field.name] = { visible, required: visible && required };
+        });
+        return states;
+    }
+
+    /**
+     * Valori con i campi nascosti vuoti (o valueWhenHidden), per regole e validazione dei record
+     */
+    getActiveValues(fields, values, states = this.getFieldStates(fields, values)) {
+        const active = { ...values };
+        fields.forEach(field => {
+            if (!states[field.name].visible) active[field.name] = this.getHiddenValue(field, values);
+        });
+        return active;
+    }
+
+    /**
+     * Record costruito fuori dal form (import): i campi nascosti e vuoti ricevono valueWhenHidden
+     * @returns {Object} lo stesso record
+     */
+    fillHiddenValues(record) {
+        const fields = this.getFormFields();
+        const values = {};
+        fields.forEach(field => { values[field.name] = String(record[field.name] === undefined || record[field.name] === null ? '' : record[field.name]).trim(); });
+
+        const states = this.getFieldStates(fields, values);
+        fields.forEach(field => {
+            if (!states[field.name].visible && field.valueWhenHidden !== null && !values[field.name]) {
+                record[field.name] = this.getHiddenValue(field, values);
+            }
+        });
+        return record;
+    }
+
+    getHiddenValue(field, values) {
+        if (field.valueWhenHidden === null) return '';
+        return ValidationRules.interpolate(field.valueWhenHidden, values, this.getConditionContext());
+    }
+
+    /**
+     * Ottiene la traduzione per una label
+     */
+    getTranslation(key) {
+        return this.getTranslationFn(key);
+    }
+
+    /**
+     * Ottiene la traduzione per un evento
+     */
+    getEventTranslation(code) {
+        return this.getEventTranslationFn(code);
+    }
+
+    /**
+     * Genera il campo input in base al formato (FieldTypes)
+     */
+    generateFieldInput(field) {
+        return FieldTypes.render(field, {
+            t: key => this.getTranslation(key),
+            getEventTranslation: code => this.getEventTranslation(code)
+        });
+    }
+
+    /**
+     * Griglie dei campi: i campi consecutivi fuori sezione in una "form-grid",
+     * ogni sezione in un fieldset con la sua griglia
+     * @param {Function} renderField - campo -> HTML del suo form-group
+     */
+    renderFieldGroups(fields, renderField) {
+        const blocks = [];
+        const rendered = new Set();
+
+        fields.forEach(field => {
+            if (rendered.has(field.name)) return;
+
+            const section = this.getFieldSection(field.name);
+            if (!section) {
+                const last = blocks[blocks.length - 1];
+                if (last && !last.section) last.fields.push(field);
+                else blocks.push({ section: null, fields: [field] });
+                rendered.add(field.name);
+                return;
+            }
+
+            const members = fields.filter(f => section.fields.includes(f.name));
+            members.forEach(f => rendered.add(f.name));
+            blocks.push({ section, fields: members });
+        });
+
+        if (this.getSections().length) DataEntryManager.injectConditionStyles();
+
+        return blocks.map(block => {
+            const grid = `<div class="form-grid">${block.fields.map(renderField).join('')}</div>`;
+            if (!block.section) return grid;
+
+            const id = FieldTypes.escape(block.section.id || '');
+            const label = block.section.label ? this.translateKey(block.section.label) || block.section.label : '';
+            return `
+                <fieldset class="form-section" data-section="${id}">
+                    ${label ? `<legend class="form-section-title">${FieldTypes.escape(label)}</legend>` : ''}
+                    ${grid}
+                </fieldset>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Genera il form HTML completo
+     */
+    generateForm(containerId) {
+        const fields = this.getFields();
+        this.formFields = fields;
+        const container = document.getElementById(containerId);
+
+        if (!container) {
+            console.error(`Container ${containerId} non trovato`);
+            return;
+        }
+
+        let html = `
+      <form id="dataentry-form" class="dataentry-form">
+    `;
+
+        html += this.renderFieldGroups(fields, field => {
+            const labelKey = field.name;
+            const labelText = this.getTranslation(labelKey) || field.name;
+            const requiredMark = field.required ? '<span class="required-mark">*</span>' : '';
+
+            return `
+        <div class="form-group ${field.required ? 'required' : ''}">
+          <label for="field_${field.name}" class="form-label">
+            ${labelText}${requiredMark}
+          </label>
+          ${this.generateFieldInput(field)}
+          <span class="error-message" id="error_${field.name}"></span>
+        </div>
+      `;
+        });
+
+        html += `
+        <div class="form-actions">
+          <button type="submit" class="btn btn-primary">${this.getTranslation('int.save') || 'Salva'}</button>
+          <button type="reset" class="btn btn-secondary">${this.getTranslation('int.cancel') || 'Annulla'}</button>
+        </div>
+      </form>
+    `;
+
+        container.innerHTML = html;
+        this.attachEventListeners();
+    }
+
+    /**
+     * Collega gli event listener al form
+     */
+    attachEventListeners() {
+        const form = document.getElementById('dataentry-form');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.validateForm()) {
+                const data = this.getFormData();
+                if (this.onSubmit) {
+                    this.onSubmit(data);
+                }
+            }
+        });
+
+        form.addEventListener('reset', (e) => {
+            setTimeout(() => this.clearErrors(), 0);
+        });
+
+        this.attachAutosave();
+
+        if (this.onChange) {
+            form.addEventListener('change', (e) => {
+                this.onChange(e.target.name, e.target.value);
+            });
+        }
+
+        this.attachAutoCompute();
+        this.attachConditions();
+
+        // Handle blur events for normalization
+        form.addEventListener('focusout', (e) => {
+            if (e.target.matches('.form-input')) {
+                const format = e.target.dataset.format;
+                const value = e.target.value;
+
+                if (!value || !format) return;
+
+                const normalized = FieldTypes.normalize(format, value);
+
+                if (normalized !== value) {
+                    e.target.value = normalized;
+                    // Also trigger onChange if defined
+                    if (this.onChange) {
+                        this.onChange(e.target.name, normalized);
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Valida un singolo campo con il validatore del suo tipo (FieldTypes)
+     * @returns {Object} { isValid, message, normalized }
+     */
+    validateField(field, value) {
+        const { required, format } = field;
+
+        // Check required fields
+        if (required && !value.trim()) {
+            return {
+                isValid: false,
+                message: FieldTypes.translate(key => this.getTranslation(key), 'int.field.required', 'Campo obbligatorio')
+            };
+        }
+
+        if (!value) return { isValid: true };
+
+        return FieldTypes.check(format.format, value, field, key => this.getTranslation(key));
+    }
+
+    /**
+     * Valida il form completo
+     */
+    validateForm() {
+        let isValid = true;
+        this.clearErrors();
+
+        const fields = this.getFormFields();
+        const states = this.getFieldStates(fields);
+        fields.forEach(field => {
+            const input = document.getElementById(`field_${field.name}`);
+            if (!input || !states[field.name].visible) return;
+
+            const result = this.validateField({ ...field, required: states[field.name].required }, input.value);
+            if (!result.isValid) {
+                this.showError(field.name, result.message);
+                isValid = false;
+            } else if (result.normalized && result.normalized !== input.value) {
+                input.value = result.normalized;
+            }
+        });
+
+        return this.validateRules() && isValid;
+    }
+
+    /**
+     * Regole tra campi dichiarate in mandatory.json ("rules")
+     */
+    getRules() {
+        return (this.mandatory && Array.isArray(this.mandatory.rules)) ? this.mandatory.rules : [];
+    }
+
+    /**
+     * Valuta le regole tra campi e mostra gli errori tradotti.
+     * I campi che hanno già un errore di formato non ricevono un secondo messaggio.
+     * @returns {boolean} true se tutte le regole sono rispettate
+     */
+    validateRules() {
+        const rules = this.getRules();
+        if (!rules.length) return true;
+
+        const fields = this.getFormFields();
+        // I campi nascosti non partecipano alle regole
+        const values = this.getActiveValues(fields, this.getRuleValues(fields));
+
+        const errors = ValidationRules.evaluateAll(rules, values, this.getConditionContext());
+        let isValid = true;
+        errors.forEach(error => {
+            const errorEl = document.getElementById(`error_${error.field}`);
+            if (errorEl && errorEl.textContent) return;
+
+            this.showError(error.field, this.formatRuleError(error, fields));
+            isValid = false;
+        });
+        return isValid;
+    }
+
+    /**
+     * Messaggio tradotto di una regola violata, con le etichette dei campi
+     */
+    formatRuleError(error, fields = this.getFormFields()) {
+        const label = (name) => {
+            const field = fields.find(f => f.name === name);
+            return field ? this.translateKey(field.label) || name : name;
+        };
+        const params = {
+            ...error.params,
+            field: label(error.field),
+            other: error.params.other !== undefined ? label(error.params.other) : ''
+        };
+        const template = this.translateKey(error.rule.message) || ValidationRules.DEFAULT_MESSAGES[error.rule.type] || '';
+        return template.replace(/\{([\w:@.]+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * Valida un record fuori dal form (import massivo): formato e obbligatorietà di ogni campo,
+     * esistenza dello strumento e regole tra campi. Le condizioni dei campi valgono come nel form.
+     * @param {Object} record - nome campo -> valore
+     * @returns {Array<{field, message}>} al massimo un errore per campo
+     */
+    validateRecord(record) {
+        const fields = this.getFormFields();
+        const values = {};
+        const errors = [];
+
+        fields.forEach(field => {
+            values[field.name] = String(record[field.name] === undefined || record[field.name] === null ? '' : record[field.name]).trim();
+        });
+        const states = this.getFieldStates(fields, values);
+
+        fields.forEach(field => {
+            if (!states[field.name].visible) return;
+            const value = values[field.name];
+
+            const result = this.validateField({ ...field, required: states[field.name].required }, value);
+            if (!result.isValid) {
+                errors.push({ field: field.name, message: result.message });
+            } else if (field.format.format === 'FE_Instrument' && value && this.getInstrument && !this.getInstrument(value)) {
+                const message = this.translateKey('int.error.instrument.notfound') || 'Dati strumento non trovati per codice:';
+                errors.push({ field: field.name, message: `${message} ${value}` });
+            }
+        });
+
+        ValidationRules.evaluateAll(this.getRules(), this.getActiveValues(fields, values, states), this.getConditionContext()).forEach(error => {
+            if (errors.some(e => e.field === error.field)) return;
+            errors.push({ field: error.field, message: this.formatRuleError(error, fields) });
+        });
+        return errors;
+    }
+
+    /**
+     * Invia un record costruito fuori dal form (es. ripristino di una versione dallo storico)
+     * con gli stessi controlli di validateRecord, poi onSubmit
+     * @returns {Promise<Array>} errori [{ field, message }], vuoto se inviato
+     */
+    async submitRecord(record) {
+        const errors = this.validateRecord(record);
+        if (errors.length) return errors;
+
+        if (this.onSubmit) await this.onSubmit(record);
+        return [];
+    }
 
-            return {
-                name: key,
-                label: fieldObject[key],
-                required: this.mandatory.required.includes(key),
-                optional: this.mandatory.optional.includes(key),
-                format: format,
-                defaultValue: defaultValue
-            };
+    /**
+     * Valori correnti del form per regole e calcoli, ripuliti come in getFormData
+     */
+    getRuleValues(fields = this.getFormFields()) {
+        const values = {};
+        fields.forEach(field => {
+            let value = String(this.getFieldValue(field.name) || '').trim();
+            // "FI-BB - Acquisto" -> "FI-BB", come in getFormData
+            if (value.includes(' - ')) value = value.split(' - ')[0].trim();
+            if (field.name === 'id_instrument') value = FormatHelper.formatInstrumentCode(value);
+            values[field.name] = value;
         });
+        return values;
     }
 
     /**
-     * Ottiene la traduzione per una label
+     * Espressione di amount:net: quella della regola "formula" di mandatory.json se presente,
+     * così calcolo e validazione non possono divergere
      */
-    getTranslation(key) {
-        return this.getTranslationFn(key);
+    getNetExpression() {
+        const rule = this.getRules().find(r => r.type === 'formula' && r.field === 'amount:net' && r.expression);
+        return rule ? rule.expression : TradeCalculator.NET_EXPRESSION;
     }
 
     /**
-     * Ottiene la traduzione per un evento
+     * Calcolo automatico degli importi mentre l'utente digita.
+     * I campi calcolati hanno la classe "computed"; se l'utente scrive un valore proprio il campo
+     * diventa "overridden" e, se diverge dal calcolato, compare un avviso non bloccante.
+     * Svuotando il campo si torna al calcolo automatico.
      */
-    getEventTranslation(code) {
-        return this.getEventTranslationFn(code);
+    attachAutoCompute() {
+        const form = document.getElementById('dataentry-form');
+        if (!form || !this.autoCompute) return;
+
+        const targets = TradeCalculator.DERIVED_FIELDS
+            .map(name => document.getElementById(`field_${name}`))
+            .filter(input => input && !input.readOnly);
+        if (!targets.length) return;
+
+        DataEntryManager.injectComputedStyles();
+
+        // Importi già valorizzati (da URL o portfolio) sono dell'utente, non si sovrascrivono
+        targets.forEach(input => {
+            if (input.value.trim()) input.dataset.override = 'true';
+        });
+
+        form.addEventListener('input', (e) => {
+            if (TradeCalculator.DERIVED_FIELDS.includes(e.target.name)) {
+                e.target.dataset.override = e.target.value.trim() ? 'true' : '';
+            }
+            this.updateComputedFields();
+        });
+        form.addEventListener('change', () => this.updateComputedFields());
+        form.addEventListener('reset', () => {
+            setTimeout(() => {
+                targets.forEach(input => { input.dataset.override = ''; });
+                this.updateComputedFields();
+            }, 0);
+        });
+
+        this.updateComputedFields();
     }
 
     /**
-     * Genera il campo input in base al formato
+     * Ricalcola amount:gross e poi amount:net (che usa il lordo, calcolato o inserito)
      */
-    generateFieldInput(field) {
-        const { name, format, defaultValue, required } = field;
-        const formatType = format.format || 'text';
-        const isFixed = format.modify === "False" && defaultValue;
+    updateComputedFields() {
+        const values = this.getRuleValues();
+        const instrument = this.getInstrument && values.id_instrument ? this.getInstrument(values.id_instrument) : null;
 
-        // Special handling for id_instrument - extract only the code
-        let value = defaultValue || '';
-        if (name === 'id_instrument' && value) {
-            value = FormatHelper.formatInstrumentCode(value);
+        if ('amount:gross' in values) {
+            values['amount:gross'] = this.applyComputed('amount:gross', TradeCalculator.computeGross(values, instrument));
+        }
+        if ('amount:net' in values) {
+            this.applyComputed('amount:net', TradeCalculator.computeNet(values, this.getNetExpression()));
         }
+    }
 
-        let input = '';
-        const fixedClass = isFixed ? ' fixed-field' : '';
-        const fieldId = `field_${name}`;
-
-        switch (formatType) {
-            case 'FE_Decimal':
-                input = `<input type="text" 
-                               name="${name}" 
-                               id="${fieldId}"
-                               ${required ? 'required' : ''}
-                               ${isFixed ? 'readonly' : ''}
-                               value="${value}"
-                               class="form-input${fixedClass}"
-                               data-format="FE_Decimal"
-                               placeholder="es: 123.45 EUR">`;
-                break;
-
-            case 'FE_Exchange':
-                input = `<input type="text" 
-                               name="${name}" 
-                               id="${fieldId}"
-                               ${required ? 'required' : ''}
-                               ${isFixed ? 'readonly' : ''}
-                               value="${value}"
-                               class="form-input${fixedClass}"
-                               data-format="FE_Exchange"
-                               placeholder="es: 1.10 EUR/USD">`;
-                break;
-
-            case 'FE_Crypto':
-                input = `<input type="text" 
-                               name="${name}" 
-                               id="${fieldId}"
-                               ${required ? 'required' : ''}
-                               ${isFixed ? 'readonly' : ''}
-                               value="${value}"
-                               class="form-input${fixedClass}"
-                               data-format="FE_Crypto"
-                               placeholder="es: 0.05 BTC">`;
-                break;
-
-            case 'FE_Float':
-                input = `<input type="text" 
-                               name="${name}" 
-                               id="${fieldId}"
-                               ${required ? 'required' : ''}
-                               ${isFixed ? 'readonly' : ''}
-                               value="${value}"
-                               class="form-input${fixedClass}"
-                               data-format="FE_Float"
-                               placeholder="es: 123.45">`;
-                break;
-
-            case 'FE_Date':
-                input = `<input type="text" 
-                               name="${name}" 
-                               id="${fieldId}"
-                               ${required ? 'required' : ''}
-                               ${isFixed ? 'readonly' : ''}
-                               value="${value}" 
-                               class="form-input${fixedClass}"
-                               data-format="FE_Date"
-                               placeholder="es: 2024-12-19">`;
-                break;
-
-            case 'FE_DateTime':
-                input = `<input type="text" 
-                               name="${name}" 
-                               id="${fieldId}"
-                               ${required ? 'required' : ''}
-                               ${isFixed ? 'readonly' : ''}
-                               value="${value}" 
-                               class="form-input${fixedClass}"
-                               data-format="FE_DateTime"
-                               placeholder="es: 2024-12-19 14:30:00+0100">`;
-                break;
-
-            case 'FE_Account':
-            case 'FE_Instrument':
-            case 'FE_Event':
-                if (name === 'id_instrument') {
-                    input = `<input type="text" 
-                                   name="${name}" 
-                                   id="${fieldId}"
-                                   ${required ? 'required' : ''}
-                                   ${isFixed ? 'readonly' : ''}
-                                   value="${value}" 
-                                   class="form-input${fixedClass}"
-                                   data-format="${formatType}"
-                                   placeholder="Codice strumento">`;
-                } else if (name === 'id_event' || name.startsWith('id_event') || name === 'type_event' || name.startsWith('type_event')) {
-                    // For id_event/type_event, show translated description
-                    const eventDesc = value ? this.getEventTranslation(value) : '';
-                    const displayValue = eventDesc && eventDesc !== value ? `${value} - ${eventDesc}` : value;
-                    input = `<input type="text" 
-                                   name="${name}" 
-                                   id="${fieldId}"
-                                   ${required ? 'required' : ''}
-                                   ${isFixed ? 'readonly' : ''}
-                                   value="${displayValue}" 
-                                   data-code="${value}"
-                                   class="form-input${fixedClass}"
-                                   data-format="${formatType}">`;
-                } else {
-                    input = `<input type="text" 
-                                   name="${name}" 
-                                   id="${fieldId}"
-                                   ${required ? 'required' : ''}
-                                   ${isFixed ? 'readonly' : ''}
-                                   value="${value}" 
-                                   class="form-input${fixedClass}"
-                                   data-format="${formatType}"
-                                   list="${name}-list">
-                             <datalist id="${name}-list"></datalist>`;
-                }
-                break;
+    /**
+     * Scrive il valore calcolato nel campo, oppure confronta quello inserito dall'utente
+     * @returns {string} valore risultante del campo
+     */
+    applyComputed(name, computed) {
+        const input = document.getElementById(`field_${name}`);
+        if (!input || input.readOnly) return input ? input.value.trim() : '';
 
-            default:
-                if (formatType.startsWith('list:')) {
-                    try {
-                        const listValues = JSON.parse(formatType.replace('list:', ''));
-                        const options = listValues.map(v =>
-                            `<option value="${v}" ${v == value ? 'selected' : ''}>${v}</option>`
-                        ).join('');
-
-                        input = `<select name="${name}" 
-                                         id="${fieldId}"
-                                         ${required ? 'required' : ''}
-                                         ${isFixed ? 'disabled' : ''}
-                                         class="form-select${fixedClass}"
-                                         data-format="list">
-                                    <option value="">-- ${this.getTranslation('int.select.option') || 'Seleziona'} --</option>
-                                    ${options}
-                                </select>`;
-                    } catch (e) {
-                        input = `<input type="text" 
-                                       name="${name}" 
-                                       id="${fieldId}"
-                                       ${required ? 'required' : ''}
-                                       ${isFixed ? 'readonly' : ''}
-                                       value="${value}" 
-                                       class="form-input${fixedClass}">`;
-                    }
-                } else {
-                    input = `<input type="text" 
-                                   name="${name}" 
-                                   id="${fieldId}"
-                                   ${required ? 'required' : ''}
-                                   ${isFixed ? 'readonly' : ''}
-                                   value="${value}" 
-                                   class="form-input${fixedClass}">`;
-                }
+        const overridden = input.dataset.override === 'true';
+        if (!overridden) {
+            if (computed !== null) input.value = computed;
+            else if (input.classList.contains('computed')) input.value = '';
         }
 
-        return input;
+        input.classList.toggle('computed', !overridden && computed !== null);
+        input.classList.toggle('overridden', overridden);
+        input.dataset.computed = computed || '';
+
+        const mismatch = overridden && computed !== null && TradeCalculator.differs(input.value, computed);
+        this.showComputedWarning(name, mismatch ? computed : null);
+        return input.value.trim();
     }
 
     /**
-     * Genera il form HTML completo
+     * Avviso sotto al campo con il valore calcolato e il pulsante per ripristinarlo
+     * @param {string|null} computed - null per nascondere l'avviso
      */
-    generateForm(containerId) {
-        const fields = this.getFields();
-        const container = document.getElementById(containerId);
+    showComputedWarning(name, computed) {
+        const input = document.getElementById(`field_${name}`);
+        const group = input ? input.closest('.form-group') : null;
+        if (!group) return;
 
-        if (!container) {
-            console.error(`Container ${containerId} non trovato`);
+        let warning = group.querySelector('.computed-warning');
+        if (!computed) {
+            if (warning) warning.remove();
             return;
         }
 
-        let html = `
-      <form id="dataentry-form" class="dataentry-form">
-        <div class="form-grid">
-    `;
+        if (!warning) {
+            warning = document.createElement('div');
+            warning.className = 'computed-warning';
+            warning.id = `warning_${name}`;
+            warning.innerHTML = '<i class="fa fa-exclamation-triangle"></i> <span class="computed-warning-text"></span> <button type="button" class="computed-restore"><i class="fa fa-undo"></i></button>';
+            warning.querySelector('.computed-restore').addEventListener('click', () => {
+                input.dataset.override = '';
+                this.updateComputedFields();
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+            group.appendChild(warning);
+        }
 
-        fields.forEach(field => {
-            const labelKey = field.name;
-            const labelText = this.getTranslation(labelKey) || field.name;
-            const requiredMark = field.required ? '<span class="required-mark">*</span>' : '';
+        warning.querySelector('.computed-warning-text').textContent =
+            this.formatKey('int.computed.mismatch', 'Valore calcolato: {expected}', { expected: computed });
+        warning.querySelector('.computed-restore').title = this.translateKey('int.computed.restore') || 'Usa il valore calcolato';
+    }
 
-            html += `
-        <div class="form-group ${field.required ? 'required' : ''}">
-          <label for="field_${field.name}" class="form-label">
-            ${labelText}${requiredMark}
-          </label>
-          ${this.generateFieldInput(field)}
-          <span class="error-message" id="error_${field.name}"></span>
-        </div>
-      `;
-        });
+    static injectComputedStyles() {
+        if (document.getElementById('dataentry-computed-styles')) return;
 
-        html += `
-        </div>
-        <div class="form-actions">
-          <button type="submit" class="btn btn-primary">${this.getTranslation('int.save') || 'Salva'}</button>
-          <button type="reset" class="btn btn-secondary">${this.getTranslation('int.cancel') || 'Annulla'}</button>
-        </div>
-      </form>
-    `;
+        const css = `
+            .form-input.computed {
+                background: #f3f8ff;
+                border-style: dashed;
+            }
+            .form-input.overridden {
+                border-color: #f0ad4e;
+            }
+            .computed-warning {
+                color: #8a6d3b;
+                font-size: 0.8rem;
+                margin-top: 4px;
+                display: flex;
+                align-items: center;
+                gap: 6px;
+            }
+            .computed-restore {
+                background: none;
+                border: 1px solid #ccc;
+                border-radius: 3px;
+                cursor: pointer;
+                padding: 1px 6px;
+            }
+        `;
 
-        container.innerHTML = html;
-        this.attachEventListeners();
+        const style = document.createElement('style');
+        style.id = 'dataentry-computed-styles';
+        style.textContent = css;
+        document.head.appendChild(style);
     }
 
+    // ========== CAMPI CONDIZIONATI ==========
+
     /**
-     * Collega gli event listener al form
+     * Mostra e nasconde campi e sezioni secondo visibleWhen/requiredWhen mentre l'utente compila.
+     * Le pagine che sovrascrivono attachEventListeners la richiamano dopo aver collegato i campi.
      */
-    attachEventListeners() {
+    attachConditions() {
+        const form = document.getElementById('dataentry-form');
+        if (!form || !this.hasConditions()) return;
+
+        DataEntryManager.injectConditionStyles();
+        const update = () => this.applyConditions();
+        form.addEventListener('input', update);
+        form.addEventListener('change', update);
+        form.addEventListener('reset', () => setTimeout(update, 0));
+        this.applyConditions();
+    }
+
+    /**
+     * Applica lo stato di ogni campo al form.
+     * Un campo nascosto è disabilitato (non viene inviato né validato dal browser);
+     * con valueWhenHidden resta attivo e invia quel valore, quello dell'utente torna quando riappare.
+     */
+    applyConditions() {
         const form = document.getElementById('dataentry-form');
         if (!form) return;
 
-        form.addEventListener('submit', (e) => {
-            e.preventDefault();
-            if (this.validateForm()) {
-                const data = this.getFormData();
-                if (this.onSubmit) {
-                    this.onSubmit(data);
+        const fields = this.getFormFields();
+        if (!this.hasConditions(fields)) return;
+        const values = this.getRuleValues(fields);
+        const states = this.getFieldStates(fields, values);
+
+        fields.forEach(field => {
+            const input = document.getElementById(`field_${field.name}`);
+            const group = input ? input.closest('.form-group') : null;
+            if (!group) return;
+
+            const { visible, required } = states[field.name];
+            const wasHidden = group.classList.contains('condition-hidden');
+            group.classList.toggle('condition-hidden', !visible);
+            group.hidden = !visible;
+
+            const controls = Array.from(group.querySelectorAll('input, select, textarea'));
+            if (!visible && !wasHidden) {
+                if (field.valueWhenHidden !== null) {
+                    input.dataset.hiddenValue = input.value;
+                } else {
+                    controls.filter(el => !el.disabled).forEach(el => {
+                        el.disabled = true;
+                        el.dataset.conditionDisabled = 'true';
+                    });
+                }
+                const errorEl = document.getElementById(`error_${field.name}`);
+                if (errorEl) errorEl.textContent = '';
+                input.classList.remove('error');
+            } else if (visible && wasHidden) {
+                if (input.dataset.hiddenValue !== undefined) {
+                    input.value = input.dataset.hiddenValue;
+                    delete input.dataset.hiddenValue;
                 }
+                controls.filter(el => el.dataset.conditionDisabled).forEach(el => {
+                    el.disabled = false;
+                    delete el.dataset.conditionDisabled;
+                });
             }
+
+            // Il valore sostitutivo segue i dati da cui dipende (es. la divisa dello strumento)
+            if (!visible && field.valueWhenHidden !== null) input.value = this.getHiddenValue(field, values);
+
+            // Asterisco e attributo required seguono requiredWhen
+            group.classList.toggle('required', required);
+            const label = group.querySelector('.form-label');
+            const mark = label ? label.querySelector('.required-mark') : null;
+            if (label && required && !mark) label.insertAdjacentHTML('beforeend', '<span class="required-mark">*</span>');
+            if (mark && !required) mark.remove();
+            controls.filter(el => el.name === field.name && el.type !== 'hidden').forEach(el => { el.required = required; });
         });
 
-        form.addEventListener('reset', (e) => {
-            setTimeout(() => this.clearErrors(), 0);
+        // Una sezione sparisce quando non ha più campi visibili
+        form.querySelectorAll('.form-section').forEach(section => {
+            section.hidden = !section.querySelector('.form-group:not(.condition-hidden)');
         });
+    }
 
-        if (this.onChange) {
-            form.addEventListener('change', (e) => {
-                this.onChange(e.target.name, e.target.value);
-            });
-        }
+    static injectConditionStyles() {
+        if (document.getElementById('dataentry-condition-styles')) return;
 
-        // Handle blur events for normalization
-        form.addEventListener('focusout', (e) => {
-            if (e.target.matches('.form-input')) {
-                const format = e.target.dataset.format;
-                const value = e.target.value;
+        const css = `
+            .form-section {
+                border: 1px solid #e0e0e0;
+                border-radius: 6px;
+                padding: 12px 16px 4px;
+                margin: 0 0 16px;
+            }
+            .form-section-title {
+                font-weight: 600;
+                font-size: 0.9rem;
+                padding: 0 6px;
+                color: #333;
+            }
+            .form-group.condition-hidden,
+            .form-section[hidden] {
+                display: none;
+            }
+        `;
 
-                if (!value) return;
+        const style = document.createElement('style');
+        style.id = 'dataentry-condition-styles';
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
 
-                let normalized = value;
-                if (format === 'FE_Crypto') {
-                    normalized = FormatHelper.normalizeCrypto(value);
-                } else if (format === 'FE_Decimal') {
-                    normalized = FormatHelper.normalizeDecimal(value);
-                } else if (format === 'FE_Exchange') {
-                    normalized = FormatHelper.normalizeExchange(value);
-                }
+    // ========== BOZZE ==========
 
-                if (normalized !== value) {
-                    e.target.value = normalized;
-                    // Also trigger onChange if defined
-                    if (this.onChange) {
-                        this.onChange(e.target.name, normalized);
-                    }
-                }
-            }
+    /**
+     * Salva il form come bozza mentre l'utente scrive e propone quella trovata all'apertura.
+     * Le pagine che sovrascrivono attachEventListeners la richiamano dopo aver collegato i campi.
+     */
+    attachAutosave() {
+        const form = document.getElementById('dataentry-form');
+        if (!form || !this.autosave || typeof DraftStore === 'undefined') return;
+
+        this.draftForm = form;
+        // Valori iniziali (default, parametri URL): una bozza identica non serve
+        this.draftBaseline = JSON.stringify(this.getFormData());
+
+        const schedule = () => {
+            clearTimeout(this.draftTimer);
+            this.draftTimer = setTimeout(() => this.saveDraft(), this.draftDelay);
+        };
+        form.addEventListener('input', schedule);
+        form.addEventListener('change', schedule);
+        form.addEventListener('reset', () => setTimeout(() => this.discardDraft(), 0));
+
+        // Chiusura della pagina prima dello scadere del timer
+        window.addEventListener('pagehide', () => {
+            if (this.draftTimer) this.saveDraft();
         });
+
+        this.offerDraftRestore();
     }
 
-    /**
-     * Valida un singolo campo
-     */
-    validateField(field, value) {
-        const { name, required, format } = field;
-        const formatType = format.format || 'text';
+    saveDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        // Form sostituito (es. cambio tipo strumento): i valori non sono più di questo manager
+        if (!this.draftForm || !this.draftForm.isConnected) return;
 
-        // Check required fields
-        if (required && !value.trim()) {
-            return {
-                isValid: false,
-                message: this.getTranslation('int.field.required') || 'Campo obbligatorio'
-            };
+        const values = this.getFormData();
+        if (JSON.stringify(values) === this.draftBaseline) {
+            DraftStore.remove(this.user, this.folder, this.filePrefix);
+            return;
         }
 
-        if (!value) return { isValid: true };
+        DraftStore.save(this.user, this.folder, this.filePrefix, values, { title: document.title });
 
-        // Validate FE_Decimal format
-        if (formatType === 'FE_Decimal' && value) {
-            const normalized = FormatHelper.normalizeDecimal(value);
-            // Non possiamo aggiornare l'input qui direttamente se non abbiamo il riferimento
-            // ma possiamo almeno validare il normalizzato
-            if (!FormatHelper.validateDecimal(normalized)) {
-                return {
-                    isValid: false,
-                    message: this.getTranslation('int.format.decimal.invalid') || 'Formato non valido. Usa: valore:DIVISA'
-                };
-            }
-        }
+        // La bozza proposta all'apertura è stata sostituita da quella corrente
+        const banner = document.getElementById('draft-banner');
+        if (banner) banner.remove();
+    }
 
-        // Validate FE_Exchange format
-        if (formatType === 'FE_Exchange' && value) {
-            const normalized = FormatHelper.normalizeExchange(value);
-            if (!FormatHelper.validateExchange(normalized)) {
-                return {
-                    isValid: false,
-                    message: this.getTranslation('int.format.exchange.invalid') || 'Formato non valido. Usa: valore:DIVISA/DIVISA'
-                };
-            }
+    /**
+     * Elimina la bozza (dopo il salvataggio o il reset): i valori attuali diventano il riferimento
+     */
+    discardDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        if (typeof DraftStore === 'undefined') return;
+
+        DraftStore.remove(this.user, this.folder, this.filePrefix);
+        if (this.draftForm && this.draftForm.isConnected) {
+            this.draftBaseline = JSON.stringify(this.getFormData());
         }
+    }
 
-        // Validate FE_Crypto format
-        if (formatType === 'FE_Crypto' && value) {
-            const normalized = FormatHelper.normalizeCrypto(value);
-            if (!FormatHelper.validateCrypto(normalized)) {
-                return {
-                    isValid: false,
-                    message: this.getTranslation('int.format.crypto.invalid') || 'Formato non valido. Usa: valore:CODICE (es: 0.5:BTC)'
-                };
-            }
-            return { isValid: true, normalized: normalized };
-        }
+    offerDraftRestore() {
+        const draft = DraftStore.load(this.user, this.folder, this.filePrefix);
+        if (!draft || JSON.stringify(draft.values) === this.draftBaseline) return;
 
-        // Validate FE_Float format
-        if (formatType === 'FE_Float') {
-            if (!FormatHelper.validateFloat(value)) {
-                return {
-                    isValid: false,
-                    message: this.getTranslation('int.format.float.invalid') || 'Formato non valido. Inserire un numero positivo (es: 123.45)'
-                };
-            }
-        }
+        DataEntryManager.injectDraftStyles();
 
-        // Validate FE_Date format
-        if (formatType === 'FE_Date') {
-            if (!FormatHelper.validateDate(value)) {
-                return {
-                    isValid: false,
-                    message: this.getTranslation('int.format.date.invalid') || 'Formato non valido. Usa: YYYY-MM-DD (es: 2024-12-19)'
-                };
-            }
-        }
+        const previous = document.getElementById('draft-banner');
+        if (previous) previous.remove();
 
-        // Validate FE_DateTime format
-        if (formatType === 'FE_DateTime') {
-            if (!FormatHelper.validateDateTime(value)) {
-                return {
-                    isValid: false,
-                    message: this.getTranslation('int.format.datetime.invalid') || 'Formato non valido. Usa: YYYY-MM-DD HH:MM:SS+ZZZZ (es: 2024-12-19 14:30:00+0100)'
-                };
-            }
-        }
+        const updated = new Date(draft.updated);
+        const date = typeof LocaleFormatter !== 'undefined'
+            ? LocaleFormatter.formatDateTime(updated)
+            : updated.toLocaleString();
 
-        return { isValid: true };
+        const banner = document.createElement('div');
+        banner.id = 'draft-banner';
+        banner.className = 'draft-banner';
+        banner.innerHTML = `
+            <i class="fa fa-history"></i>
+            <span class="draft-banner-text"></span>
+            <button type="button" class="btn btn-primary btn-sm draft-restore"></button>
+            <button type="button" class="btn btn-secondary btn-sm draft-discard"></button>
+        `;
+        banner.querySelector('.draft-banner-text').textContent =
+            this.formatKey('int.draft.found', 'Bozza non salvata del {date}', { date });
+        banner.querySelector('.draft-restore').textContent = this.translateKey('int.draft.restore') || 'Ripristina';
+        banner.querySelector('.draft-discard').textContent = this.translateKey('int.draft.discard') || 'Scarta';
+
+        banner.querySelector('.draft-restore').addEventListener('click', () => {
+            banner.remove();
+            this.restoreDraft(draft.values);
+        });
+        banner.querySelector('.draft-discard').addEventListener('click', () => {
+            banner.remove();
+            this.discardDraft();
+        });
+
+        this.draftForm.parentNode.insertBefore(banner, this.draftForm);
     }
 
     /**
-     * Valida il form completo
+     * Riporta i valori della bozza nel form e rilancia "change" per gli aggiornamenti dipendenti
+     * (settore, eventi, importi calcolati)
      */
-    validateForm() {
-        let isValid = true;
-        this.clearErrors();
+    restoreDraft(values) {
+        this.setFormData(values);
+
+        // Importi presenti nella bozza: restano dell'utente solo se diversi dal calcolato
+        const derived = this.autoCompute
+            ? TradeCalculator.DERIVED_FIELDS
+                .map(name => document.getElementById(`field_${name}`))
+                .filter(input => input && !input.readOnly && input.name in values)
+            : [];
+        derived.forEach(input => { input.dataset.override = values[input.name] ? 'true' : ''; });
+
+        Object.keys(values).forEach(name => {
+            const input = document.getElementById(`field_${name}`);
+            if (input) input.dispatchEvent(new Event('change', { bubbles: true }));
+        });
 
-        const fields = this.getFields();
-        fields.forEach(field => {
-            const input = document.getElementById(`field_${field.name}`);
-            if (!input) return;
+        if (derived.length) {
+            derived.forEach(input => {
+                if (input.dataset.computed && !TradeCalculator.differs(input.value, input.dataset.computed)) {
+                    input.dataset.override = '';
+                }
+            });
+            this.updateComputedFields();
+        }
+    }
 
-            const result = this.validateField(field, input.value);
-            if (!result.isValid) {
-                this.showError(field.name, result.message);
-                isValid = false;
-            } else if (result.normalized && result.normalized !== input.value) {
-                input.value = result.normalized;
+    static injectDraftStyles() {
+        if (document.getElementById('dataentry-draft-styles')) return;
+
+        const css = `
+            .draft-banner {
+                display: flex;
+                align-items: center;
+                flex-wrap: wrap;
+                gap: 10px;
+                background: #fffbea;
+                border: 1px solid #f0ad4e;
+                border-radius: 4px;
+                color: #8a6d3b;
+                font-size: 0.85rem;
+                margin-bottom: 15px;
+                padding: 8px 12px;
             }
-        });
+            .draft-banner-text {
+                flex: 1;
+            }
+        `;
 
-        return isValid;
+        const style = document.createElement('style');
+        style.id = 'dataentry-draft-styles';
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Traduzione di una chiave, cercata anche nel bundle di TranslationManager; null se assente
+     */
+    translateKey(key) {
+        if (!key) return null;
+        const text = this.getTranslationFn(key);
+        if (text && text !== key) return text;
+        if (typeof TranslationManager !== 'undefined' && TranslationManager.has(key)) return TranslationManager.getTranslation(key);
+        return null;
+    }
+
+    /**
+     * Traduzione con segnaposto {name} e plurali ICU applicati da TranslationManager.format
+     */
+    formatKey(key, fallback, params) {
+        const template = this.translateKey(key) || fallback;
+        if (typeof TranslationManager !== 'undefined') return TranslationManager.format(template, params);
+        return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
     }
 
     /**
@@ -689,7 +2089,7 @@ class DataEntryManager {
             if (input && input.dataset.code) {
                 data[key] = input.dataset.code;
             } else {
-                data[key] = value;
+                data[key] = FieldTypes.serialize(input && input.dataset.format, value);
             }
         }
 
@@ -715,19 +2115,17 @@ class DataEntryManager {
      * Imposta i valori del form
      */
     setFormData(data) {
-        console.log('[DataEntryManager] setFormData called with:', data);
         Object.keys(data).forEach(key => {
             const input = document.getElementById(`field_${key}`);
             if (input) {
                 let value = data[key];
                 if (key === 'id_instrument' && value && typeof FormatHelper !== 'undefined') {
-                    const original = value;
                     value = FormatHelper.formatInstrumentCode(value);
-                    console.log('[DataEntryManager] id_instrument normalized in setFormData:', original, '->', value);
                 }
                 input.value = value;
             }
         });
+        this.applyConditions();
     }
 
     /**
@@ -844,6 +2242,9 @@ class InstrumentSearchBox {
                     e.preventDefault();
                     if (this.selectedIndex >= 0) {
                         this.selectResult(this.filteredResults[this.selectedIndex]);
+                    } else if (this.nodes.input.value.trim() && this.filteredResults.length) {
+                        // Typed code + Enter picks the best match without using the arrows
+                        this.selectResult(this.filteredResults[0]);
                     }
                     break;
                 case 'Escape':
@@ -855,28 +2256,44 @@ class InstrumentSearchBox {
 
     handleSearch(query) {
         const q = query.toLowerCase().trim();
+        // ISIN, CUSIP, SEDOL, FIGI or suffixed ticker (js/instrument-identifier.js, when loaded)
+        this.identifier = typeof InstrumentIdentifier !== 'undefined' ? InstrumentIdentifier.parse(query) : null;
         this.filteredResults = Object.entries(this.instruments)
             .map(([id, data]) => ({ id, ...data }))
             .filter(inst => {
                 if (!q) return true;
                 return (
+                    (this.identifier && InstrumentIdentifier.matches(this.identifier, inst)) ||
                     inst.id.toLowerCase().includes(q) ||
                     (inst.instrument_description || '').toLowerCase().includes(q) ||
                     (inst.sector || '').toLowerCase().includes(q) ||
                     (inst.instrument_type || '').toLowerCase().includes(q) ||
                     (inst.id_currency || '').toLowerCase().includes(q)
                 );
-            })
-            .slice(0, 50); // Limit to 50 results
+            });
+
+        // Quick search: exact code first, then codes starting with the query, then the rest
+        if (q) {
+            const rank = inst => {
+                const id = inst.id.toLowerCase();
+                return id === q ? 0 : id.startsWith(q) ? 1 : 2;
+            };
+            this.filteredResults.sort((a, b) => rank(a) - rank(b));
+        }
+        this.filteredResults = this.filteredResults.slice(0, 50); // Limit to 50 results
 
         this.renderDropdown();
     }
 
     renderDropdown() {
+        const hint = this.identifier ?
+            `<div class="dropdown-hint ${this.identifier.valid ? 'valid' : 'invalid'}">${FieldTypes.escape(InstrumentIdentifier.describe(this.identifier, this.getTranslation))}</div>` :
+            '';
+
         if (this.filteredResults.length === 0) {
-            this.nodes.dropdown.innerHTML = `<div class="dropdown-item empty">${this.getTranslation('int.no.results') || 'Nessun risultato'}</div>`;
+            this.nodes.dropdown.innerHTML = `${hint}<div class="dropdown-item empty">${this.getTranslation('int.no.results') || 'Nessun risultato'}</div>`;
         } else {
-            this.nodes.dropdown.innerHTML = this.filteredResults.map((inst, index) => {
+            this.nodes.dropdown.innerHTML = hint + this.filteredResults.map((inst, index) => {
                 const isSelected = index === this.selectedIndex;
                 const sector = inst.sector ? `<span class="badge sector">${inst.sector}</span>` : '';
                 const type = inst.instrument_type ? `<span class="badge typeShort">${inst.instrument_type}</span>` : '';
@@ -981,6 +2398,18 @@ class InstrumentSearchBox {
             .dropdown-item:hover, .dropdown-item.selected {
                 background: #f0f0f0;
             }
+            .dropdown-hint {
+                padding: 6px 12px;
+                font-size: 12px;
+                background: #fafafa;
+                border-bottom: 1px solid #eee;
+            }
+            .dropdown-hint.valid {
+                color: #2e7d32;
+            }
+            .dropdown-hint.invalid {
+                color: #c62828;
+            }
             .dropdown-item.empty {
                 color: #999;
                 font-style: italic;
@@ -1028,28 +2457,21 @@ class InstrumentSearchBox {
 }
 
 /**
- * Shared utilities for Data Entry pages
+ * Shared utilities for Data Entry pages.
+ * Dates and times use the timezone chosen by the user (TimezoneService), not the browser clock:
+ * a trade entered at 23:30 keeps the user's calendar day.
  */
 const DataEntryUtils = {
-    getTimezoneOffsetString() {
-        const tzo = -new Date().getTimezoneOffset();
-        const dif = tzo >= 0 ? '+' : '-';
-        const pad = (num) => String(Math.abs(num)).padStart(2, '0');
-        return dif + pad(Math.floor(tzo / 60)) + pad(tzo % 60);
+    getTimezoneOffsetString(date = new Date()) {
+        return TimezoneService.formatOffset(TimezoneService.getOffsetMinutes(date));
     },
 
     formatCurrentDateTime() {
-        const now = new Date();
-        const pad = (num) => String(num).padStart(2, '0');
-        const dateStr = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
-        const timeStr = `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
-        return `${dateStr} ${timeStr}${this.getTimezoneOffsetString()}`;
+        return TimezoneService.formatDateTime(new Date());
     },
 
     formatCurrentDate() {
-        const now = new Date();
-        const pad = (num) => String(num).padStart(2, '0');
-        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+        return TimezoneService.today();
     }
 };
 
@@ -1077,174 +2499,52 @@ class SharedDataEntryRenderer {
             key;
     }
 
+    /**
+     * Opzioni comuni per FieldTypes: traduzioni e dati della pagina (conti, strumenti, eventi...)
+     */
+    getFieldTypeOptions(extra = {}) {
+        return { t: key => this.getTranslation(key), context: this.context, ...extra };
+    }
+
     generateFieldInput(field) {
-        const { name, label, format, defaultValue, required } = field;
-        const formatType = format.format || 'text';
-        const isFixed = format.modify === "False" && defaultValue;
-        const fieldId = `field_${name}`;
-        const fixedClass = isFixed ? ' fixed-field' : '';
+        const { name, defaultValue } = field;
         let value = (field.value !== undefined ? field.value : defaultValue) || '';
 
         if (name === 'id_instrument' && value && typeof FormatHelper !== 'undefined') {
-            const original = value;
             value = FormatHelper.formatInstrumentCode(value);
-            console.log('[SharedDataEntryRenderer] id_instrument normalized in generateFieldInput:', original, '->', value);
-        } else if (name === 'id_instrument') {
-            console.log('[SharedDataEntryRenderer] id_instrument rendering for field:', field);
         }
 
-        let input = '';
-
-        switch (formatType) {
-            case 'FE_Decimal':
-                input = `<input type="text" name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'readonly' : ''} value="${value}" class="form-input${fixedClass}" data-format="FE_Decimal" placeholder="es: 123.45 EUR">`;
-                break;
-            case 'FE_Exchange':
-                input = `<input type="text" name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'readonly' : ''} value="${value}" class="form-input${fixedClass}" data-format="FE_Exchange" placeholder="es: 1.10:EUR/USD">`;
-                break;
-            case 'FE_Crypto':
-                input = `<input type="text" name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'readonly' : ''} value="${value}" class="form-input${fixedClass}" data-format="FE_Crypto" placeholder="es: 0.05:BTC">`;
-                break;
-            case 'FE_Date':
-                let dateValue = value;
-                if (value && value.includes(' ')) dateValue = value.split(' ')[0];
-                input = `<div class="input-group">
-                            <input type="text" name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'readonly' : ''} value="${dateValue}" class="form-input${fixedClass}" data-format="FE_Date" placeholder="YYYY-MM-DD">
-                            <button type="button" class="btn btn-secondary btn-sm" onclick="document.getElementById('${fieldId}').value = DataEntryUtils.formatCurrentDate()">
-                                <i class="fas fa-calendar-day"></i>
-                            </button>
-                         </div>`;
-                break;
-            case 'FE_DateTime':
-                input = `<div class="input-group">
-                            <input type="text" name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'readonly' : ''} value="${value}" class="form-input${fixedClass}" data-format="FE_DateTime" placeholder="YYYY-MM-DD HH:MM:SS+ZZZZ">
-                            <button type="button" class="btn btn-secondary btn-sm" onclick="document.getElementById('${fieldId}').value = DataEntryUtils.formatCurrentDateTime()">
-                                <i class="fas fa-clock"></i>
-                            </button>
-                         </div>`;
-                break;
-            case 'FE_Account':
-                const filterSector = (this.context.urlParams.account_sector || '').trim();
-                const filteredAccs = (this.context.availableAccounts || []).filter(acc => {
-                    if (!filterSector) return true;
-                    return (acc.account_sector || '').trim() === filterSector;
-                });
-                const accOptions = filteredAccs.map(acc =>
-                    `<option value="${acc.id_account}" ${acc.id_account == value ? 'selected' : ''}>${acc.id_account}</option>`
-                ).join('');
-                input = `<select name="${name}" id="${fieldId}" ${required ? 'required' : ''} class="form-select${fixedClass}" data-format="FE_Account">
-                            <option value="">-- ${this.getTranslation('ins.select.option') || 'Seleziona'} --</option>
-                            ${accOptions}
-                        </select>`;
-                break;
-            case 'FE_Instrument':
-                // Use advanced searchable combobox - Placeholder ID must be field_${name} for initial label/listener logic
-                input = `<div id="field_${name}" class="instrument-search-box-wrapper"></div>`;
-                break;
-            case 'FE_Currency':
-                const currOptions = Object.entries(this.context.availableCurrenciesInstruments || {}).map(([id, curr]) => {
-                    const currId = curr.id || id;
-                    const isSelected = String(currId).trim() === String(value).trim();
-                    return `<option value="${currId}" ${isSelected ? 'selected' : ''}>${currId} ${curr.instrument_description || ''}</option>`;
-                }).join('');
-                input = `<select name="${name}" id="${fieldId}" ${required ? 'required' : ''} class="form-select${fixedClass}" data-format="FE_Currency">
-                            <option value="">-- ${this.getTranslation('ins.select.option') || 'Seleziona'} --</option>
-                            ${currOptions}
-                        </select>`;
-                break;
-            case 'FE_Sector':
-                const sectorOptions = Object.keys(this.context.translations || {})
-                    .filter(key => key.startsWith('dom.sector:'))
-                    .map(key => ({ code: key.split(':')[1], label: this.context.translations[key] }))
-                    .sort((a, b) => a.label.localeCompare(b.label))
-                    .map(sect => `<option value="${sect.code}" ${sect.code == value ? 'selected' : ''}>${sect.label}</option>`)
-                    .join('');
-                input = `<select name="${name}" id="${fieldId}" ${required ? 'required' : ''} class="form-select${fixedClass}" data-format="FE_Sector">
-                            <option value="">-- ${this.getTranslation('ins.select.option') || 'Seleziona'} --</option>
-                            ${sectorOptions}
-                        </select>`;
-                break;
-            case 'FE_Event':
-                const eventSector = (this.context.urlParams.account_sector || '').trim();
-                console.log('[FE_Event] urlParams:', this.context.urlParams);
-                console.log('[FE_Event] account_sector from urlParams:', eventSector);
-                console.log('[FE_Event] eventManifest keys:', Object.keys(this.context.eventManifest || {}));
-                const sectorEvents = (this.context.eventManifest || {})[eventSector] || [];
-                console.log('[FE_Event] Events for sector', eventSector, ':', sectorEvents.length, 'events');
-                const eventOptions = sectorEvents.map(evt => {
-                    const code = evt.id_event || evt.type_event;
-                    const lKey = evt.id_event_label || evt.type_event_label || `eve.${code}`;
-                    const desc = this.getTranslation(lKey);
-                    return `<option value="${code}" ${code == value ? 'selected' : ''}>${code} - ${desc}</option>`;
-                }).join('');
-                input = `<select name="${name}" id="${fieldId}" ${required ? 'required' : ''} class="form-select${fixedClass}" data-format="FE_Event">
-                            <option value="">-- ${this.getTranslation('ins.select.option') || 'Seleziona'} --</option>
-                            ${eventOptions}
-                        </select>`;
-                break;
-            case 'FE_Text':
-                input = `<input type="text" name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'readonly' : ''} value="${value}" class="form-input${fixedClass}" data-format="FE_Text">`;
-                break;
-            default:
-                if (formatType.startsWith('list:')) {
-                    try {
-                        const listValues = JSON.parse(formatType.replace('list:', ''));
-                        const opts = listValues.map(v => `<option value="${v}" ${v == value ? 'selected' : ''}>${v}</option>`).join('');
-                        input = `<select name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'disabled' : ''} class="form-select${fixedClass}" data-format="list">
-                                    <option value="">-- ${this.getTranslation('ins.select.option') || 'Seleziona'} --</option>
-                                    ${opts}
-                                </select>`;
-                    } catch (e) {
-                        input = `<input type="text" name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'readonly' : ''} value="${value}" class="form-input${fixedClass}">`;
-                    }
-                } else {
-                    input = `<input type="text" name="${name}" id="${fieldId}" ${required ? 'required' : ''} ${isFixed ? 'readonly' : ''} value="${value}" class="form-input${fixedClass}">`;
-                }
-        }
-        return input;
+        return FieldTypes.render(field, this.getFieldTypeOptions({ value }));
     }
 
+    /**
+     * Listener del tipo (es. ricerca strumento) oppure normalizzazione e verifica all'uscita dal campo
+     */
     attachFieldListeners(field, inputElement, callbacks = {}) {
-        const formatType = field.format.format || 'text';
-        const isFixed = field.format.modify === "False" && field.defaultValue;
-        const name = field.name;
-
-        if (formatType === 'FE_Instrument') {
-            const wrapper = inputElement.querySelector('.instrument-search-box-wrapper') || inputElement;
-            if (wrapper) {
-                new InstrumentSearchBox(wrapper, {
-                    instruments: this.context.availableInstruments,
-                    getTranslation: key => this.getTranslation(key),
-                    name: field.name,
-                    required: field.required,
-                    defaultValue: field.defaultValue || this.context.urlParams[name] || '',
-                    isFixed: isFixed
-                });
-            }
+        const type = FieldTypes.get(field.format.format);
+        if (type.attach) {
+            FieldTypes.attach(field, inputElement, this.getFieldTypeOptions());
             return;
         }
 
-        if (isFixed) return;
-        const input = inputElement.querySelector('input') || inputElement;
-        if (formatType === 'FE_Decimal') this.attachValidator(input, field.required, 'Decimal', callbacks);
-        else if (formatType === 'FE_Exchange') this.attachValidator(input, field.required, 'Exchange', callbacks);
-        else if (formatType === 'FE_Text') this.attachValidator(input, field.required, 'Text', callbacks);
+        const isFixed = field.format.modify === "False" && field.defaultValue;
+        if (isFixed || (!type.normalize && !type.validate)) return;
+
+        const input = inputElement.tagName === 'INPUT' ? inputElement : inputElement.querySelector('input');
+        if (input) this.attachValidator(input, field, callbacks);
     }
 
-    attachValidator(input, required, type, callbacks = {}) {
+    attachValidator(input, field, callbacks = {}) {
         input.addEventListener('blur', (e) => {
-            let value = e.target.value.trim();
-            if (!value && required) { if (callbacks.showError) callbacks.showError(input, this.getTranslation('ins.field.required')); return; }
-            if (!value) { if (callbacks.clearError) callbacks.clearError(input); return; }
-            if (type === 'Text') {
-                if (!/^[a-zA-Z][a-zA-Z0-9]*$/.test(value)) { if (callbacks.showError) callbacks.showError(input, this.getTranslation('ins.format.text.invalid') || 'Deve essere alfanumerico e iniziare con una lettera'); }
-                else { if (callbacks.clearError) callbacks.clearError(input); }
+            const value = e.target.value.trim();
+            if (!value) {
+                if (field.required) { if (callbacks.showError) callbacks.showError(input, this.getTranslation('ins.field.required')); }
+                else if (callbacks.clearError) callbacks.clearError(input);
                 return;
             }
-            const normalized = type === 'Decimal' ? FormatHelper.normalizeDecimal(value) : FormatHelper.normalizeExchange(value);
-            e.target.value = normalized;
-            const isValid = type === 'Decimal' ? FormatHelper.validateDecimal(normalized) : FormatHelper.validateExchange(normalized);
-            if (!isValid) { if (callbacks.showError) callbacks.showError(input, type === 'Decimal' ? (this.getTranslation('ins.format.decimal.invalid') || 'Formato non valido. Usa: valore:DIVISA') : (this.getTranslation('ins.format.exchange.invalid') || 'Formato non valido. Usa: valore:DIVISA/DIVISA')); }
+            const result = FieldTypes.check(field.format.format, value, field, key => this.getTranslation(key));
+            e.target.value = result.normalized;
+            if (!result.isValid) { if (callbacks.showError) callbacks.showError(input, result.message); }
             else { if (callbacks.clearError) callbacks.clearError(input); }
         });
     }
@@ -1254,25 +2554,25 @@ class SharedDataEntryValidator {
     constructor(renderer) { this.renderer = renderer; }
 
     validateField(field, inputElement) {
-        const formatType = field.format.format || 'text';
         const input = inputElement.querySelector('input') || inputElement;
         const value = input.value.trim();
-        if (field.required && !value) return { isValid: false, message: this.renderer.getTranslation('ins.field.required') || 'Campo obbligatorio' };
-        if (value && typeof FormatHelper !== 'undefined') {
-            if (formatType === 'FE_Decimal' && !FormatHelper.validateDecimal(value)) return { isValid: false, message: this.renderer.getTranslation('ins.format.decimal.invalid') || 'Formato non valido' };
-            if (formatType === 'FE_DateTime' && !FormatHelper.validateDateTime(value)) return { isValid: false, message: this.renderer.getTranslation('ins.format.datetime.invalid') || 'Formato non valido' };
-            if (formatType === 'FE_Date' && !FormatHelper.validateDate(value)) return { isValid: false, message: this.renderer.getTranslation('ins.format.date.invalid') || 'Formato non valido' };
-            if (formatType === 'FE_Exchange' && !FormatHelper.validateExchange(value)) return { isValid: false, message: this.renderer.getTranslation('ins.format.exchange.invalid') || 'Formato non valido' };
-            if (formatType === 'FE_Text' && !/^[a-zA-Z][a-zA-Z0-9]*$/.test(value)) return { isValid: false, message: this.renderer.getTranslation('ins.format.text.invalid') || 'Formato non valido' };
-        }
-        return { isValid: true };
+        const t = key => this.renderer.getTranslation(key);
+        if (field.required && !value) return { isValid: false, message: FieldTypes.translate(t, 'ins.field.required', 'Campo obbligatorio') };
+        if (!value) return { isValid: true };
+
+        const result = FieldTypes.check(field.format.format, value, field, t);
+        if (result.isValid && result.normalized !== input.value) input.value = result.normalized;
+        return result;
     }
 
     getFormData(formElement) {
         const data = {};
         formElement.querySelectorAll('[name]').forEach(field => {
+            // Come FormData: esclusi i campi disabilitati (FE_Enum fisso, campi nascosti da visibleWhen)
+            if (field.disabled) return;
             let val = field.value.trim();
-            data[field.name] = val.includes(' - ') ? val.split(' - ')[0].trim() : val;
+            val = val.includes(' - ') ? val.split(' - ')[0].trim() : val;
+            data[field.name] = FieldTypes.serialize(field.dataset.format, val);
         });
         return data;
     }
@@ -1280,5 +2580,5 @@ class SharedDataEntryValidator {
 
 // Export per uso come modulo
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DataEntryManager, FormatHelper, DataEntryUtils, SharedDataEntryRenderer, SharedDataEntryValidator };
+    module.exports = { DataEntryManager, FormatHelper, FieldTypes, ValidationRules, TradeCalculator, DataEntryUtils, SharedDataEntryRenderer, SharedDataEntryValidator };
 }
\ No newline at end of file
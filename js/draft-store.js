@@ -0,0 +1,107 @@
+// ===============================================
+// DRAFT STORE - Bozze dei form di data entry
+// Da includere prima di dataentry-manager.js nelle pagine di data entry e nella dashboard,
+// che elenca le bozze in sospeso.
+// Ogni bozza è in localStorage con chiave "draft:<utente>:<cartella>:<prefisso>":
+// utenti diversi sullo stesso browser non vedono le bozze altrui.
+// ===============================================
+
+const DraftStore = {
+    PREFIX: 'draft:',
+
+    // Bozze più vecchie vengono scartate alla lettura
+    MAX_AGE_DAYS: 30,
+
+    // Parametri di sessione mai salvati nell'URL della bozza
+    SESSION_PARAMS: ['username', 'token', 'handoff'],
+
+    key(user, folder, filePrefix) {
+        const cleanFolder = String(folder || '').replace(/\/+$/, '');
+        return `${this.PREFIX}${user || ''}:${cleanFolder}:${filePrefix || ''}`;
+    },
+
+    /**
+     * Pagina corrente (nome file e query string) da cui riprendere la bozza
+     */
+    getPageUrl() {
+        const url = new URL(window.location.href);
+        this.SESSION_PARAMS.forEach(param => url.searchParams.delete(param));
+        return url.pathname.split('/').pop() + url.search;
+    },
+
+    /**
+     * Salva i valori del form
+     * @param {Object} meta - { title } mostrato nell'elenco della dashboard
+     */
+    save(user, folder, filePrefix, values, meta = {}) {
+        const draft = {
+            user: user || '',
+            folder: String(folder || '').replace(/\/+$/, ''),
+            filePrefix: filePrefix || '',
+            title: meta.title || '',
+            url: meta.url || this.getPageUrl(),
+            values,
+            updated: new Date().toISOString()
+        };
+        try {
+            localStorage.setItem(this.key(user, folder, filePrefix), JSON.stringify(draft));
+        } catch (error) {
+            console.warn('[DraftStore] Draft not saved:', error.message);
+        }
+        return draft;
+    },
+
+    load(user, folder, filePrefix) {
+        return this.read(this.key(user, folder, filePrefix));
+    },
+
+    remove(user, folder, filePrefix) {
+        localStorage.removeItem(this.key(user, folder, filePrefix));
+    },
+
+    /**
+     * Bozza da una chiave di localStorage; null (e rimossa) se illeggibile o scaduta
+     */
+    read(storageKey) {
+        const text = localStorage.getItem(storageKey);
+        if (!text) return null;
+
+        let draft = null;
+        try {
+            draft = JSON.parse(text);
+        } catch (error) {
+            draft = null;
+        }
+
+        const age = draft ? Date.now() - new Date(draft.updated).getTime() : Infinity;
+        if (!draft || !draft.values || !(age <= this.MAX_AGE_DAYS * 24 * 60 * 60 * 1000)) {
+            localStorage.removeItem(storageKey);
+            return null;
+        }
+        return { ...draft, key: storageKey };
+    },
+
+    /**
+     * Bozze in sospeso dell'utente, dalla più recente
+     */
+    list(user) {
+        const prefix = `${this.PREFIX}${user || ''}:`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const storageKey = localStorage.key(i);
+            if (storageKey && storageKey.startsWith(prefix)) keys.push(storageKey);
+        }
+
+        return keys
+            .map(storageKey => this.read(storageKey))
+            .filter(Boolean)
+            .sort((a, b) => b.updated.localeCompare(a.updated));
+    },
+
+    removeByKey(storageKey) {
+        if (String(storageKey).startsWith(this.PREFIX)) localStorage.removeItem(storageKey);
+    }
+};
+
+// Esporta globalmente
+window.DraftStore = DraftStore;
@@ -0,0 +1,964 @@
+// ===============================================
+// FILE IMPORT - Lettura di estratti conto CSV/XLSX e wizard di importazione massiva
+// Da includere dopo translations.js e dataentry-manager.js.
+// FileImport legge il file (separatore, virgolette, virgola decimale, formati data)
+// e conserva le mappature colonne -> campi per broker (localStorage 'importMappings:<tipo>').
+// ImportWizard guida l'utente: file -> mappatura -> anteprima con errori per riga -> invio.
+// Oltre a CSV e XLSX legge JSON (array di oggetti, oppure { data: [...] } / { prices: [...] }).
+// L'XLSX richiede la libreria SheetJS (globale XLSX) caricata dalla pagina.
+// ===============================================
+
+const FileImport = {
+    STORAGE_PREFIX: 'importMappings:',
+
+    DELIMITERS: [',', ';', '\t', '|'],
+
+    DATE_FORMATS: ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYYMMDD'],
+
+    // ========== CSV ==========
+
+    /**
+     * Separatore più probabile: quello presente (fuori dalle virgolette) lo stesso numero
+     * di volte nelle prime righe
+     */
+    detectDelimiter(text) {
+        const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+        let best = ',';
+        let bestScore = 0;
+
+        this.DELIMITERS.forEach(delimiter => {
+            const counts = lines.map(line => {
+                let count = 0;
+                let quoted = false;
+                for (const char of line) {
+                    if (char === '"') quoted = !quoted;
+                    else if (char === delimiter && !quoted) count++;
+                }
+                return count;
+            });
+            if (!counts.length || !counts[0]) return;
+            const consistent = counts.filter(count => count === counts[0]).length;
+            const score = consistent * 100 + counts[0];
+            if (score > bestScore) {
+                best = delimiter;
+                bestScore = score;
+            }
+        });
+        return best;
+    },
+
+    /**
+     * CSV -> righe: campi tra virgolette con separatori e a capo, "" come virgolette, CRLF, BOM
+     * @returns {Array<Array<string>>} righe non vuote
+     */
+    parseCSV(text, delimiter = this.detectDelimiter(text)) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field.trim() === '') {
+                quoted = true;
+                field = '';
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows
+            .map(cells => cells.map(cell => cell.trim()))
+            .filter(cells => cells.some(cell => cell !== ''));
+    },
+
+    // ========== JSON ==========
+
+    /**
+     * JSON -> intestazioni (unione delle chiavi) e righe di testo
+     */
+    parseJSON(text) {
+        const data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+        const list = Array.isArray(data) ? data : (data.data || data.prices || [data]);
+        const objects = (Array.isArray(list) ? list : []).filter(item => item && typeof item === 'object');
+
+        const headers = [];
+        objects.forEach(item => Object.keys(item).forEach(key => {
+            if (!headers.includes(key)) headers.push(key);
+        }));
+        const rows = objects.map(item => headers.map(key => (item[key] === null || item[key] === undefined ? '' : String(item[key]).trim())));
+        return { headers, rows };
+    },
+
+    // ========== XLSX ==========
+
+    isSpreadsheet(file) {
+        return /\.(xlsx|xlsm|xls)$/i.test(file.name || '');
+    },
+
+    /**
+     * Primo foglio di un XLSX -> righe di testo (numeri col punto decimale, date "YYYY-MM-DD")
+     */
+    parseWorkbook(buffer) {
+        if (typeof XLSX === 'undefined') throw new Error('XLSX library not loaded');
+
+        const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        const pad = (num) => String(num).padStart(2, '0');
+        const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' });
+
+        return rows
+            .map(cells => cells.map(cell => {
+                if (cell instanceof Date) {
+                    const date = `${cell.getFullYear()}-${pad(cell.getMonth() + 1)}-${pad(cell.getDate())}`;
+                    const time = `${pad(cell.getHours())}:${pad(cell.getMinutes())}:${pad(cell.getSeconds())}`;
+                    return time === '00:00:00' ? date : `${date} ${time}`;
+                }
+                return String(cell).trim();
+            }))
+            .filter(cells => cells.some(cell => cell !== ''));
+    },
+
+    /**
+     * Legge un File (CSV/TXT, JSON o XLSX)
+     * @param {File} file
+     * @param {Object} options - { delimiter: '' (automatico) | ',' | ';' | '\t' | '|', header: true }
+     * @returns {Promise<{headers: string[], rows: string[][], delimiter: string|null}>}
+     */
+    async readFile(file, options = {}) {
+        let rows;
+        let delimiter = null;
+
+        if (/\.json$/i.test(file.name || '')) {
+            const { headers, rows: jsonRows } = this.parseJSON(await file.text());
+            return { headers, rows: jsonRows, delimiter };
+        }
+
+        if (this.isSpreadsheet(file)) {
+            rows = this.parseWorkbook(await file.arrayBuffer());
+        } else {
+            const text = await file.text();
+            delimiter = options.delimiter || this.detectDelimiter(text);
+            rows = this.parseCSV(text, delimiter);
+        }
+
+        const width = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+        const header = options.header !== false;
+        const headers = header && rows.length
+            ? rows[0].map((name, i) => name || `#${i + 1}`)
+            : Array.from({ length: width }, (_, i) => `#${i + 1}`);
+
+        return { headers, rows: header ? rows.slice(1) : rows, delimiter };
+    },
+
+    // ========== NUMERI E DATE ==========
+
+    /**
+     * Separatore decimale degli importi di una colonna: "1.234,56" / "12,5" -> ','
+     */
+    detectDecimalSeparator(values) {
+        let comma = 0;
+        let dot = 0;
+        values.forEach(value => {
+            const text = String(value || '').replace(/[^\d.,-]/g, '');
+            if (/\d,\d{1,2}$/.test(text) || /\.\d{3},/.test(text)) comma++;
+            else if (/\d\.\d{1,2}$/.test(text) || /,\d{3}\./.test(text)) dot++;
+        });
+        return comma > dot ? ',' : '.';
+    },
+
+    /**
+     * Testo di un estratto conto -> numero. Accetta simboli di valuta, spazi e apostrofi
+     * come separatori delle migliaia, parentesi e segno meno finale per i negativi.
+     * @param {string} text
+     * @param {string} decimal - ',' o '.'
+     * @returns {number|null}
+     */
+    parseNumber(text, decimal = '.') {
+        let value = String(text || '').trim();
+        if (!value) return null;
+
+        let negative = false;
+        if (/^\(.*\)$/.test(value)) {
+            negative = true;
+            value = value.slice(1, -1);
+        }
+        if (/-$/.test(value)) {
+            negative = true;
+            value = value.slice(0, -1);
+        }
+        value = value.replace(/\u2212/g, '-').replace(/[^\d.,-]/g, '');
+        if (value.startsWith('-')) {
+            negative = !negative;
+            value = value.slice(1);
+        }
+
+        value = decimal === ','
+            ? value.replace(/\./g, '').replace(',', '.')
+            : value.replace(/,/g, '');
+        if (!/^\d+(\.\d+)?$/.test(value)) return null;
+
+        const number = parseFloat(value);
+        return negative ? -number : number;
+    },
+
+    /**
+     * Numero -> testo col punto decimale, senza notazione esponenziale
+     */
+    formatNumber(number) {
+        return Number.isInteger(number) ? String(number) : String(parseFloat(number.toFixed(10)));
+    },
+
+    /**
+     * Formato data più compatibile con i valori di una colonna
+     */
+    detectDateFormat(values) {
+        const samples = values.map(value => String(value || '').trim()).filter(Boolean).slice(0, 50);
+        return this.DATE_FORMATS.find(format => samples.length && samples.every(value => this.parseDate(value, format))) || 'YYYY-MM-DD';
+    },
+
+    /**
+     * Data (con ora facoltativa) nel formato indicato -> { date: "YYYY-MM-DD", time: "HH:MM:SS" | null }
+     * @returns {Object|null} null se non valida
+     */
+    parseDate(text, format = 'YYYY-MM-DD') {
+        const value = String(text || '').trim();
+        const match = value.match(/^(\S+?)(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (!match) return null;
+
+        const patterns = {
+            'YYYY-MM-DD': [/^(\d{4})-(\d{1,2})-(\d{1,2})$/, 1, 2, 3],
+            'DD/MM/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, 3, 2, 1],
+            'MM/DD/YYYY': [/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, 3, 1, 2],
+            'DD.MM.YYYY': [/^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, 3, 2, 1],
+            'DD-MM-YYYY': [/^(\d{1,2})-(\d{1,2})-(\d{4})$/, 3, 2, 1],
+            'YYYYMMDD': [/^(\d{4})(\d{2})(\d{2})$/, 1, 2, 3]
+        };
+        const [regex, y, m, d] = patterns[format] || patterns['YYYY-MM-DD'];
+        const parts = match[1].match(regex);
+        if (!parts) return null;
+
+        const year = Number(parts[y]);
+        const month = Number(parts[m]);
+        const day = Number(parts[d]);
+        const check = new Date(Date.UTC(year, month - 1, day));
+        if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+        const pad = (num) => String(num).padStart(2, '0');
+        const time = match[2] !== undefined ? `${pad(match[2])}:${match[3]}:${match[4] || '00'}` : null;
+        return { date: `${year}-${pad(month)}-${pad(day)}`, time };
+    },
+
+    // ========== MAPPATURE ==========
+
+    /**
+     * Mappature salvate per tipo di import ('trade', 'price'): nome broker -> mappatura
+     */
+    loadMappings(kind) {
+        try {
+            return JSON.parse(localStorage.getItem(this.STORAGE_PREFIX + kind)) || {};
+        } catch (error) {
+            return {};
+        }
+    },
+
+    saveMapping(kind, name, mapping) {
+        if (!name) return;
+        const mappings = this.loadMappings(kind);
+        mappings[name] = mapping;
+        localStorage.setItem(this.STORAGE_PREFIX + kind, JSON.stringify(mappings));
+    },
+
+    deleteMapping(kind, name) {
+        const mappings = this.loadMappings(kind);
+        delete mappings[name];
+        localStorage.setItem(this.STORAGE_PREFIX + kind, JSON.stringify(mappings));
+    },
+
+    /**
+     * Colonna dell'intestazione che somiglia al nome o all'etichetta del campo
+     */
+    guessColumn(headers, field) {
+        const simplify = (text) => String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const candidates = [field.name, field.name.split(':').pop(), field.label].map(simplify).filter(Boolean);
+        return headers.find(header => candidates.includes(simplify(header))) || '';
+    }
+};
+
+/**
+ * Wizard di importazione in un popup: file -> mappatura -> anteprima -> invio.
+ *
+ * options:
+ *   kind         tipo di import, per le mappature salvate ('trade', 'price')
+ *   title        titolo del popup
+ *   accept       estensioni accettate dal campo file
+ *   fields       [{ name, label, format, required, value }] (format: FE_Decimal, FE_Date, ...;
+ *                value: valore fisso proposto se il profilo non ne indica uno)
+ *   getTranslation(key) -> testo tradotto o la chiave stessa
+ *   complete(record)    facoltativo, completa il record (es. importi calcolati)
+ *   validate(record)    -> [{ field, message }]
+ *   review(items)       facoltativo, async: controlli sull'insieme delle righe (es. duplicati già registrati);
+ *                       può aggiungere item.warnings e deselezionare item.selected
+ *   renderPreview(element, items) facoltativo, contenuto sopra la tabella di anteprima (es. grafico)
+ *   submit(record)      -> Promise, rifiutata in caso di errore
+ *   submitBatch(records) in alternativa a submit: invio a blocchi di chunkSize righe
+ *   onDone({ ok, failed })
+ */
+class ImportWizard {
+    constructor(options = {}) {
+        this.options = {
+            kind: 'default',
+            title: 'Import',
+            accept: '.csv,.txt,.xlsx,.xlsm,.xls',
+            fields: [],
+            getTranslation: (key) => key,
+            complete: null,
+            validate: () => [],
+            review: null,
+            renderPreview: null,
+            submit: async () => { },
+            submitBatch: null,
+            chunkSize: 100,
+            onDone: null,
+            ...options
+        };
+
+        this.file = null;
+        this.data = null;
+        this.settings = { delimiter: '', decimal: '', dateFormat: '', header: true };
+        this.mapping = {};
+        this.records = [];
+        this.profile = '';
+        this.overlay = null;
+    }
+
+    // Testo tradotto (o di default) con segnaposto e plurali ICU di TranslationManager.format
+    t(key, fallback, params = null) {
+        const template = FieldTypes.translate(this.options.getTranslation, key, fallback);
+        return params ? TranslationManager.format(template, params) : template;
+    }
+
+    escape(value) {
+        return FieldTypes.escape(value);
+    }
+
+    open() {
+        ImportWizard.injectStyles();
+        this.close();
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'import-wizard-overlay';
+        this.overlay.innerHTML = `
+            <div class="import-wizard">
+                <div class="import-wizard-header">
+                    <h2><i class="fa fa-file-import"></i> ${this.escape(this.options.title)}</h2>
+                    <button type="button" class="import-wizard-close" title="${this.escape(this.t('int.close', 'Chiudi'))}">
+                        <i class="fa fa-times"></i>
+                    </button>
+                </div>
+                <div class="import-wizard-body"></div>
+                <div class="import-wizard-status"></div>
+                <div class="import-wizard-footer"></div>
+            </div>
+        `;
+        this.overlay.querySelector('.import-wizard-close').addEventListener('click', () => this.close());
+        document.body.appendChild(this.overlay);
+
+        this.renderFileStep();
+    }
+
+    close() {
+        if (this.overlay) this.overlay.remove();
+        this.overlay = null;
+    }
+
+    setStatus(message, type = 'info') {
+        const status = this.overlay && this.overlay.querySelector('.import-wizard-status');
+        if (!status) return;
+        status.textContent = message || '';
+        status.className = `import-wizard-status ${type}`;
+    }
+
+    setFooter(buttons) {
+        const footer = this.overlay.querySelector('.import-wizard-footer');
+        footer.innerHTML = '';
+        buttons.forEach(({ label, icon, primary, disabled, onClick }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `btn ${primary ? 'btn-primary' : 'btn-secondary'}`;
+            button.disabled = !!disabled;
+            button.innerHTML = `<i class="fa ${icon}"></i> ${this.escape(label)}`;
+            button.addEventListener('click', onClick);
+            footer.appendChild(button);
+        });
+    }
+
+    // ========== 1. FILE ==========
+
+    renderFileStep() {
+        const profiles = Object.keys(FileImport.loadMappings(this.options.kind));
+        const auto = this.t('int.import.auto', 'Automatico');
+        const option = (value, label, selected) => `<option value="${this.escape(value)}" ${selected ? 'selected' : ''}>${this.escape(label)}</option>`;
+        const s = this.settings;
+
+        const body = this.overlay.querySelector('.import-wizard-body');
+        body.innerHTML = `
+            <div class="import-wizard-grid">
+                <label>${this.escape(this.t('int.import.file', 'File (CSV, XLSX)'))}</label>
+                <input type="file" id="import-file" accept="${this.escape(this.options.accept)}">
+
+                <label>${this.escape(this.t('int.import.profile', 'Profilo broker'))}</label>
+                <div class="import-wizard-inline">
+                    <select id="import-profile" class="form-select">
+                        ${option('', this.t('int.import.profile.new', 'Nuovo profilo'), !this.profile)}
+                        ${profiles.map(name => option(name, name, name === this.profile)).join('')}
+                    </select>
+                    <button type="button" id="import-profile-delete" class="btn btn-secondary btn-sm" title="${this.escape(this.t('int.import.profile.delete', 'Elimina profilo'))}">
+                        <i class="fa fa-trash"></i>
+                    </button>
+                </div>
+
+                <label>${this.escape(this.t('int.import.delimiter', 'Separatore'))}</label>
+                <select id="import-delimiter" class="form-select">
+                    ${option('', auto, !s.delimiter)}
+                    ${option(',', ',', s.delimiter === ',')}
+                    ${option(';', ';', s.delimiter === ';')}
+                    ${option('\t', 'TAB', s.delimiter === '\t')}
+                    ${option('|', '|', s.delimiter === '|')}
+                </select>
+
+                <label>${this.escape(this.t('int.import.decimal', 'Separatore decimale'))}</label>
+                <select id="import-decimal" class="form-select">
+                    ${option('', auto, !s.decimal)}
+                    ${option('.', '1234.56', s.decimal === '.')}
+                    ${option(',', '1234,56', s.decimal === ',')}
+                </select>
+
+                <label>${this.escape(this.t('int.import.dateformat', 'Formato data'))}</label>
+                <select id="import-dateformat" class="form-select">
+                    ${option('', auto, !s.dateFormat)}
+                    ${FileImport.DATE_FORMATS.map(format => option(format, format, s.dateFormat === format)).join('')}
+                </select>
+
+                <label>${this.escape(this.t('int.import.header', 'Prima riga con intestazioni'))}</label>
+                <input type="checkbox" id="import-header" ${s.header ? 'checked' : ''}>
+            </div>
+        `;
+
+        const profileSelect = body.querySelector('#import-profile');
+        profileSelect.addEventListener('change', () => this.applyProfile(profileSelect.value));
+        body.querySelector('#import-profile-delete').addEventListener('click', () => {
+            if (!profileSelect.value) return;
+            FileImport.deleteMapping(this.options.kind, profileSelect.value);
+            this.profile = '';
+            this.mapping = {};
+            this.renderFileStep();
+        });
+
+        this.setStatus('');
+        this.setFooter([
+            { label: this.t('int.cancel', 'Annulla'), icon: 'fa-times', onClick: () => this.close() },
+            { label: this.t('int.import.next', 'Avanti'), icon: 'fa-arrow-right', primary: true, onClick: () => this.readFile() }
+        ]);
+    }
+
+    applyProfile(name) {
+        const saved = FileImport.loadMappings(this.options.kind)[name];
+        this.profile = name;
+        if (!saved) return;
+
+        this.settings = { ...this.settings, ...saved.settings };
+        this.mapping = { ...saved.fields };
+        this.renderFileStep();
+    }
+
+    async readFile() {
+        const body = this.overlay.querySelector('.import-wizard-body');
+        const input = body.querySelector('#import-file');
+        this.file = (input.files && input.files[0]) || this.file;
+        this.settings = {
+            delimiter: body.querySelector('#import-delimiter').value,
+            decimal: body.querySelector('#import-decimal').value,
+            dateFormat: body.querySelector('#import-dateformat').value,
+            header: body.querySelector('#import-header').checked
+        };
+
+        if (!this.file) {
+            this.setStatus(this.t('int.import.file.missing', 'Seleziona un file'), 'error');
+            return;
+        }
+
+        try {
+            this.data = await FileImport.readFile(this.file, this.settings);
+        } catch (error) {
+            console.error('[ImportWizard] Error reading file:', error);
+            const message = /XLSX/.test(error.message)
+                ? this.t('int.import.xlsx.unavailable', 'Lettura XLSX non disponibile')
+                : error.message;
+            this.setStatus(message, 'error');
+            return;
+        }
+
+        if (!this.data.rows.length) {
+            this.setStatus(this.t('int.import.empty', 'Il file non contiene righe'), 'error');
+            return;
+        }
+
+        this.renderMappingStep();
+    }
+
+    // ========== 2. MAPPATURA ==========
+
+    hasCurrency(field) {
+        return ['FE_Decimal', 'FE_Exchange', 'FE_Crypto'].includes(field.format);
+    }
+
+    renderMappingStep() {
+        const { headers } = this.data;
+        const body = this.overlay.querySelector('.import-wizard-body');
+        const none = `-- ${this.t('int.import.none', 'nessuna')} --`;
+
+        const rows = this.options.fields.map(field => {
+            const saved = this.mapping[field.name] || {};
+            const column = saved.column !== undefined ? saved.column : FileImport.guessColumn(headers, field);
+            const columnOptions = headers.map(header =>
+                `<option value="${this.escape(header)}" ${header === column ? 'selected' : ''}>${this.escape(header)}</option>`
+            ).join('');
+
+            return `
+                <tr data-field="${this.escape(field.name)}">
+                    <td>${this.escape(field.label)}${field.required ? '<span class="required-mark">*</span>' : ''}</td>
+                    <td>
+                        <select class="form-select import-column">
+                            <option value="">${this.escape(none)}</option>
+                            ${columnOptions}
+                        </select>
+                    </td>
+                    <td><input type="text" class="form-input import-value" value="${this.escape(saved.value || field.value || '')}"></td>
+                    <td>${this.hasCurrency(field)
+                        ? `<input type="text" class="form-input import-currency" list="import-headers" value="${this.escape(saved.currency || '')}" placeholder="EUR">`
+                        : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        body.innerHTML = `
+            <datalist id="import-headers">
+                ${headers.map(header => `<option value="${this.escape(header)}">`).join('')}
+            </datalist>
+            <div class="import-wizard-table-wrapper">
+                <table class="import-wizard-table">
+                    <thead>
+                        <tr>
+                            <th>${this.escape(this.t('int.import.field', 'Campo'))}</th>
+                            <th>${this.escape(this.t('int.import.column', 'Colonna'))}</th>
+                            <th>${this.escape(this.t('int.import.default', 'Valore fisso'))}</th>
+                            <th>${this.escape(this.t('int.import.currency', 'Divisa (colonna o codice)'))}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="import-wizard-inline">
+                <label for="import-profile-name">${this.escape(this.t('int.import.save.profile', 'Salva la mappatura come'))}</label>
+                <input type="text" id="import-profile-name" class="form-input" value="${this.escape(this.profile || '')}">
+            </div>
+        `;
+
+        this.setStatus(this.t('int.import.rows.read', '{count, plural, one {# riga letta} other {# righe lette}}', { count: this.data.rows.length }));
+        this.setFooter([
+            { label: this.t('int.import.back', 'Indietro'), icon: 'fa-arrow-left', onClick: () => this.renderFileStep() },
+            { label: this.t('int.import.preview', 'Anteprima'), icon: 'fa-eye', primary: true, onClick: () => this.buildPreview() }
+        ]);
+    }
+
+    readMapping() {
+        const mapping = {};
+        this.overlay.querySelectorAll('.import-wizard-table tbody tr').forEach(tr => {
+            const currency = tr.querySelector('.import-currency');
+            mapping[tr.dataset.field] = {
+                column: tr.querySelector('.import-column').value,
+                value: tr.querySelector('.import-value').value.trim(),
+                currency: currency ? currency.value.trim() : ''
+            };
+        });
+        return mapping;
+    }
+
+    // ========== 3. ANTEPRIMA ==========
+
+    async buildPreview() {
+        this.mapping = this.readMapping();
+
+        const profileName = this.overlay.querySelector('#import-profile-name').value.trim();
+        if (profileName) {
+            FileImport.saveMapping(this.options.kind, profileName, { settings: this.settings, fields: this.mapping });
+            this.profile = profileName;
+        }
+
+        const { headers, rows } = this.data;
+        const columnValues = (name) => {
+            const index = headers.indexOf(name);
+            return index >= 0 ? rows.map(cells => cells[index]) : [];
+        };
+
+        // Separatore decimale e formato data dai valori delle colonne mappate, se non indicati
+        const numberColumns = this.options.fields.filter(f => this.hasCurrency(f)).map(f => this.mapping[f.name].column).filter(Boolean);
+        const dateColumns = this.options.fields.filter(f => /^FE_Date/.test(f.format)).map(f => this.mapping[f.name].column).filter(Boolean);
+        const decimal = this.settings.decimal || FileImport.detectDecimalSeparator(numberColumns.flatMap(columnValues));
+        const dateFormat = this.settings.dateFormat || FileImport.detectDateFormat(dateColumns.flatMap(columnValues).map(v => String(v).split(/[ T]/)[0]));
+
+        this.records = rows.map((cells, index) => {
+            const record = this.buildRecord(cells, { decimal, dateFormat });
+            if (this.options.complete) this.options.complete(record);
+            const errors = this.options.validate(record) || [];
+            return { line: index + 1 + (this.settings.header ? 1 : 0), record, errors, warnings: [], selected: !errors.length, status: null };
+        });
+
+        if (this.options.review) {
+            this.setStatus(this.t('int.import.checking', 'Verifica dei dati già registrati...'));
+            try {
+                await this.options.review(this.records);
+            } catch (error) {
+                console.error('[ImportWizard] Review failed:', error);
+                this.setStatus(error.message, 'error');
+            }
+        }
+
+        this.renderPreviewStep();
+    }
+
+    /**
+     * Riga del file -> record con i valori nel formato dei campi (123.45:EUR, YYYY-MM-DD, ...)
+     */
+    buildRecord(cells, { decimal, dateFormat }) {
+        const { headers } = this.data;
+        const cell = (name) => {
+            const index = name ? headers.indexOf(name) : -1;
+            return index >= 0 ? String(cells[index] === undefined ? '' : cells[index]).trim() : '';
+        };
+
+        const record = {};
+        this.options.fields.forEach(field => {
+            const map = this.mapping[field.name] || {};
+            const raw = cell(map.column) || map.value || '';
+            record[field.name] = raw ? this.convertValue(field, raw, map, cell, { decimal, dateFormat }) : '';
+        });
+        return record;
+    }
+
+    convertValue(field, raw, map, cell, { decimal, dateFormat }) {
+        switch (field.format) {
+            case 'FE_Decimal':
+            case 'FE_Exchange':
+            case 'FE_Crypto': {
+                // Già nel formato del campo ("123.45:EUR") o "123.45 EUR", con il punto decimale
+                if (decimal !== ',') {
+                    const { isValid, normalized } = FieldTypes.check(field.format, raw);
+                    if (isValid) return normalized;
+                }
+                if (raw.includes(':')) return raw;
+
+                const number = FileImport.parseNumber(raw, decimal);
+                if (number === null) return raw;
+                // Divisa dalla mappatura, altrimenti il codice scritto nella cella ("1.234,50 EUR")
+                const inline = field.format === 'FE_Decimal' ? raw.match(/\b([A-Za-z]{3})\b/) : null;
+                const currency = (map.currency && this.data.headers.includes(map.currency)
+                    ? cell(map.currency)
+                    : map.currency || (inline ? inline[1] : '')).toUpperCase();
+                const amount = FileImport.formatNumber(field.format === 'FE_Exchange' ? Math.abs(number) : number);
+                return currency ? `${amount}:${currency}` : amount;
+            }
+            case 'FE_Date': {
+                const parsed = FileImport.parseDate(raw, dateFormat) || FileImport.parseDate(raw);
+                return parsed ? parsed.date : raw;
+            }
+            case 'FE_DateTime': {
+                const parsed = FileImport.parseDate(raw, dateFormat) || FileImport.parseDate(raw.replace(/[+-]\d{2}:?\d{2}$|Z$/, ''));
+                if (!parsed) return raw;
+                if (/([+-]\d{2}:?\d{2}|Z)$/.test(raw)) {
+                    const date = TimezoneService.parseDateTime(raw);
+                    return date ? TimezoneService.formatDateTime(date) : raw;
+                }
+                return FormatHelper.normalizeDateTime(`${parsed.date} ${parsed.time || '00:00:00'}`);
+            }
+            case 'FE_Instrument':
+                return FormatHelper.formatInstrumentCode(raw);
+            default: {
+                // "FI-BB - Acquisto" -> "FI-BB", come in getFormData; poi la normalizzazione del tipo (FieldTypes)
+                const value = raw.includes(' - ') ? raw.split(' - ')[0].trim() : raw;
+                return FieldTypes.normalize(field.format, value);
+            }
+        }
+    }
+
+    renderPreviewStep() {
+        const fields = this.options.fields;
+        const body = this.overlay.querySelector('.import-wizard-body');
+
+        const rows = this.records.map((item, index) => {
+            const errorFields = new Set(item.errors.map(e => e.field));
+            const messages = item.errors.map(e => {
+                const field = fields.find(f => f.name === e.field);
+                return `${field ? field.label : e.field}: ${e.message}`;
+            });
+            const status = item.status === 'ok'
+                ? '<i class="fa fa-check import-ok"></i>'
+                : (item.status ? `<span class="import-error">${this.escape(item.status)}</span>` : '');
+            const warnings = item.warnings && item.warnings.length
+                ? `<span class="import-warning">${this.escape(item.warnings.join(' · '))}</span>`
+                : '';
+
+            return `
+                <tr class="${item.errors.length ? 'invalid' : (warnings ? 'warning' : '')}">
+                    <td><input type="checkbox" data-index="${index}" ${item.selected ? 'checked' : ''} ${item.errors.length || item.status === 'ok' ? 'disabled' : ''}></td>
+                    <td>${item.line}</td>
+                    ${fields.map(f => `<td class="${errorFields.has(f.name) ? 'cell-error' : ''}">${this.escape(item.record[f.name])}</td>`).join('')}
+                    <td class="import-messages">${this.escape(messages.join(' · '))}${warnings}${status}</td>
+                </tr>
+            `;
+        }).join('');
+
+        body.innerHTML = `
+            <div class="import-wizard-extra"></div>
+            <div class="import-wizard-table-wrapper">
+                <table class="import-wizard-table preview">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>${this.escape(this.t('int.import.row', 'Riga'))}</th>
+                            ${fields.map(f => `<th>${this.escape(f.label)}</th>`).join('')}
+                            <th>${this.escape(this.t('int.import.errors', 'Errori'))}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+
+        const extra = body.querySelector('.import-wizard-extra');
+        if (this.options.renderPreview) {
+            try {
+                this.options.renderPreview(extra, this.records);
+            } catch (error) {
+                console.error('[ImportWizard] Preview failed:', error);
+            }
+        }
+
+        body.querySelectorAll('input[type="checkbox"][data-index]').forEach(box => {
+            box.addEventListener('change', () => {
+                this.records[Number(box.dataset.index)].selected = box.checked;
+                this.updatePreviewFooter();
+            });
+        });
+
+        const invalid = this.records.filter(item => item.errors.length).length;
+        this.setStatus(
+            this.t('int.import.summary', '{valid, plural, one {# riga valida} other {# righe valide}}, {invalid} con errori', { valid: this.records.length - invalid, invalid }),
+            invalid ? 'warning' : 'info'
+        );
+        this.updatePreviewFooter();
+    }
+
+    updatePreviewFooter() {
+        const count = this.records.filter(item => item.selected && item.status !== 'ok').length;
+        this.setFooter([
+            { label: this.t('int.import.back', 'Indietro'), icon: 'fa-arrow-left', onClick: () => this.renderMappingStep() },
+            {
+                label: this.t('int.import.submit', '{count, plural, one {Importa # riga} other {Importa # righe}}', { count }),
+                icon: 'fa-upload',
+                primary: true,
+                disabled: !count,
+                onClick: () => this.submitAll()
+            }
+        ]);
+    }
+
+    // ========== 4. INVIO ==========
+
+    /**
+     * Invia le righe selezionate una alla volta; l'esito compare nella colonna errori
+     */
+    async submitAll() {
+        const pending = this.records.filter(item => item.selected && item.status !== 'ok');
+        let ok = 0;
+        let failed = 0;
+
+        this.overlay.querySelectorAll('.import-wizard-footer button').forEach(button => { button.disabled = true; });
+
+        // Con submitBatch le righe partono a blocchi: un blocco rifiutato segna tutte le sue righe
+        const size = this.options.submitBatch ? Math.max(1, this.options.chunkSize) : 1;
+        for (let start = 0; start < pending.length; start += size) {
+            const chunk = pending.slice(start, start + size);
+            this.setStatus(this.t('int.import.progress', 'Invio {current} di {total}...', { current: start + chunk.length, total: pending.length }));
+            try {
+                if (this.options.submitBatch) {
+                    await this.options.submitBatch(chunk.map(item => item.record));
+                } else {
+                    await this.options.submit(chunk[0].record);
+                }
+                chunk.forEach(item => {
+                    item.status = 'ok';
+                    item.selected = false;
+                });
+                ok += chunk.length;
+            } catch (error) {
+                console.error(`[ImportWizard] Rows ${chunk[0].line}-${chunk[chunk.length - 1].line} failed:`, error);
+                chunk.forEach(item => {
+                    item.status = error.message || this.t('int.error.save', 'Registrazione fallita');
+                });
+                failed += chunk.length;
+            }
+        }
+
+        this.renderPreviewStep();
+        this.setStatus(this.t('int.import.done', '{ok, plural, one {# riga registrata} other {# righe registrate}}, {failed, plural, one {# non riuscita} other {# non riuscite}}', { ok, failed }), failed ? 'error' : 'success');
+        if (this.options.onDone) this.options.onDone({ ok, failed });
+    }
+
+    static injectStyles() {
+        if (document.getElementById('import-wizard-styles')) return;
+
+        const css = `
+            .import-wizard-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0, 0, 0, 0.6);
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                z-index: 2000;
+            }
+            .import-wizard {
+                background: #fff;
+                border: 2px solid #000;
+                border-radius: 8px;
+                width: 95%;
+                max-width: 1100px;
+                max-height: 90vh;
+                display: flex;
+                flex-direction: column;
+                padding: 20px;
+                gap: 12px;
+            }
+            .import-wizard-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+            .import-wizard-header h2 {
+                font-size: 1.1rem;
+                text-transform: uppercase;
+            }
+            .import-wizard-close {
+                background: none;
+                border: none;
+                font-size: 1.2rem;
+                cursor: pointer;
+            }
+            .import-wizard-body {
+                overflow: auto;
+                flex: 1;
+            }
+            .import-wizard-grid {
+                display: grid;
+                grid-template-columns: 220px 1fr;
+                gap: 10px 16px;
+                align-items: center;
+            }
+            .import-wizard-inline {
+                display: flex;
+                gap: 8px;
+                align-items: center;
+                margin-top: 10px;
+            }
+            .import-wizard-table-wrapper {
+                overflow: auto;
+                max-height: 55vh;
+            }
+            .import-wizard-table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 0.8rem;
+            }
+            .import-wizard-table th,
+            .import-wizard-table td {
+                border-bottom: 1px solid #eee;
+                padding: 4px 6px;
+                text-align: start;
+                white-space: nowrap;
+            }
+            .import-wizard-table th {
+                position: sticky;
+                top: 0;
+                background: #f5f5f0;
+            }
+            .import-wizard-table tr.invalid {
+                background: #fff5f5;
+            }
+            .import-wizard-table tr.warning {
+                background: #fffbea;
+            }
+            .import-wizard-table .import-warning {
+                color: #8a6d3b;
+            }
+            .import-wizard-extra:not(:empty) {
+                margin-bottom: 10px;
+            }
+            .import-wizard-table td.cell-error {
+                color: #d32f2f;
+                font-weight: bold;
+            }
+            .import-wizard-table td.import-messages {
+                white-space: normal;
+                color: #d32f2f;
+                min-width: 220px;
+            }
+            .import-wizard-table .import-ok {
+                color: #2e7d32;
+            }
+            .import-wizard-status {
+                font-size: 0.85rem;
+                min-height: 18px;
+            }
+            .import-wizard-status.error { color: #d32f2f; }
+            .import-wizard-status.warning { color: #8a6d3b; }
+            .import-wizard-status.success { color: #2e7d32; }
+            .import-wizard-footer {
+                display: flex;
+                justify-content: flex-end;
+                gap: 12px;
+            }
+        `;
+
+        const style = document.createElement('style');
+        style.id = 'import-wizard-styles';
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
+}
+
+// Esporta globalmente
+window.FileImport = FileImport;
+window.ImportWizard = ImportWizard;
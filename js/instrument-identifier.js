@@ -0,0 +1,371 @@
+// ===============================================
+// INSTRUMENT IDENTIFIER - Riconoscimento dei codici titolo
+// Da includere dopo translations.js e dataentry-manager.js (usa FieldTypes.CHECKSUMS).
+// Riconosce ISIN, CUSIP, SEDOL, FIGI e ticker con suffisso di borsa ("ENI.MI")
+// o prefisso MIC ("XMIL:ENI"), verifica le cifre di controllo, ricava paese e
+// mercato e cerca gli strumenti già censiti con lo stesso codice.
+// ===============================================
+
+const InstrumentIdentifier = {
+    // Suffissi dei ticker (convenzione Yahoo/Reuters) -> mercato e paese
+    TICKER_SUFFIXES: {
+        MI: { market: 'XMIL', country: 'IT' },
+        L: { market: 'XLON', country: 'GB' },
+        PA: { market: 'XPAR', country: 'FR' },
+        DE: { market: 'XETR', country: 'DE' },
+        F: { market: 'XFRA', country: 'DE' },
+        SG: { market: 'XSTU', country: 'DE' },
+        AS: { market: 'XAMS', country: 'NL' },
+        N: { market: 'XNYS', country: 'US' },
+        O: { market: 'XNAS', country: 'US' },
+        OQ: { market: 'XNAS', country: 'US' },
+        // Borse senza codice mercato nei descrittori: solo il paese
+        SW: { country: 'CH' },
+        MC: { country: 'ES' },
+        BR: { country: 'BE' },
+        VI: { country: 'AT' },
+        TO: { country: 'CA' },
+        T: { country: 'JP' },
+        HK: { country: 'HK' },
+        AX: { country: 'AU' },
+        LS: { country: 'PT' },
+        HE: { country: 'FI' },
+        ST: { country: 'SE' },
+        CO: { country: 'DK' },
+        OL: { country: 'NO' }
+    },
+
+    // Mercato principale suggerito dal paese dell'ISIN
+    COUNTRY_MARKETS: {
+        IT: 'XMIL',
+        GB: 'XLON',
+        FR: 'XPAR',
+        DE: 'XETR',
+        NL: 'XAMS'
+    },
+
+    // Campi di un record strumento confrontati per i duplicati
+    IDENTIFIER_FIELDS: ['code_isin', 'isin', 'cusip', 'sedol', 'figi', 'ticker'],
+
+    TYPE_LABELS: {
+        ISIN: 'ISIN',
+        CUSIP: 'CUSIP',
+        SEDOL: 'SEDOL',
+        FIGI: 'FIGI',
+        TICKER: 'Ticker'
+    },
+
+    /**
+     * Riconosce un codice
+     * @param {string} value - testo digitato (maiuscole e spazi indifferenti)
+     * @returns {Object|null} { type, code, valid, country, market, ticker, embedded } o null se non è un codice
+     */
+    parse(value) {
+        const code = String(value || '').toUpperCase().replace(/\s+/g, '');
+        if (!code) return null;
+
+        const checksums = FieldTypes.CHECKSUMS;
+        const result = { type: null, code, valid: false, country: null, market: null, ticker: null, embedded: null };
+
+        // FIGI prima dell'ISIN: entrambi di 12 caratteri, il FIGI ha la G in terza posizione
+        if (code.startsWith('BBG') && code.length === 12) {
+            return { ...result, type: 'FIGI', valid: checksums.figi(code) };
+        }
+        if (checksums.figi(code) && !checksums.isin(code)) {
+            return { ...result, type: 'FIGI', valid: true };
+        }
+
+        if (/^[A-Z]{2}[A-Z0-9]{9}\d$/.test(code)) {
+            const country = code.slice(0, 2);
+            const parsed = {
+                ...result,
+                type: 'ISIN',
+                valid: checksums.isin(code),
+                country,
+                market: this.COUNTRY_MARKETS[country] || null
+            };
+            // Il codice nazionale è contenuto nell'ISIN: CUSIP per USA/Canada, SEDOL per UK/Irlanda
+            if (country === 'US' || country === 'CA') {
+                parsed.embedded = { type: 'CUSIP', code: code.slice(2, 11) };
+            } else if ((country === 'GB' || country === 'IE') && code.startsWith('00', 2)) {
+                parsed.embedded = { type: 'SEDOL', code: code.slice(4, 11) };
+            }
+            return parsed;
+        }
+
+        if (/^[A-Z0-9*@#]{8}\d$/.test(code) && /\d/.test(code.slice(0, 3))) {
+            return { ...result, type: 'CUSIP', valid: checksums.cusip(code), country: 'US' };
+        }
+
+        if (/^[B-DF-HJ-NP-TV-Z0-9]{6}\d$/.test(code)) {
+            return { ...result, type: 'SEDOL', valid: checksums.sedol(code), country: 'GB' };
+        }
+
+        // "ENI.MI"
+        const suffixed = code.match(/^([A-Z0-9][A-Z0-9\-]{0,11})\.([A-Z]{1,2})$/);
+        if (suffixed && this.TICKER_SUFFIXES[suffixed[2]]) {
+            const hint = this.TICKER_SUFFIXES[suffixed[2]];
+            return {
+                ...result,
+                type: 'TICKER',
+                valid: true,
+                ticker: suffixed[1],
+                country: hint.country,
+                market: hint.market || null
+            };
+        }
+
+        // "XMIL:ENI"
+        const prefixed = code.match(/^(X[A-Z]{3}):([A-Z0-9][A-Z0-9.\-]{0,11})$/);
+        if (prefixed) {
+            const hint = Object.values(this.TICKER_SUFFIXES).find(h => h.market === prefixed[1]);
+            return {
+                ...result,
+                type: 'TICKER',
+                valid: true,
+                ticker: prefixed[2],
+                country: hint ? hint.country : null,
+                market: prefixed[1]
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Descrizione breve per l'interfaccia, es. "ISIN valido · Italia · Milano"
+     * @param {Function} t - funzione di traduzione della pagina
+     */
+    describe(parsed, t = key => key) {
+        if (!parsed) return '';
+        const label = this.TYPE_LABELS[parsed.type] || parsed.type;
+        const parts = [];
+
+        if (parsed.type === 'TICKER') {
+            parts.push(TranslationManager.format(FieldTypes.translate(t, 'int.identifier.ticker', 'Ticker {ticker}'), { ticker: parsed.ticker }));
+        } else if (parsed.valid) {
+            parts.push(TranslationManager.format(FieldTypes.translate(t, 'int.identifier.valid', '{type} valido'), { type: label }));
+        } else {
+            parts.push(TranslationManager.format(FieldTypes.translate(t, 'int.identifier.invalid', '{type}: cifra di controllo errata'), { type: label }));
+        }
+
+        if (parsed.country) {
+            parts.push(`${FieldTypes.translate(t, 'int.identifier.country', 'Paese')}: ${this.countryName(parsed.country)}`);
+        }
+        if (parsed.market) {
+            const marketName = FieldTypes.translate(t, `dom.code_market:${parsed.market}`, parsed.market);
+            parts.push(`${FieldTypes.translate(t, 'int.identifier.market', 'Mercato')}: ${marketName}`);
+        }
+        if (parsed.embedded) {
+            parts.push(`${parsed.embedded.type} ${parsed.embedded.code}`);
+        }
+
+        return parts.join(' · ');
+    },
+
+    countryName(country) {
+        try {
+            const lang = (document.documentElement.lang || navigator.language || 'it').split(/[_-]/)[0];
+            return new Intl.DisplayNames([lang], { type: 'region' }).of(country) || country;
+        } catch (error) {
+            return country;
+        }
+    },
+
+    /**
+     * Strumenti già censiti con lo stesso codice
+     * @param {Object} parsed - risultato di parse()
+     * @param {Object} instruments - strumenti di getinstruments, per id
+     * @param {string} exclude - id da ignorare (lo strumento in modifica)
+     * @returns {Array} record { id, ...dati, matchedOn }
+     */
+    findDuplicates(parsed, instruments, exclude = '') {
+        if (!parsed || !parsed.valid || !instruments) return [];
+
+        const codes = new Set([parsed.code]);
+        if (parsed.embedded) codes.add(parsed.embedded.code);
+
+        const normalize = value => String(value || '').toUpperCase().replace(/\s+/g, '');
+        const duplicates = [];
+
+        Object.entries(instruments).forEach(([id, data]) => {
+            if (!data || id === exclude) return;
+            const record = { id, ...data };
+
+            let matchedOn = null;
+            if (parsed.type === 'TICKER') {
+                // Stesso ticker base sullo stesso mercato (o mercato non indicato)
+                const sameMarket = !parsed.market || !record.code_market || record.code_market === parsed.market;
+                const tickers = [record.id, record.ticker].map(v => FormatHelper.formatInstrumentCode(normalize(v)).split('.')[0]);
+                if (sameMarket && tickers.includes(parsed.ticker)) matchedOn = 'ticker';
+            } else {
+                if (codes.has(normalize(id))) matchedOn = 'id';
+                this.IDENTIFIER_FIELDS.forEach(field => {
+                    if (matchedOn || !record[field]) return;
+                    // Anche il CUSIP/SEDOL contenuto nell'ISIN già censito
+                    const stored = this.parse(record[field]);
+                    const storedCodes = [normalize(record[field]), stored && stored.embedded ? stored.embedded.code : null];
+                    if (storedCodes.some(code => code && codes.has(code))) matchedOn = field;
+                });
+            }
+
+            if (matchedOn) duplicates.push({ ...record, matchedOn });
+        });
+
+        return duplicates;
+    },
+
+    /**
+     * Vero se lo strumento ha fra i suoi codici quello cercato (ricerca nell'autocompletamento)
+     */
+    matches(parsed, instrument) {
+        return this.findDuplicates(parsed, { [instrument.id]: instrument }).length > 0;
+    }
+};
+
+// ===============================================
+// IDENTIFIER ASSISTANT - Suggerimenti sotto i campi codice del form strumento
+// ===============================================
+
+class IdentifierAssistant {
+    /**
+     * @param {HTMLFormElement} form
+     * @param {Object} options
+     *   fields          nomi dei campi da controllare (default id e code_isin)
+     *   marketField     campo compilato con il mercato suggerito, se vuoto
+     *   idField         campo id: lo strumento con quell'id è il record in modifica, non un duplicato
+     *   getInstruments  funzione async che restituisce gli strumenti censiti per id
+     *   getTranslation  funzione di traduzione della pagina
+     */
+    constructor(form, options = {}) {
+        this.form = form;
+        this.fields = options.fields || ['id', 'code_isin'];
+        this.marketField = options.marketField || 'code_market';
+        this.idField = options.idField || 'id';
+        this.getInstruments = options.getInstruments || (async () => ({}));
+        this.t = options.getTranslation || (key => key);
+        this.duplicates = {};
+
+        IdentifierAssistant.injectStyles();
+        this.attach();
+    }
+
+    attach() {
+        this.fields.forEach(name => {
+            const input = this.form.querySelector(`[name="${name}"]`);
+            if (!input || input.type === 'hidden') return;
+
+            const hint = document.createElement('div');
+            hint.className = 'identifier-hint';
+            hint.id = `identifier_hint_${name}`;
+            const group = input.closest('.form-group') || input.parentNode;
+            group.appendChild(hint);
+
+            let timer = null;
+            input.addEventListener('input', () => {
+                clearTimeout(timer);
+                timer = setTimeout(() => this.check(name, input.value), 300);
+            });
+            input.addEventListener('change', () => this.check(name, input.value));
+
+            if (input.value) this.check(name, input.value);
+        });
+    }
+
+    async check(name, value) {
+        const hint = document.getElementById(`identifier_hint_${name}`);
+        if (!hint) return;
+
+        const parsed = InstrumentIdentifier.parse(value);
+        // Testo che non è un codice (es. ticker senza suffisso): nessun suggerimento
+        if (!parsed) {
+            delete this.duplicates[name];
+            hint.innerHTML = '';
+            hint.className = 'identifier-hint';
+            return;
+        }
+
+        hint.className = `identifier-hint ${parsed.valid ? 'valid' : 'invalid'}`;
+        hint.innerHTML = `<i class="fa ${parsed.valid ? 'fa-check-circle' : 'fa-exclamation-triangle'}"></i> ${FieldTypes.escape(InstrumentIdentifier.describe(parsed, this.t))}`;
+
+        this.suggestMarket(parsed);
+
+        const instruments = await this.getInstruments();
+        const idInput = this.form.querySelector(`[name="${this.idField}"]`);
+        const duplicates = InstrumentIdentifier.findDuplicates(parsed, instruments, idInput ? idInput.value.trim() : '');
+        if (duplicates.length === 0) {
+            delete this.duplicates[name];
+            return;
+        }
+
+        this.duplicates[name] = duplicates;
+        const list = duplicates
+            .slice(0, 5)
+            .map(d => `<strong>${FieldTypes.escape(d.id)}</strong> ${FieldTypes.escape(d.instrument_description || '')}`)
+            .join(', ');
+        const warning = document.createElement('div');
+        warning.className = 'identifier-duplicate';
+        warning.innerHTML = `<i class="fa fa-copy"></i> ${FieldTypes.escape(FieldTypes.translate(this.t, 'int.identifier.duplicate', 'Già censito come'))}: ${list}`;
+        hint.appendChild(warning);
+    }
+
+    // Il mercato ricavato dal codice va solo nel campo vuoto: non si sovrascrive una scelta dell'utente
+    suggestMarket(parsed) {
+        if (!parsed.valid || !parsed.market) return;
+        const input = this.form.querySelector(`[name="${this.marketField}"]`);
+        if (!input || input.value || input.readOnly || input.disabled) return;
+
+        const isSelect = input.tagName === 'SELECT';
+        if (isSelect && !Array.from(input.options).some(o => o.value === parsed.market)) return;
+        input.value = parsed.market;
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Da chiamare prima del salvataggio: chiede conferma se il codice è già censito
+     * @returns {boolean} true se si può procedere
+     */
+    confirmDuplicates() {
+        const ids = [...new Set(Object.values(this.duplicates).flat().map(d => d.id))];
+        if (ids.length === 0) return true;
+        const message = FieldTypes.translate(this.t, 'int.identifier.duplicate.confirm', 'Esiste già uno strumento con questo codice ({ids}). Salvare comunque?');
+        return confirm(TranslationManager.format(message, { ids: ids.join(', ') }));
+    }
+
+    static injectStyles() {
+        if (document.getElementById('identifier-assistant-styles')) return;
+
+        const css = `
+            .identifier-hint {
+                font-size: 12px;
+                margin-top: 4px;
+                color: #666;
+            }
+            .identifier-hint:empty {
+                display: none;
+            }
+            .identifier-hint.valid {
+                color: #2e7d32;
+            }
+            .identifier-hint.invalid {
+                color: #c62828;
+            }
+            .identifier-duplicate {
+                margin-top: 4px;
+                padding: 4px 8px;
+                background: #fff8e1;
+                border-left: 3px solid #f9a825;
+                color: #5d4037;
+            }
+        `;
+
+        const style = document.createElement('style');
+        style.id = 'identifier-assistant-styles';
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
+}
+
+// Esporta globalmente
+window.InstrumentIdentifier = InstrumentIdentifier;
+window.IdentifierAssistant = IdentifierAssistant;
@@ -0,0 +1,368 @@
+// ===============================================
+// LOCALE FORMATTER - Formattazione e parsing di numeri, importi e date
+// Da includere dopo translations.js: usa la lingua corrente di TranslationManager
+// e la divisa dell'utente (localStorage 'currency')
+// ===============================================
+
+const LocaleFormatter = {
+    DEFAULT_LANGUAGE: 'it_IT',
+    DEFAULT_CURRENCY: 'EUR',
+
+    // Codici lingua dell'app che non sono tag BCP 47 validi
+    LOCALE_ALIASES: {
+        en_UK: 'en-GB'
+    },
+
+    // Stessi colori già usati nelle tabelle (dashboard.html, dashboard-market.html)
+    POSITIVE_COLOR: '#27ae60',
+    NEGATIVE_COLOR: '#e74c3c',
+
+    // Override impostati con configure(); null = valore corrente di lingua/divisa
+    language: null,
+    currency: null,
+
+    // Cache degli Intl.NumberFormat / DateTimeFormat (costosi da creare)
+    _formatters: {},
+
+    // ========== CONFIGURAZIONE ==========
+
+    /**
+     * Fissa lingua e/o divisa per la pagina (es. quando arrivano da URL)
+     * @param {Object} options - { language: 'de_DE', currency: 'JPY' }
+     */
+    configure({ language, currency } = {}) {
+        if (language !== undefined) this.language = language || null;
+        if (currency !== undefined) this.currency = currency || null;
+    },
+
+    /**
+     * Lingua corrente nel formato dell'app (it_IT)
+     */
+    getLanguage() {
+        if (this.language) return this.language;
+        if (window.TranslationManager && TranslationManager.currentLang) return TranslationManager.currentLang;
+        return sessionStorage.getItem('language') || localStorage.getItem('language') || this.DEFAULT_LANGUAGE;
+    },
+
+    /**
+     * Tag BCP 47 per Intl (it_IT -> it-IT, en_UK -> en-GB)
+     */
+    getLocale(language = this.getLanguage()) {
+        const locale = this.LOCALE_ALIASES[language] || String(language || this.DEFAULT_LANGUAGE).replace('_', '-');
+        try {
+            return Intl.NumberFormat.supportedLocalesOf([locale]).length ? locale : this.LOCALE_ALIASES[this.DEFAULT_LANGUAGE] || this.DEFAULT_LANGUAGE.replace('_', '-');
+        } catch (error) {
+            return this.DEFAULT_LANGUAGE.replace('_', '-');
+        }
+    },
+
+    /**
+     * Divisa dell'utente (impostata in login/account)
+     */
+    getCurrency() {
+        return this.currency || localStorage.getItem('currency') || this.DEFAULT_CURRENCY;
+    },
+
+    /**
+     * Numero di decimali ISO 4217 della divisa (EUR 2, JPY 0, KWD 3)
+     */
+    getCurrencyDigits(currency = this.getCurrency()) {
+        try {
+            return this.getNumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+        } catch (error) {
+            return 2;
+        }
+    },
+
+    getNumberFormat(locale, options) {
+        const key = `n|${locale}|${JSON.stringify(options)}`;
+        if (!this._formatters[key]) this._formatters[key] = new Intl.NumberFormat(locale, options);
+        return this._formatters[key];
+    },
+
+    getDateFormat(locale, options) {
+        const key = `d|${locale}|${JSON.stringify(options)}`;
+        if (!this._formatters[key]) this._formatters[key] = new Intl.DateTimeFormat(locale, options);
+        return this._formatters[key];
+    },
+
+    // ========== FORMATTAZIONE ==========
+
+    /**
+     * Numero con separatori della lingua corrente
+     * @param {number|string} value - numero o valore del backend ("14.47:EUR")
+     * @param {Object} options - { decimals, minimumFractionDigits, maximumFractionDigits, signed, empty, language }
+     *   signed: mostra "+" davanti ai positivi; empty: testo per valori non numerici (default '')
+     */
+    formatNumber(value, options = {}) {
+        const number = this.parseValue(value);
+        if (!Number.isFinite(number)) return options.empty !== undefined ? options.empty : '';
+
+        const decimals = options.decimals !== undefined ? options.decimals : 2;
+        const formatOptions = {
+            minimumFractionDigits: options.minimumFractionDigits !== undefined ? options.minimumFractionDigits : decimals,
+            maximumFractionDigits: options.maximumFractionDigits !== undefined ? options.maximumFractionDigits : decimals
+        };
+        if (options.minimumFractionDigits !== undefined && options.maximumFractionDigits === undefined) {
+            formatOptions.maximumFractionDigits = Math.max(formatOptions.minimumFractionDigits, decimals);
+        }
+        if (options.signed) formatOptions.signDisplay = 'exceptZero';
+        if (options.notation) formatOptions.notation = options.notation;
+
+        return this.getNumberFormat(this.getLocale(options.language), formatOptions).format(number);
+    },
+
+    /**
+     * Importo in divisa con i decimali propri della divisa
+     * @param {number|string|Object} value - numero, "100.00:USD" o { valore, divisa }
+     * @param {string} currency - divisa; se assente quella del valore o dell'utente
+     * @param {Object} options - { decimals, symbol, signed, notation, empty, language }
+     *   symbol: false -> "1.234,50 EUR" (codice dopo il numero, come nelle tabelle trade)
+     */
+    formatCurrency(value, currency, options = {}) {
+        const amount = this.parseAmount(value);
+        if (!Number.isFinite(amount.value)) return options.empty !== undefined ? options.empty : '';
+
+        const code = currency || amount.currency || this.getCurrency();
+        const digits = options.decimals !== undefined ? options.decimals : this.getCurrencyDigits(code);
+
+        if (options.symbol === false) {
+            return `${this.formatNumber(amount.value, { decimals: digits, signed: options.signed, language: options.language })} ${code}`;
+        }
+
+        const formatOptions = {
+            style: 'currency',
+            currency: code,
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        };
+        if (options.signed) formatOptions.signDisplay = 'exceptZero';
+        if (options.notation) {
+            formatOptions.notation = options.notation;
+            formatOptions.minimumFractionDigits = 0;
+        }
+
+        try {
+            return this.getNumberFormat(this.getLocale(options.language), formatOptions).format(amount.value);
+        } catch (error) {
+            // Codice divisa non ISO (es. dati legacy): numero + codice
+            return `${this.formatNumber(amount.value, { decimals: digits, language: options.language })} ${code}`;
+        }
+    },
+
+    /**
+     * Percentuale già espressa in punti (5.12 -> "5,12 %")
+     * @param {Object} options - { decimals, signed, empty, language }
+     */
+    formatPercent(value, options = {}) {
+        const text = this.formatNumber(value, { decimals: 2, ...options });
+        if (!Number.isFinite(this.parseValue(value))) return text;
+        return `${text} %`;
+    },
+
+    /**
+     * Data nel formato della lingua corrente.
+     * Le date ISO "YYYY-MM-DD" del backend sono giorni di calendario: vengono lette
+     * come data locale, non UTC, per non slittare di un giorno a ovest di Greenwich.
+     * @param {Object} options - opzioni Intl.DateTimeFormat (+ empty, language)
+     */
+    formatDate(value, options = {}) {
+        const { empty = '', language, ...formatOptions } = options;
+        const date = this.parseDate(value);
+        // Valori non riconosciuti restano come arrivano dal backend
+        if (!date) return value ? String(value) : empty;
+
+        if (!Object.keys(formatOptions).length) {
+            formatOptions.year = 'numeric';
+            formatOptions.month = '2-digit';
+            formatOptions.day = '2-digit';
+        }
+        return this.getDateFormat(this.getLocale(language), formatOptions).format(date);
+    },
+
+    /**
+     * Data e ora nel formato della lingua corrente
+     */
+    formatDateTime(value, options = {}) {
+        // Con TimezoneService l'ora è mostrata nel fuso scelto dall'utente, non in quello del browser
+        const zoned = window.TimezoneService && !options.timeZone;
+        const date = zoned ? TimezoneService.parseDateTime(value) : value;
+        return this.formatDate(date || value, {
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit',
+            ...(zoned ? { timeZone: TimezoneService.getUserZone() } : {}),
+            ...options
+        });
+    },
+
+    /**
+     * Applica a una cella il valore formattato e lo stile dei numeri:
+     * classe 'num' (allineamento, LTR in css/rtl.css), classe 'negative' e colore
+     * @param {HTMLElement} td
+     * @param {number|string} value
+     * @param {Object} options - { type: 'number'|'currency'|'percent', colorize, currency, ... opzioni di formattazione }
+     *   colorize: 'sign' -> verde/rosso, 'negative' (default) -> rosso solo i negativi, false -> nessun colore
+     */
+    formatCell(td, value, options = {}) {
+        const { type = 'number', colorize = 'negative', currency, ...formatOptions } = options;
+        let text;
+        if (type === 'currency') text = this.formatCurrency(value, currency, formatOptions);
+        else if (type === 'percent') text = this.formatPercent(value, formatOptions);
+        else text = this.formatNumber(value, formatOptions);
+
+        td.textContent = text;
+        td.classList.add('num');
+        td.style.textAlign = 'right';
+
+        const number = this.parseValue(value);
+        const negative = Number.isFinite(number) && number < 0;
+        td.classList.toggle('negative', negative);
+
+        if (colorize === 'sign' && Number.isFinite(number)) {
+            td.style.color = negative ? this.NEGATIVE_COLOR : this.POSITIVE_COLOR;
+        } else if (colorize && negative) {
+            td.style.color = this.NEGATIVE_COLOR;
+        }
+        return td;
+    },
+
+    // ========== PARSING ==========
+
+    /**
+     * Valore numerico di un dato del backend (formato macchina, punto decimale):
+     * 14.47, "14.47", "14.47:EUR", "5.12%:EUR", { valore: 14.47 }, { value: 14.47 }.
+     * Se la stringa non è in formato macchina viene letta come input locale.
+     * @param {*} value
+     * @param {number} fallback - restituito se il valore non è numerico (default NaN)
+     */
+    parseValue(value, fallback = NaN) {
+        if (value === null || value === undefined || value === '' || value === '-') return fallback;
+        if (typeof value === 'number') return Number.isFinite(value) ? value : fallback;
+
+        if (typeof value === 'object') {
+            if (value.valore !== undefined) return this.parseValue(value.valore, fallback);
+            if (value.value !== undefined) return this.parseValue(value.value, fallback);
+            return fallback;
+        }
+
+        const text = String(value).split(':')[0].replace('%', '').trim();
+        if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return parseFloat(text);
+
+        const parsed = this.parseInput(text);
+        return Number.isFinite(parsed) ? parsed : fallback;
+    },
+
+    /**
+     * Valore e divisa di un importo del backend ("100.00:USD", { valore, divisa })
+     */
+    parseAmount(value) {
+        let currency = null;
+        if (value && typeof value === 'object') {
+            currency = value.divisa || value.currency || null;
+        } else if (typeof value === 'string') {
+            const match = value.match(/:([A-Z]{3})$/);
+            if (match) currency = match[1];
+        }
+        return { value: this.parseValue(value), currency };
+    },
+
+    /**
+     * Separatori della lingua (ricavati da Intl, non cablati)
+     * @returns {{group: string, decimal: string}}
+     */
+    getSeparators(language) {
+        const parts = this.getNumberFormat(this.getLocale(language), { useGrouping: true, minimumFractionDigits: 1 })
+            .formatToParts(1234567.5);
+        const find = (type) => (parts.find(part => part.type === type) || {}).value;
+        return { group: find('group') || ',', decimal: find('decimal') || '.' };
+    },
+
+    /**
+     * Numero digitato dall'utente nel formato locale ("1.234,56", "1 234,56", "(12,5)", "−3")
+     * Accetta anche il formato dell'altra convenzione quando non è ambiguo:
+     * in it_IT "12.5" vale 12,5, mentre "1.234" resta milleduecentotrentaquattro.
+     * @returns {number} NaN se il testo non contiene un numero
+     */
+    parseInput(text, language) {
+        if (text === null || text === undefined) return NaN;
+        if (typeof text === 'number') return text;
+
+        const { group, decimal } = this.getSeparators(language);
+        // Dopo la normalizzazione restano solo "." e ","
+        const localDecimal = decimal === ',' ? ',' : '.';
+        const localGroup = localDecimal === ',' ? '.' : (group === '.' ? '.' : ',');
+
+        let clean = String(text)
+            // cifre arabo-indiche e persiane (ar_SA) -> ASCII
+            .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+            .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0))
+            // marcatori di direzione inseriti da Intl per ar/he
+            .replace(/[\u061C\u200E\u200F]/g, '')
+            // separatori arabi decimale / migliaia
+            .replace(/\u066B/g, localDecimal)
+            .replace(/\u066C/g, '')
+            .trim();
+
+        const negative = /^\(.*\)$/.test(clean) || /[-\u2212]/.test(clean);
+
+        // Spazi (anche NBSP / narrow NBSP) e apostrofi sono sempre separatori delle migliaia
+        clean = clean.replace(/[\s'\u2019]/g, '').replace(/[^\d.,]/g, '');
+        if (!/\d/.test(clean)) return NaN;
+
+        const hasDot = clean.includes('.');
+        const hasComma = clean.includes(',');
+        let decimalChar = null;
+
+        if (hasDot && hasComma) {
+            // l'ultimo separatore è quello decimale
+            decimalChar = clean.lastIndexOf('.') > clean.lastIndexOf(',') ? '.' : ',';
+        } else if (hasDot || hasComma) {
+            const separator = hasDot ? '.' : ',';
+            const occurrences = clean.split(separator).length - 1;
+            const tail = clean.length - clean.lastIndexOf(separator) - 1;
+            if (separator === localDecimal) {
+                decimalChar = occurrences === 1 ? separator : null;
+            } else if (separator === localGroup && (occurrences > 1 || tail === 3)) {
+                decimalChar = null;
+            } else {
+                decimalChar = occurrences === 1 ? separator : null;
+            }
+        }
+
+        const [integerPart, fractionPart = ''] = decimalChar
+            ? [clean.slice(0, clean.lastIndexOf(decimalChar)), clean.slice(clean.lastIndexOf(decimalChar) + 1)]
+            : [clean];
+        const number = parseFloat(`${integerPart.replace(/[.,]/g, '') || '0'}.${fractionPart.replace(/[.,]/g, '') || '0'}`);
+        if (isNaN(number)) return NaN;
+        return negative ? -number : number;
+    },
+
+    /**
+     * Date del backend ("YYYY-MM-DD", "YYYY-MM-DD HH:mm:ss", FE_DateTime "YYYY-MM-DD HH:mm:ss+0100",
+     * timestamp, Date)
+     * @returns {Date|null}
+     */
+    parseDate(value) {
+        if (!value) return null;
+        if (value instanceof Date) return isNaN(value) ? null : value;
+        if (typeof value === 'number') return new Date(value);
+
+        const text = String(value).trim();
+        const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?(?:([+-]\d{2}):?(\d{2}))?)?$/);
+        if (match) {
+            const [, y, m, d, hh = 0, mm = 0, ss = 0, offsetHours, offsetMinutes] = match;
+            if (offsetHours) {
+                // Istante esatto: ora "a muro" meno l'offset dichiarato
+                const sign = offsetHours.startsWith('-') ? -1 : 1;
+                const offset = sign * (Math.abs(Number(offsetHours)) * 60 + Number(offsetMinutes));
+                return new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss)) - offset * 60000);
+            }
+            return new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss));
+        }
+        const date = new Date(text);
+        return isNaN(date) ? null : date;
+    }
+};
+
+// Esporta globalmente
+window.LocaleFormatter = LocaleFormatter;
@@ -0,0 +1,513 @@
+// ===============================================
+// PERFORMANCE ENGINE - Rendimenti ponderati per il tempo e per il capitale
+// Dai movimenti di gettrade e dalle quotazioni di getprices ricostruisce quantità
+// e valore di ogni posizione nei giorni di flusso e calcola TWR, XIRR (MWR),
+// rendimento annualizzato e rendimenti di periodo (MTD, QTD, YTD, 1Y, dall'inizio)
+// per strumento, per gruppo di classificazione e per l'intero portafoglio.
+// Da includere dopo api-client.js, dashboard-shared.js e timezone-service.js.
+// ===============================================
+
+const PerformanceEngine = {
+    DAY_MS: 24 * 60 * 60 * 1000,
+    PERIODS: ['mtd', 'qtd', 'ytd', '1y', 'itd'],
+
+    // Sotto l'anno il rendimento non viene annualizzato (l'estrapolazione sarebbe fuorviante)
+    MIN_ANNUALISE_DAYS: 365,
+
+    XIRR_TOLERANCE: 1e-7,
+    XIRR_MAX_ITERATIONS: 100,
+
+    // Chiamate gettrade/getprices contemporanee durante il caricamento
+    CONCURRENCY: 4,
+
+    _eventSigns: null,
+
+    // ========== DATE ==========
+
+    // "2024-03-15T10:00:00" / Date -> "2024-03-15"
+    toDay(value) {
+        if (value instanceof Date) return isNaN(value) ? null : value.toISOString().slice(0, 10);
+        const day = String(value || '').slice(0, 10);
+        return /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null;
+    },
+
+    // Oggi nel fuso dell'utente, come il resto della dashboard (non la data UTC)
+    today() {
+        return TimezoneService.today();
+    },
+
+    addDays(day, days) {
+        const [y, m, d] = day.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+    },
+
+    daysBetween(from, to) {
+        return Math.round((Date.parse(to) - Date.parse(from)) / this.DAY_MS);
+    },
+
+    // Ultimo giorno del mese (month 1-12; 0 = dicembre dell'anno precedente)
+    endOfMonth(year, month) {
+        return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Giorno di chiusura che precede il periodo: il rendimento si misura dal valore
+     * a fine giornata di questo giorno al valore a fine giornata di `endDay`.
+     */
+    periodStart(period, endDay, inceptionDay) {
+        const [y, m, d] = endDay.split('-').map(Number);
+        switch (period) {
+            case 'mtd': return this.endOfMonth(y, m - 1);
+            case 'qtd': return this.endOfMonth(y, Math.floor((m - 1) / 3) * 3);
+            case 'ytd': return this.endOfMonth(y - 1, 12);
+            case '1y': {
+                const lastDay = new Date(Date.UTC(y - 1, m, 0)).getUTCDate();
+                return new Date(Date.UTC(y - 1, m - 1, Math.min(d, lastDay))).toISOString().slice(0, 10);
+            }
+            default: return this.addDays(inceptionDay, -1);
+        }
+    },
+
+    // ========== EVENTI ==========
+
+    /**
+     * id_event -> { sign, liquiditySign } da event/manifest.json
+     */
+    parseEventSigns(manifest) {
+        const signs = {};
+        Object.values(manifest || {}).forEach(events => {
+            if (!Array.isArray(events)) return;
+            events.forEach(event => {
+                if (!event.id_event) return;
+                signs[event.id_event] = {
+                    sign: event.id_event_sign || null,
+                    liquiditySign: event.id_event_liquidity_sign || null
+                };
+            });
+        });
+        return signs;
+    },
+
+    async loadEventSigns() {
+        if (this._eventSigns) return this._eventSigns;
+        try {
+            const response = await fetch('event/manifest.json');
+            this._eventSigns = response.ok ? this.parseEventSigns(await response.json()) : {};
+        } catch (e) {
+            console.warn('PerformanceEngine: event/manifest.json non disponibile', e);
+            this._eventSigns = {};
+        }
+        return this._eventSigns;
+    },
+
+    /**
+     * Effetto di un evento sulla posizione:
+     * - flow: +1 denaro che entra nella posizione (acquisto), -1 denaro che esce (vendita, cedola)
+     * - quantity: +1/-1 variazione della quantità, 0 per i proventi (cedole/dividendi)
+     * Il verso del denaro segue il conto di liquidità collegato (uscita dal conto = versamento);
+     * gli eventi senza liquidità (carico/scarico titoli) valgono come versamento/prelievo al controvalore.
+     */
+    eventEffect(idEvent, signs) {
+        const event = signs[idEvent];
+        if (!event) return { flow: 0, quantity: 0 };
+        const quantity = event.sign === '+' ? 1 : (event.sign === '-' ? -1 : 0);
+        // Cedola/dividendo: aumenta sia la posizione sia la liquidità, senza cambiare la quantità
+        if (event.sign === '+' && event.liquiditySign === '+') return { flow: -1, quantity: 0 };
+        if (event.liquiditySign) return { flow: event.liquiditySign === '-' ? 1 : -1, quantity };
+        return { flow: quantity, quantity };
+    },
+
+    // ========== POSIZIONI ==========
+
+    // "12.50:EUR" -> 12.5
+    parseAmount(value) {
+        if (value === null || value === undefined || value === '' || value === '-') return null;
+        const number = parseFloat(String(value).split(':')[0].replace(/\s/g, ''));
+        return isNaN(number) ? null : number;
+    },
+
+    /**
+     * Prezzo di una riga di getprices: prima quello convertito nella divisa di valutazione,
+     * poi la chiusura di mercato, poi il primo price@<tipo> disponibile.
+     */
+    rowPrice(row, currency) {
+        const keys = [currency ? `price_mkt@${currency}` : null, 'price_mkt', 'value']
+            .concat(Object.keys(row).filter(k => k.startsWith('price@')));
+        for (const key of keys) {
+            if (!key) continue;
+            const price = this.parseAmount(row[key]);
+            if (price !== null && price !== 0) return price;
+        }
+        return null;
+    },
+
+    // Righe di quotazione della risposta di getprices (data, prices o array)
+    priceRows(raw) {
+        if (!raw) return [];
+        return Array.isArray(raw.data) ? raw.data : (Array.isArray(raw.prices) ? raw.prices : (Array.isArray(raw) ? raw : []));
+    },
+
+    // Righe di getprices -> [{ day, price }] ordinata; seed: prezzi { day: price } usati dove manca la quotazione
+    priceList(rows, currency, seed = {}) {
+        const series = { ...seed };
+        rows.forEach(row => {
+            const day = this.toDay(row.date_start || row.date);
+            const price = this.rowPrice(row, currency);
+            if (day && price !== null) series[day] = price;
+        });
+        return Object.keys(series).sort().map(day => ({ day, price: series[day] }));
+    },
+
+    /**
+     * Costruisce una posizione (strumento su un conto).
+     * @param {Object} options
+     * @param {Array} options.trades - Movimenti di gettrade (solo quelli eseguiti vengono considerati)
+     * @param {Array} options.prices - Righe di getprices
+     * @param {Object} options.signs - Risultato di parseEventSigns
+     * @param {number} options.marketValue - Valore di mercato attuale (es. CTVMKTTQ), usato per tarare
+     *        la scala quantità × prezzo (divisore delle obbligazioni, cambio) sul valore del backend
+     * @returns {Object} { id_instrument, id_account, flows, prices, scale, inception }
+     */
+    buildPosition({ id_instrument, id_account, trades = [], prices = [], signs = {}, marketValue = null, currency = '' }) {
+        const byDay = {};
+        const tradePrices = {};
+
+        trades.forEach(trade => {
+            if (trade.trade !== undefined && String(trade.trade) !== 'True') return;
+            const day = this.toDay(trade.date_trade || trade.date_evaluation || trade.date_settlement);
+            if (!day) return;
+
+            const effect = this.eventEffect(trade.id_event, signs);
+            const quantity = Math.abs(this.parseAmount(trade.quantity) || 0);
+            const price = this.parseAmount(trade.price);
+            let amount = Math.abs(this.parseAmount(trade['amount:net']) || this.parseAmount(trade.controvaloresupersecco) || 0);
+            if (!amount && price) amount = quantity * price;
+
+            const flow = byDay[day] || (byDay[day] = { day, cash: 0, quantity: 0 });
+            flow.cash += effect.flow * amount;
+            flow.quantity += effect.quantity * quantity;
+            if (price && effect.quantity !== 0) tradePrices[day] = price;
+        });
+
+        const flows = Object.values(byDay).sort((a, b) => a.day.localeCompare(b.day));
+        let held = 0;
+        flows.forEach(flow => {
+            held += flow.quantity;
+            flow.quantityAfter = held;
+        });
+
+        // Quotazioni del backend, integrate con i prezzi dei movimenti nei giorni senza quotazione
+        const priceList = this.priceList(prices, currency, tradePrices);
+
+        const position = { id_instrument, id_account, flows, prices: priceList, scale: 1, inception: flows.length ? flows[0].day : null };
+
+        const lastPrice = priceList.length ? priceList[priceList.length - 1].price : null;
+        const mv = parseFloat(marketValue);
+        if (held !== 0 && lastPrice && isFinite(mv) && mv !== 0) {
+            const scale = mv / (held * lastPrice);
+            if (isFinite(scale) && scale > 0) position.scale = scale;
+        }
+        return position;
+    },
+
+    quantityAt(position, day) {
+        let quantity = 0;
+        for (const flow of position.flows) {
+            if (flow.day > day) break;
+            quantity = flow.quantityAfter;
+        }
+        return quantity;
+    },
+
+    // Ultima quotazione disponibile al giorno indicato (ricerca binaria)
+    priceAt(position, day) {
+        const list = position.prices;
+        let lo = 0;
+        let hi = list.length - 1;
+        let found = null;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (list[mid].day <= day) {
+                found = list[mid].price;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found;
+    },
+
+    // Valore a fine giornata, dopo i flussi del giorno
+    valueAt(position, day) {
+        const quantity = this.quantityAt(position, day);
+        if (quantity === 0) return 0;
+        const price = this.priceAt(position, day);
+        return price === null ? 0 : quantity * price * position.scale;
+    },
+
+    totalValue(positions, day) {
+        return positions.reduce((acc, p) => acc + this.valueAt(p, day), 0);
+    },
+
+    // Flussi (denaro entrato nella posizione) per giorno, nell'intervallo (from, to]
+    cashFlows(positions, from, to) {
+        const byDay = {};
+        positions.forEach(p => p.flows.forEach(flow => {
+            if (flow.day > from && flow.day <= to) byDay[flow.day] = (byDay[flow.day] || 0) + flow.cash;
+        }));
+        return Object.keys(byDay).sort().map(day => ({ day, cash: byDay[day] }));
+    },
+
+    // ========== RENDIMENTI ==========
+
+    /**
+     * Time-weighted return tra la chiusura di `from` e quella di `to`.
+     * Ogni sottoperiodo termina in un giorno di flusso: (valore dopo i flussi - denaro entrato) /
+     * valore di partenza. Cedole e vendite sono denaro uscito e quindi contano come rendimento;
+     * commissioni e spese, comprese nel netto dei movimenti, lo riducono.
+     * @returns {number|null} null se nel periodo la posizione non ha mai avuto valore
+     */
+    twr(positions, from, to) {
+        let base = this.totalValue(positions, from);
+        let growth = 1;
+        let linked = false;
+        let lastDay = from;
+
+        this.cashFlows(positions, from, to).forEach(({ day, cash }) => {
+            const after = this.totalValue(positions, day);
+            if (base > 0) {
+                growth *= (after - cash) / base;
+                linked = true;
+            }
+            base = after;
+            lastDay = day;
+        });
+
+        if (lastDay !== to && base > 0) {
+            growth *= this.totalValue(positions, to) / base;
+            linked = true;
+        }
+        return linked ? growth - 1 : null;
+    },
+
+    /**
+     * XIRR: tasso annuo che azzera il valore attuale dei flussi dell'investitore
+     * (importi negativi = versamenti, positivi = incassi). Newton con ripiego su bisezione.
+     * @param {Array} flows - [{ day, amount }]
+     * @returns {number|null}
+     */
+    xirr(flows) {
+        const list = flows.filter(f => f.amount !== 0);
+        if (!list.some(f => f.amount > 0) || !list.some(f => f.amount < 0)) return null;
+
+        const first = list.reduce((min, f) => f.day < min ? f.day : min, list[0].day);
+        const times = list.map(f => this.daysBetween(first, f.day) / 365);
+        const npv = (rate) => list.reduce((acc, f, i) => acc + f.amount / Math.pow(1 + rate, times[i]), 0);
+        const dnpv = (rate) => list.reduce((acc, f, i) => acc - times[i] * f.amount / Math.pow(1 + rate, times[i] + 1), 0);
+
+        let rate = 0.1;
+        for (let i = 0; i < this.XIRR_MAX_ITERATIONS; i++) {
+            const value = npv(rate);
+            const derivative = dnpv(rate);
+            if (!isFinite(value) || !isFinite(derivative) || derivative === 0) break;
+            const next = rate - value / derivative;
+            if (!isFinite(next) || next <= -1) break;
+            if (Math.abs(next - rate) < this.XIRR_TOLERANCE) return next;
+            rate = next;
+        }
+
+        // Bisezione su un intervallo ampio
+        let lo = -0.9999;
+        let hi = 10;
+        let fLo = npv(lo);
+        if (!isFinite(fLo) || fLo * npv(hi) > 0) return null;
+        for (let i = 0; i < 200; i++) {
+            const mid = (lo + hi) / 2;
+            const fMid = npv(mid);
+            if (Math.abs(fMid) < this.XIRR_TOLERANCE || (hi - lo) / 2 < this.XIRR_TOLERANCE) return mid;
+            if (fMid * fLo < 0) {
+                hi = mid;
+            } else {
+                lo = mid;
+                fLo = fMid;
+            }
+        }
+        return (lo + hi) / 2;
+    },
+
+    /**
+     * Money-weighted return (XIRR) tra la chiusura di `from` e quella di `to`:
+     * il valore iniziale è un versamento, il valore finale un incasso.
+     */
+    mwr(positions, from, to) {
+        const flows = [];
+        const startValue = this.totalValue(positions, from);
+        if (startValue > 0) flows.push({ day: from, amount: -startValue });
+        this.cashFlows(positions, from, to).forEach(({ day, cash }) => flows.push({ day, amount: -cash }));
+        const endValue = this.totalValue(positions, to);
+        if (endValue > 0) flows.push({ day: to, amount: endValue });
+        return this.xirr(flows);
+    },
+
+    // XIRR riportato alla durata del periodo: rendimento ponderato per il capitale del periodo
+    periodReturn(xirr, from, to) {
+        return xirr === null ? null : Math.pow(1 + xirr, this.daysBetween(from, to) / 365) - 1;
+    },
+
+    annualise(rate, days) {
+        if (rate === null || days < this.MIN_ANNUALISE_DAYS || rate <= -1) return null;
+        return Math.pow(1 + rate, 365 / days) - 1;
+    },
+
+    /**
+     * Analisi completa di un insieme di posizioni (uno strumento, un gruppo o il portafoglio).
+     * I periodi che iniziano prima del primo movimento partono di fatto dal primo movimento.
+     * Nei periodi `mwr` è il rendimento ponderato per il capitale del periodo (XIRR riportato
+     * alla durata del periodo); `xirr` è il tasso annuo dall'inizio.
+     * @returns {Object|null} { inception, end, twr, annualised, xirr, periods: { mtd: { start, twr, mwr }, ... } }
+     */
+    analyse(positions, endDay = this.today()) {
+        const inceptions = positions.map(p => p.inception).filter(Boolean).sort();
+        if (!inceptions.length) return null;
+        const inception = inceptions[0];
+
+        const periods = {};
+        this.PERIODS.forEach(period => {
+            const start = this.periodStart(period, endDay, inception);
+            const xirr = this.mwr(positions, start, endDay);
+            periods[period] = {
+                start,
+                twr: this.twr(positions, start, endDay),
+                mwr: this.periodReturn(xirr, start, endDay),
+                xirr
+            };
+        });
+
+        const itd = periods.itd;
+        return {
+            inception,
+            end: endDay,
+            twr: itd.twr,
+            annualised: this.annualise(itd.twr, this.daysBetween(itd.start, endDay)),
+            xirr: itd.xirr,
+            periods
+        };
+    },
+
+    /**
+     * Analisi per gruppo di classificazione, con le stesse etichette di getGroupedData
+     * ("Other" per gli strumenti non classificati).
+     * @returns {Array} [{ label, positions, result }] ordinati per etichetta
+     */
+    analyseGroups(positions, classificationMap, groupingKey, endDay = this.today()) {
+        const groups = {};
+        positions.forEach(p => {
+            const label = getGroupingValue(p, classificationMap, groupingKey);
+            (groups[label] = groups[label] || []).push(p);
+        });
+        return Object.keys(groups).sort().map(label => ({
+            label,
+            positions: groups[label],
+            result: this.analyse(groups[label], endDay)
+        }));
+    },
+
+    // ========== CARICAMENTO ==========
+
+    /**
+     * Scarica movimenti e quotazioni delle righe di portafoglio (una posizione per conto e strumento).
+     * @param {Array} items - Righe di getportfolio (id_account, id_instrument, ...)
+     * @param {Object} options
+     * @param {string} options.currency - Divisa di valutazione
+     * @param {string} options.valueKey - Campo del valore di mercato attuale (default CTVMKTTQ)
+     * @param {Function} options.onProgress - (completate, totali)
+     * @returns {Promise<{positions: Array, failed: Array}>}
+     */
+    async loadPositions(items, { currency = '', valueKey = 'CTVMKTTQ', onProgress = null } = {}) {
+        const signs = await this.loadEventSigns();
+        const rows = [];
+        const seen = new Set();
+        items.forEach(item => {
+            const key = `${item.id_account}|${item.id_instrument}`;
+            if (!item.id_instrument || seen.has(key)) return;
+            seen.add(key);
+            rows.push(item);
+        });
+
+        const positions = [];
+        const failed = [];
+        let done = 0;
+        let stopped = false;
+
+        const loadOne = async (item) => {
+            const tradeResult = await ApiClient.getTrade('', {
+                filter: '',
+                id_account: item.id_account || '',
+                id_instrument: item.id_instrument,
+                account_level: item.account_level_portfolio || item.account_level || '',
+                account_level_yield: item.account_level_yield || item.account_level || '',
+                currency: currency
+            });
+            if (tradeResult.authError) {
+                stopped = true;
+                return;
+            }
+            const trades = tradeResult.status === 'ok' && Array.isArray(tradeResult.raw?.trade) ? tradeResult.raw.trade : null;
+            if (!trades) {
+                failed.push({ item, msg: tradeResult.msg });
+                return;
+            }
+
+            const days = trades.map(t => this.toDay(t.date_trade || t.date_evaluation || t.date_settlement)).filter(Boolean).sort();
+            let prices = [];
+            if (days.length) {
+                const priceResult = await ApiClient.getPrices({
+                    currency: currency,
+                    instrument: {
+                        id_instrument: item.id_instrument,
+                        id_account: item.id_account || '',
+                        date_start: days[0],
+                        date_end: this.today()
+                    }
+                });
+                if (priceResult.authError) {
+                    stopped = true;
+                    return;
+                }
+                prices = this.priceRows(priceResult.raw);
+            }
+
+            const position = this.buildPosition({
+                id_instrument: item.id_instrument,
+                id_account: item.id_account,
+                trades,
+                prices,
+                signs,
+                marketValue: item[valueKey],
+                currency
+            });
+            position.description = item.instrument_description || item.Ticker || item.id_instrument;
+            if (position.flows.length) positions.push(position);
+        };
+
+        const queue = rows.slice();
+        const worker = async () => {
+            while (queue.length && !stopped) {
+                const item = queue.shift();
+                try {
+                    await loadOne(item);
+                } catch (e) {
+                    failed.push({ item, msg: e.message });
+                }
+                done++;
+                if (onProgress) onProgress(done, rows.length);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.CONCURRENCY, rows.length) }, worker));
+
+        return { positions, failed };
+    }
+};
+
+// Esporta globalmente
+window.PerformanceEngine = PerformanceEngine;
@@ -0,0 +1,393 @@
+// ===============================================
+// RAPID ENTRY - Inserimento rapido dei trade da tastiera
+// Da includere dopo dataentry-manager.js nella pagina di data entry dei trade.
+// In modalità rapida:
+//   Invio / Maiusc+Invio  campo successivo / precedente; sull'ultimo campo salva
+//   Alt+R                 ripete l'ultimo trade inserito
+//   Alt+1 ... Alt+9       sceglie l'evento n-esimo dell'elenco
+//   Alt+Z                 annulla (deltrade) l'ultimo trade della sessione
+// Dopo il salvataggio il form si svuota tenendo rapporto, evento e date.
+// ===============================================
+
+class RapidTradeEntry {
+    /**
+     * @param {DataEntryManager} manager - manager del form (già generato)
+     * @param {Object} options
+     *   keepFields      campi mantenuti dopo il salvataggio
+     *   deleteTrade     funzione async (trade con id_operation) che annulla un trade registrato
+     *   getTranslation  funzione di traduzione della pagina
+     */
+    constructor(manager, options = {}) {
+        this.manager = manager;
+        this.keepFields = options.keepFields || RapidTradeEntry.KEEP_FIELDS;
+        this.deleteTrade = options.deleteTrade || null;
+        this.t = options.getTranslation || (key => key);
+
+        this.enabled = localStorage.getItem(RapidTradeEntry.STORAGE_KEY) === 'true';
+        // Trade registrati in questa sessione, dal più recente: { data, result, idOperation, time, undone }
+        this.session = [];
+        this.lastTrade = null;
+
+        this.form = document.getElementById('dataentry-form');
+        if (!this.form) return;
+
+        RapidTradeEntry.injectStyles();
+        this.render();
+        this.attach();
+        this.setEnabled(this.enabled);
+    }
+
+    render() {
+        const actions = this.form.querySelector('.form-actions');
+        this.toggle = document.createElement('button');
+        this.toggle.type = 'button';
+        this.toggle.className = 'btn btn-secondary rapid-toggle';
+        this.toggle.innerHTML = `<i class="fa fa-bolt"></i> ${FieldTypes.escape(this.tr('int.rapid.toggle', 'Inserimento rapido'))}`;
+        this.toggle.addEventListener('click', () => this.setEnabled(!this.enabled));
+        if (actions) actions.insertBefore(this.toggle, actions.firstChild);
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'rapid-panel';
+        this.panel.innerHTML = `
+            <div class="rapid-help">
+                <i class="fa fa-keyboard-o"></i>
+                ${FieldTypes.escape(this.tr('int.rapid.help', 'Invio: campo successivo · Alt+R: ripeti l\'ultimo · Alt+1…9: evento · Alt+Z: annulla l\'ultimo'))}
+            </div>
+            <div class="rapid-session-title">${FieldTypes.escape(this.tr('int.rapid.session', 'Operazioni della sessione'))}</div>
+            <ul class="rapid-session"></ul>
+        `;
+        this.form.parentNode.insertBefore(this.panel, this.form.nextSibling);
+        this.list = this.panel.querySelector('.rapid-session');
+        this.renderSession();
+    }
+
+    attach() {
+        this.form.addEventListener('keydown', (e) => {
+            if (!this.enabled) return;
+
+            if (e.altKey && !e.ctrlKey && !e.metaKey) {
+                if (e.code === 'KeyR') {
+                    e.preventDefault();
+                    this.repeatLast();
+                } else if (e.code === 'KeyZ') {
+                    e.preventDefault();
+                    this.undoLast();
+                } else if (/^Digit[1-9]$/.test(e.code)) {
+                    e.preventDefault();
+                    this.selectEvent(Number(e.code.slice(5)));
+                }
+                return;
+            }
+
+            if (e.key === 'Enter') this.handleEnter(e);
+        });
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(RapidTradeEntry.STORAGE_KEY, String(enabled));
+        this.form.classList.toggle('rapid-mode', enabled);
+        this.toggle.classList.toggle('active', enabled);
+        this.panel.hidden = !enabled;
+        if (enabled) this.focusFirst();
+    }
+
+    tr(key, fallback) {
+        return FieldTypes.translate(this.t, key, fallback);
+    }
+
+    // ========== NAVIGAZIONE ==========
+
+    /**
+     * Campi raggiungibili con Invio, nell'ordine del form (esclusi nascosti, disabilitati e di sola lettura)
+     */
+    getNavigableFields() {
+        return Array.from(this.form.querySelectorAll('input, select, textarea'))
+            .filter(el => el.type !== 'hidden' && !el.disabled && !el.readOnly && el.offsetParent !== null);
+    }
+
+    handleEnter(e) {
+        const target = e.target;
+        if (target.tagName === 'TEXTAREA' || target.tagName === 'BUTTON') return;
+
+        // L'autocompletamento dello strumento usa Invio per scegliere: si avanza solo a scelta fatta
+        if (e.defaultPrevented) {
+            const dropdown = target.closest('.instrument-search-container');
+            const open = dropdown && dropdown.querySelector('.instrument-dropdown').style.display !== 'none';
+            if (open) return;
+        }
+
+        e.preventDefault();
+        const fields = this.getNavigableFields();
+        const index = fields.indexOf(target);
+        if (index === -1) return;
+        const next = fields[index + (e.shiftKey ? -1 : 1)];
+
+        if (!e.shiftKey && index === fields.length - 1) {
+            this.submit();
+        } else if (next) {
+            next.focus();
+            if (next.select && next.tagName === 'INPUT') next.select();
+        }
+    }
+
+    focusFirst(skipKept = false) {
+        const fields = this.getNavigableFields();
+        const first = fields.find(el => !skipKept || !this.keepFields.includes(this.fieldName(el))) || fields[0];
+        if (first) first.focus();
+    }
+
+    /**
+     * Nome del campo di un controllo (l'input visibile dell'autocompletamento ha solo l'id)
+     */
+    fieldName(el) {
+        return el.name || String(el.id || '').replace(/^field_/, '');
+    }
+
+    submit() {
+        this.form.requestSubmit();
+        // Se la validazione fallisce, il cursore va sul primo campo in errore
+        const invalid = this.form.querySelector('.form-input.error, .form-select.error');
+        if (invalid) invalid.focus();
+    }
+
+    // ========== SESSIONE ==========
+
+    /**
+     * Da chiamare dopo una puttrade riuscita: registra il trade e prepara il form per il successivo
+     * @param {Object} data - trade inviato
+     * @param {Object} result - risposta di puttrade
+     */
+    submitted(data, result) {
+        if (!this.enabled || (result && result.status && result.status !== 'ok')) return;
+
+        this.lastTrade = { ...data };
+        // puttrade può restituire l'id_operation assegnato: senza, deltrade non saprebbe quale record togliere
+        const idOperation = result && (result.id_operation || (result.trade && result.trade.id_operation));
+        this.session.unshift({ data: { ...data }, result, idOperation: idOperation || null, time: new Date(), undone: false });
+        this.renderSession();
+        this.resetForm();
+    }
+
+    /**
+     * Svuota il form tenendo i campi di keepFields
+     */
+    resetForm() {
+        this.manager.clearErrors();
+        this.manager.getFields().forEach(field => {
+            if (this.keepFields.includes(field.name)) return;
+            this.setValue(field.name, '');
+        });
+
+        // Lordo e netto tornano al calcolo automatico
+        TradeCalculator.DERIVED_FIELDS.forEach(name => {
+            const input = document.getElementById(`field_${name}`);
+            if (input) input.dataset.override = '';
+        });
+        this.refresh();
+        this.focusFirst(true);
+    }
+
+    repeatLast() {
+        if (!this.lastTrade) return;
+        Object.entries(this.lastTrade).forEach(([name, value]) => this.setValue(name, value));
+
+        // Lordo e netto si ricalcolano dai valori ripetuti
+        TradeCalculator.DERIVED_FIELDS.forEach(name => {
+            const input = document.getElementById(`field_${name}`);
+            if (input) input.dataset.override = '';
+        });
+        this.refresh();
+        this.focusFirst(true);
+    }
+
+    /**
+     * Sceglie l'evento n-esimo (da 1) fra quelli proposti dal campo id_event
+     */
+    selectEvent(n) {
+        const input = this.form.querySelector('[name="id_event"]');
+        if (!input || input.disabled || input.readOnly) return;
+
+        let codes = [];
+        if (input.tagName === 'SELECT') {
+            codes = Array.from(input.options).map(o => o.value).filter(Boolean);
+        } else {
+            const list = input.getAttribute('list') ? document.getElementById(input.getAttribute('list')) : null;
+            codes = list ? Array.from(list.options).map(o => o.value) : [];
+        }
+        if (!codes[n - 1]) return;
+
+        input.value = codes[n - 1];
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    /**
+     * Annulla l'ultimo trade della sessione non ancora annullato
+     */
+    async undoLast() {
+        const entry = this.session.find(item => this.canUndo(item));
+        if (entry) await this.undo(entry);
+    }
+
+    /**
+     * Solo i trade di cui conosciamo l'id_operation si possono annullare
+     */
+    canUndo(entry) {
+        return Boolean(this.deleteTrade && entry.idOperation && !entry.undone && !entry.pending);
+    }
+
+    async undo(entry) {
+        if (!this.canUndo(entry)) return;
+
+        entry.pending = true;
+        entry.error = '';
+        this.renderSession();
+        try {
+            await this.deleteTrade({ ...entry.data, id_operation: entry.idOperation });
+            entry.undone = true;
+        } catch (error) {
+            console.error('[RapidTradeEntry] Undo failed:', error);
+            entry.error = this.tr('int.rapid.undo.failed', 'Annullamento non riuscito');
+        } finally {
+            entry.pending = false;
+            this.renderSession();
+        }
+    }
+
+    renderSession() {
+        if (!this.list) return;
+
+        if (!this.session.length) {
+            this.list.innerHTML = `<li class="rapid-empty">${FieldTypes.escape(this.tr('int.rapid.empty', 'Nessuna operazione inserita'))}</li>`;
+            return;
+        }
+
+        const escape = FieldTypes.escape;
+        this.list.innerHTML = this.session.map((entry, index) => {
+            const d = entry.data;
+            const time = entry.time.toTimeString().slice(0, 8);
+            let status = '';
+            if (entry.undone) status = `<span class="rapid-status">${escape(this.tr('int.rapid.undone', 'Annullata'))}</span>`;
+            else if (entry.pending) status = '<i class="fa fa-spinner fa-spin"></i>';
+            else if (!this.canUndo(entry)) status = `<span class="rapid-status">${escape(this.tr('int.rapid.undo.unavailable', 'Non annullabile'))}</span>`;
+            else status = `<button type="button" class="rapid-undo" data-index="${index}">${escape(this.tr('int.rapid.undo', 'Annulla'))}</button>`;
+
+            return `
+                <li class="${entry.undone ? 'undone' : ''}">
+                    <span class="rapid-time">${time}</span>
+                    <span class="rapid-event">${escape(d.id_event || '')}</span>
+                    <span class="rapid-instrument">${escape(d.id_instrument || '')}</span>
+                    <span class="rapid-amounts">${escape(d.quantity || '')} × ${escape(d.price || '')} = ${escape(d['amount:net'] || '')}</span>
+                    ${status}
+                    ${entry.error ? `<span class="rapid-error">${escape(entry.error)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        this.list.querySelectorAll('.rapid-undo').forEach(button => {
+            button.addEventListener('click', () => this.undo(this.session[Number(button.dataset.index)]));
+        });
+    }
+
+    // ========== CAMPI ==========
+
+    /**
+     * Imposta un campo, compreso il valore nascosto dell'autocompletamento dello strumento
+     */
+    setValue(name, value) {
+        const input = document.getElementById(`field_${name}`);
+        const hidden = document.getElementById(`field_${name}_hidden`);
+        if (input) input.value = value;
+        if (hidden) hidden.value = value;
+    }
+
+    // Calcoli, condizioni e bozza seguono i valori impostati da codice
+    refresh() {
+        this.form.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    static injectStyles() {
+        if (document.getElementById('rapid-entry-styles')) return;
+
+        const css = `
+            .rapid-toggle.active {
+                background: #000;
+                color: #fff;
+            }
+            .dataentry-form.rapid-mode .form-input:focus,
+            .dataentry-form.rapid-mode .form-select:focus {
+                outline: 2px solid #f9a825;
+                outline-offset: 1px;
+            }
+            .rapid-panel {
+                margin-top: 16px;
+                border: 1px solid #e0e0e0;
+                border-radius: 6px;
+                padding: 12px 16px;
+                font-size: 13px;
+            }
+            .rapid-help {
+                color: #666;
+                margin-bottom: 8px;
+            }
+            .rapid-session-title {
+                font-weight: 600;
+                margin-bottom: 6px;
+            }
+            .rapid-session {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+                max-height: 260px;
+                overflow-y: auto;
+            }
+            .rapid-session li {
+                display: flex;
+                gap: 10px;
+                align-items: center;
+                padding: 4px 0;
+                border-bottom: 1px solid #f0f0f0;
+            }
+            .rapid-session li.undone {
+                color: #999;
+                text-decoration: line-through;
+            }
+            .rapid-session li.rapid-empty {
+                color: #999;
+                font-style: italic;
+            }
+            .rapid-time {
+                font-family: monospace;
+                color: #666;
+            }
+            .rapid-instrument {
+                font-weight: bold;
+                min-width: 80px;
+            }
+            .rapid-amounts {
+                flex: 1;
+            }
+            .rapid-undo {
+                border: 1px solid #ccc;
+                background: #fff;
+                border-radius: 4px;
+                padding: 2px 8px;
+                cursor: pointer;
+            }
+            .rapid-error {
+                color: #c62828;
+            }
+        `;
+
+        const style = document.createElement('style');
+        style.id = 'rapid-entry-styles';
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
+}
+
+RapidTradeEntry.STORAGE_KEY = 'rapid-entry:enabled';
+RapidTradeEntry.KEEP_FIELDS = ['id_account', 'id_event', 'date_trade', 'date_settlement'];
+
+// Esporta globalmente
+window.RapidTradeEntry = RapidTradeEntry;
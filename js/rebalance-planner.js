@@ -0,0 +1,295 @@
+// ===============================================
+// REBALANCE PLANNER - Allocazione obiettivo e ribilanciamento
+// Pesi obiettivo e bande di tolleranza per valore di classificazione (asset_class, sector,
+// code_market...), scostamento dell'allocazione attuale (getGroupedData) e proposta di
+// acquisti/vendite per strumento che riporta nella banda i gruppi che ne sono usciti.
+// La proposta usa la liquidità dei rapporti "trade-liquidity" (manifest degli eventi),
+// arrotonda le quantità al lotto minimo (quantity_minimum dell'anagrafica) e stima le
+// commissioni; ogni operazione diventa una bozza (DraftStore) del form di data entry trade.
+// Da includere dopo dashboard-shared.js, api-client.js e draft-store.js.
+// ===============================================
+
+const RebalancePlanner = {
+    STORAGE_KEY: 'rebalanceTargets',
+    SETTINGS_KEY: 'rebalanceSettings',
+    // Commissioni in percentuale del controvalore, con minimo per operazione; lotto se l'anagrafica non lo indica
+    DEFAULT_SETTINGS: { tolerance: 5, feeRate: 0.1, feeMin: 0, lot: 1, useCash: true },
+    LIQUIDITY_DASHBOARD: 'trade-liquidity',
+    TRADE_PAGE: 'dashboard-dataentry-trade.html',
+    // Prefisso delle bozze create dalla proposta, seguito da rapporto e strumento
+    DRAFT_PREFIX: 'rebalance',
+
+    lotsCache: null,
+
+    // ========== OBIETTIVI E IMPOSTAZIONI ==========
+
+    /**
+     * Obiettivi dell'utente per un raggruppamento.
+     * @returns {Object} { label: { target, tolerance } } in percentuale
+     */
+    loadTargets(user, grouping) {
+        const all = this.readStorage(`${this.STORAGE_KEY}:${user || ''}`);
+        return all && all[grouping] && typeof all[grouping] === 'object' ? all[grouping] : {};
+    },
+
+    saveTargets(user, grouping, targets) {
+        const key = `${this.STORAGE_KEY}:${user || ''}`;
+        const all = this.readStorage(key) || {};
+        all[grouping] = targets;
+        localStorage.setItem(key, JSON.stringify(all));
+    },
+
+    loadSettings(user) {
+        return { ...this.DEFAULT_SETTINGS, ...(this.readStorage(`${this.SETTINGS_KEY}:${user || ''}`) || {}) };
+    },
+
+    saveSettings(user, settings) {
+        localStorage.setItem(`${this.SETTINGS_KEY}:${user || ''}`, JSON.stringify(settings));
+    },
+
+    readStorage(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (e) {
+            console.warn('RebalancePlanner: invalid saved data', key, e);
+            return null;
+        }
+    },
+
+    // ========== EVENTI E LIQUIDITÀ ==========
+
+    // Settori i cui eventi sono tutti movimenti di liquidità (es. CC)
+    liquiditySectors(manifest) {
+        return Object.keys(manifest || {}).filter(sector => {
+            const events = manifest[sector];
+            return Array.isArray(events) && events.length > 0 &&
+                events.every(e => e.dashboard === this.LIQUIDITY_DASHBOARD);
+        });
+    },
+
+    /**
+     * Evento di acquisto o vendita del settore: quello che muove la liquidità in senso opposto
+     * (es. FI-BB "+" con CC-BB "-" per l'acquisto, FI-BA "-" con CC-BA "+" per la vendita)
+     * @param {string} side - 'buy' | 'sell'
+     */
+    tradeEvent(manifest, sector, side) {
+        const events = (manifest && manifest[sector]) || [];
+        const sign = side === 'buy' ? '+' : '-';
+        return events.find(e => e.id_event_liquidity && e.id_event_sign === sign &&
+            e.id_event_liquidity_sign === (sign === '+' ? '-' : '+')) || null;
+    },
+
+    /**
+     * Separa le posizioni investite dalla liquidità disponibile.
+     * @param {Function} sectorOf - id_account -> account_sector
+     * @returns {Object} { positions, cash }
+     */
+    split(items, { manifest, sectorOf, valueKey = 'CTVMKTTQ' }) {
+        const liquidity = this.liquiditySectors(manifest);
+        const positions = [];
+        let cash = 0;
+        items.forEach(item => {
+            const value = parseFloat(item[valueKey]);
+            if (!isFinite(value) || value === 0) return;
+            if (liquidity.includes(sectorOf(item.id_account))) cash += value;
+            else positions.push(item);
+        });
+        return { positions, cash };
+    },
+
+    // Lotti minimi per strumento dall'anagrafica (id_instrument -> quantity_minimum)
+    async loadLots() {
+        if (this.lotsCache) return this.lotsCache;
+        const result = await ApiClient.getInstruments();
+        if (result.authError) return {};
+        const data = result.status === 'ok' && result.data && typeof result.data === 'object' ? result.data : {};
+        const lots = {};
+        Object.keys(data).forEach(id => {
+            const lot = parseFloat(data[id] && data[id].quantity_minimum);
+            if (lot > 0) lots[id] = lot;
+        });
+        return (this.lotsCache = lots);
+    },
+
+    // ========== SCOSTAMENTO ==========
+
+    /**
+     * Allocazione attuale per gruppo confrontata con gli obiettivi.
+     * I gruppi con obiettivo ma senza posizioni compaiono con valore 0.
+     * @returns {Object} { total, targetSum, groups: [{ label, value, weight, target, tolerance, drift, outOfBand }] }
+     */
+    drift(positions, classificationMap, grouping, targets, { valueKey = 'CTVMKTTQ', tolerance = this.DEFAULT_SETTINGS.tolerance } = {}) {
+        const grouped = getGroupedData(positions, classificationMap, grouping, valueKey);
+        const total = grouped.reduce((acc, g) => acc + g.value, 0);
+        Object.keys(targets).forEach(label => {
+            if (!grouped.some(g => g.label === label)) grouped.push({ label, value: 0 });
+        });
+
+        let targetSum = 0;
+        const groups = grouped.map(g => {
+            const setting = targets[g.label] || {};
+            const target = isFinite(parseFloat(setting.target)) ? parseFloat(setting.target) : null;
+            const band = isFinite(parseFloat(setting.tolerance)) ? parseFloat(setting.tolerance) : tolerance;
+            const weight = total !== 0 ? g.value / total * 100 : 0;
+            if (target !== null) targetSum += target;
+            const drift = target !== null ? weight - target : null;
+            return {
+                label: g.label,
+                value: g.value,
+                weight,
+                target,
+                tolerance: band,
+                drift,
+                outOfBand: drift !== null && Math.abs(drift) > band
+            };
+        });
+        return { total, targetSum, groups };
+    },
+
+    // ========== PROPOSTA ==========
+
+    fee(amount, settings) {
+        if (!(amount > 0)) return 0;
+        return Math.max(settings.feeMin || 0, amount * (settings.feeRate || 0) / 100);
+    },
+
+    // Quantità arrotondata per difetto a multipli del lotto
+    roundLot(quantity, lot) {
+        const size = lot > 0 ? lot : 1;
+        return parseFloat((Math.floor(quantity / size + 1e-9) * size).toFixed(8));
+    },
+
+    /**
+     * Acquisti e vendite che riportano all'obiettivo i gruppi fuori banda.
+     * La differenza di ogni gruppo è ripartita tra le sue posizioni in proporzione al valore;
+     * gli acquisti non superano la liquidità più il ricavato netto delle vendite
+     * (se necessario sono ridotti, un lotto alla volta a partire dal più grande).
+     * @param {Object} options - { positions, classificationMap, grouping, targets, cash, settings, lots, valueKey }
+     * @returns {Object} { trades, cash, sells, buys, fees, remaining, unfilled }
+     */
+    plan({ positions, classificationMap, grouping, targets, cash = 0, settings = this.DEFAULT_SETTINGS, lots = {}, valueKey = 'CTVMKTTQ' }) {
+        const driftResult = this.drift(positions, classificationMap, grouping, targets, { valueKey, tolerance: settings.tolerance });
+        const base = driftResult.total + (settings.useCash ? Math.max(cash, 0) : 0);
+        const trades = [];
+        const unfilled = [];
+
+        driftResult.groups.filter(g => g.outOfBand).forEach(group => {
+            const delta = group.target / 100 * base - group.value;
+            const items = positions.filter(item => {
+                const value = parseFloat(item[valueKey]);
+                const quantity = parseFloat(item.quantity);
+                return getGroupingValue(item, classificationMap, grouping) === group.label && value > 0 && quantity > 0;
+            });
+            if (!items.length || group.value <= 0) {
+                if (delta > 0) unfilled.push(group.label);
+                return;
+            }
+
+            items.forEach(item => {
+                const value = parseFloat(item[valueKey]);
+                const holding = parseFloat(item.quantity);
+                const price = value / holding;
+                const lot = lots[item.id_instrument] || settings.lot || 1;
+                const side = delta < 0 ? 'sell' : 'buy';
+                let quantity = this.roundLot(Math.abs(delta * value / group.value) / price, lot);
+                if (side === 'sell') quantity = Math.min(quantity, holding);
+                trades.push({ side, item, group: group.label, price, lot, quantity });
+            });
+        });
+
+        const cost = (trade) => {
+            trade.amount = trade.quantity * trade.price;
+            trade.fee = this.fee(trade.amount, settings);
+            return trade.amount + trade.fee;
+        };
+
+        const sells = trades.filter(t => t.side === 'sell');
+        const buys = trades.filter(t => t.side === 'buy');
+        sells.forEach(cost);
+        const proceeds = sells.reduce((acc, t) => acc + t.amount - t.fee, 0);
+        const available = Math.max(cash, 0) + proceeds;
+        let needed = buys.reduce((acc, t) => acc + cost(t), 0);
+
+        if (needed > available && needed > 0) {
+            const scale = available / needed;
+            buys.forEach(t => { t.quantity = this.roundLot(t.quantity * scale, t.lot); });
+            needed = buys.reduce((acc, t) => acc + cost(t), 0);
+            while (needed > available) {
+                const largest = buys.filter(t => t.quantity > 0).sort((a, b) => b.amount - a.amount)[0];
+                if (!largest) break;
+                largest.quantity = this.roundLot(Math.max(largest.quantity - largest.lot, 0), largest.lot);
+                needed = buys.reduce((acc, t) => acc + cost(t), 0);
+            }
+        }
+
+        // Operazioni sotto il lotto o in cui la commissione supera il controvalore
+        const result = trades.filter(t => t.quantity > 0 && t.amount > t.fee);
+        const totals = (side, key) => result.filter(t => t.side === side).reduce((acc, t) => acc + t[key], 0);
+        const sold = totals('sell', 'amount');
+        const bought = totals('buy', 'amount');
+        const fees = totals('sell', 'fee') + totals('buy', 'fee');
+
+        return {
+            trades: result,
+            cash,
+            sells: sold,
+            buys: bought,
+            fees,
+            remaining: cash + sold - bought - fees,
+            unfilled
+        };
+    },
+
+    // ========== BOZZE ==========
+
+    // Valore FE_Decimal "valore:DIVISA", come TradeCalculator.formatAmount
+    toDecimal(value, currency) {
+        return currency ? `${value}:${currency}` : String(value);
+    },
+
+    /**
+     * Salva ogni operazione come bozza del form trade, elencata nella dashboard tra le bozze.
+     * L'URL della bozza apre il form già compilato; "draft_key" la elimina dopo il salvataggio.
+     * @param {Object} options - { user, manifest, sectorOf, currency, title: trade -> string }
+     *   `currency` è la divisa del portafoglio, in cui sono espressi prezzo stimato e commissione
+     * @returns {Object} { saved, skipped } con le operazioni senza evento di acquisto/vendita in skipped
+     */
+    saveDrafts(trades, { user, manifest, sectorOf, currency = '', title }) {
+        let saved = 0;
+        const skipped = [];
+        trades.forEach(trade => {
+            const item = trade.item;
+            const sector = sectorOf(item.id_account);
+            const event = this.tradeEvent(manifest, sector, trade.side);
+            if (!event) {
+                skipped.push(trade);
+                return;
+            }
+
+            const values = {
+                id_account: item.id_account,
+                account_sector: sector,
+                id_event: event.id_event,
+                id_instrument: item.id_instrument,
+                quantity: this.toDecimal(trade.quantity, currency),
+                'fee:commission': this.toDecimal(trade.fee.toFixed(2), currency)
+            };
+            // Prezzo stimato solo se lo strumento è quotato nella valuta del portafoglio
+            const itemCurrency = item.id_currency || item.currency || '';
+            if (!itemCurrency || !currency || itemCurrency === currency) values.price = this.toDecimal(parseFloat(trade.price.toFixed(6)), currency);
+
+            const folder = event.dashboard || 'trade';
+            const filePrefix = `${this.DRAFT_PREFIX}:${item.id_account}:${item.id_instrument}`;
+            const params = new URLSearchParams({ ...values, draft_key: DraftStore.key(user, folder, filePrefix) });
+            DraftStore.save(user, folder, filePrefix, values, {
+                title: title ? title(trade) : filePrefix,
+                url: `${this.TRADE_PAGE}?${params.toString()}`
+            });
+            saved++;
+        });
+        return { saved, skipped };
+    }
+};
+
+// Esporta globalmente
+window.RebalancePlanner = RebalancePlanner;
@@ -0,0 +1,366 @@
+// ===============================================
+// RECORD HISTORY - Storico delle versioni di trade, strumenti e anagrafiche
+// Da includere dopo translations.js, api-client.js e dataentry-manager.js.
+// Il backend registra ogni modifica con insert_scd (vedi *@caronte.json):
+// /gethistory restituisce le versioni di un record. Il ripristino di una versione
+// passa dal DataEntryManager del descrittore, con gli stessi controlli del form,
+// e riporta solo i campi con "modify": "True" in format.json.
+// ===============================================
+
+const RecordHistory = {
+    // Colonne di servizio delle versioni (non sono campi del record)
+    META_FIELDS: {
+        from: ['scd_date_start', 'valid_from', 'date_from', 'date_insert'],
+        to: ['scd_date_end', 'valid_to', 'date_to'],
+        user: ['scd_user', 'user_insert', 'username', 'user'],
+        version: ['scd_version', 'version']
+    },
+
+    /**
+     * Risposta di gethistory -> versioni dalla più vecchia alla più recente.
+     * Ogni riga può portare i valori in "record"/"values" oppure direttamente tra le colonne.
+     * @returns {Array<{version, from, to, user, values}>}
+     */
+    normalize(result) {
+        const raw = result && result.raw ? result.raw : result;
+        const rows = Array.isArray(result && result.data) ? result.data
+            : (raw && Array.isArray(raw.history) ? raw.history : (Array.isArray(raw) ? raw : []));
+
+        const metaKeys = Object.values(this.META_FIELDS).flat();
+        const pick = (row, keys) => {
+            const key = keys.find(k => row[k] !== undefined && row[k] !== null && row[k] !== '');
+            return key ? row[key] : '';
+        };
+
+        return rows
+            .filter(row => row && typeof row === 'object')
+            .map(row => {
+                let values = row.record || row.values;
+                if (typeof values === 'string') {
+                    try {
+                        values = JSON.parse(values);
+                    } catch (error) {
+                        values = null;
+                    }
+                }
+                if (!values || typeof values !== 'object') {
+                    values = {};
+                    Object.keys(row).filter(key => !metaKeys.includes(key)).forEach(key => { values[key] = row[key]; });
+                }
+                return {
+                    version: pick(row, this.META_FIELDS.version),
+                    from: String(pick(row, this.META_FIELDS.from)),
+                    to: String(pick(row, this.META_FIELDS.to)),
+                    user: String(pick(row, this.META_FIELDS.user)),
+                    values
+                };
+            })
+            .sort((a, b) => (a.from === b.from ? (Number(a.version) || 0) - (Number(b.version) || 0) : a.from.localeCompare(b.from)))
+            .map((item, index) => ({ ...item, version: item.version || index + 1 }));
+    },
+
+    text(value) {
+        return value === null || value === undefined ? '' : String(value).trim();
+    },
+
+    /**
+     * Campi cambiati tra due versioni
+     * @param {string[]} fields - campi da confrontare (tutti quelli presenti se omesso)
+     * @returns {Array<{field, before, after}>}
+     */
+    diff(before, after, fields = null) {
+        const names = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+        return names
+            .filter(field => this.text((before || {})[field]) !== this.text((after || {})[field]))
+            .map(field => ({ field, before: this.text((before || {})[field]), after: this.text((after || {})[field]) }));
+    },
+
+    /**
+     * Campi modificabili del descrittore ("modify": "True" in format.json)
+     */
+    getModifiableFields(manager) {
+        return manager.getFields()
+            .filter(field => String(field.format.modify).toLowerCase() === 'true')
+            .map(field => field.name);
+    },
+
+    /**
+     * Record da reinviare: quello corrente con i campi modificabili riportati alla versione scelta
+     * @returns {{record: Object, changes: Array, locked: Array}}
+     */
+    buildRestore(manager, current, version) {
+        const fields = manager.getFields().map(field => field.name);
+        const modifiable = this.getModifiableFields(manager);
+        const changes = this.diff(current, version.values, fields);
+
+        const record = { ...current };
+        changes.filter(change => modifiable.includes(change.field)).forEach(change => {
+            record[change.field] = version.values[change.field];
+        });
+
+        return {
+            record,
+            changes: changes.filter(change => modifiable.includes(change.field)),
+            locked: changes.filter(change => !modifiable.includes(change.field))
+        };
+    }
+};
+
+/**
+ * Pannello dello storico sotto al dettaglio di un record.
+ *
+ * Opzioni:
+ *   table          tabella di insert_scd ('trade', 'instrument', 'registry')
+ *   id             chiave del record (id_operation, id_instrument, ...)
+ *   current        valori correnti del record
+ *   manager        DataEntryManager con il descrittore già caricato (loadConfiguration);
+ *                  il suo onSubmit registra il record ripristinato
+ *   getTranslation(key) -> testo tradotto o la chiave stessa
+ *   onRestored(record)
+ */
+class HistoryPanel {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.options = {
+            table: '',
+            id: '',
+            current: {},
+            manager: null,
+            getTranslation: (key) => key,
+            onRestored: null,
+            ...options
+        };
+        this.versions = [];
+
+        HistoryPanel.injectStyles();
+    }
+
+    // Testo tradotto (o di default) con i segnaposto applicati da TranslationManager.format
+    t(key, fallback, params = null) {
+        const template = FieldTypes.translate(this.options.getTranslation, key, fallback);
+        return params ? TranslationManager.format(template, params) : template;
+    }
+
+    escape(value) {
+        return FieldTypes.escape(value);
+    }
+
+    label(field) {
+        return FieldTypes.translate(this.options.getTranslation, field, field);
+    }
+
+    formatDate(value) {
+        if (!value) return '-';
+        return typeof LocaleFormatter !== 'undefined' ? LocaleFormatter.formatDateTime(value) : value;
+    }
+
+    async load() {
+        if (!this.container) return;
+        this.container.innerHTML = `<div class="history-panel"><p class="history-status">${this.escape(this.t('int.history.loading', 'Caricamento storico...'))}</p></div>`;
+
+        const result = await ApiClient.getHistory(this.options.table, this.options.id);
+        if (result.authError) return;
+        if (result.status !== 'ok') {
+            this.renderMessage(result.msg || this.t('int.history.error', 'Storico non disponibile'), 'error');
+            return;
+        }
+
+        this.versions = RecordHistory.normalize(result);
+        this.render();
+    }
+
+    renderMessage(text, type = '') {
+        this.container.innerHTML = `
+            <div class="history-panel">
+                <h3><i class="fa fa-history"></i> ${this.escape(this.t('int.history.title', 'Storico modifiche'))}</h3>
+                <p class="history-status ${type}">${this.escape(text)}</p>
+            </div>
+        `;
+    }
+
+    render() {
+        if (!this.versions.length) {
+            this.renderMessage(this.t('int.history.empty', 'Nessuna versione precedente'));
+            return;
+        }
+
+        const latest = this.versions.length - 1;
+        // Dalla più recente; ogni versione è confrontata con la precedente
+        const items = this.versions.map((version, index) => {
+            const previous = index > 0 ? this.versions[index - 1].values : null;
+            const changes = previous ? RecordHistory.diff(previous, version.values) : [];
+
+            const rows = changes.map(change => `
+                <tr>
+                    <th>${this.escape(this.label(change.field))}</th>
+                    <td class="history-before">${this.escape(change.before || '-')}</td>
+                    <td class="history-after">${this.escape(change.after || '-')}</td>
+                </tr>
+            `).join('');
+
+            const body = previous
+                ? (rows
+                    ? `<table class="history-diff"><tbody>${rows}</tbody></table>`
+                    : `<p class="history-status">${this.escape(this.t('int.history.nochanges', 'Nessun campo modificato'))}</p>`)
+                : `<p class="history-status">${this.escape(this.t('int.history.created', 'Creazione del record'))}</p>`;
+
+            return `
+                <li class="history-version ${index === latest ? 'current' : ''}">
+                    <div class="history-version-header">
+                        <strong>${this.escape(this.t('int.history.version', 'Versione {version}', { version: version.version }))}</strong>
+                        ${index === latest ? `<span class="history-badge">${this.escape(this.t('int.history.current', 'corrente'))}</span>` : ''}
+                        <span class="history-meta">${this.escape(this.formatDate(version.from))} · ${this.escape(version.user || '-')}</span>
+                        ${index !== latest && this.options.manager
+                            ? `<button type="button" class="history-restore" data-index="${index}"><i class="fa fa-undo"></i> ${this.escape(this.t('int.history.restore', 'Ripristina questa versione'))}</button>`
+                            : ''}
+                    </div>
+                    ${body}
+                    <div class="history-errors" id="history-errors-${index}"></div>
+                </li>
+            `;
+        }).reverse().join('');
+
+        this.container.innerHTML = `
+            <div class="history-panel">
+                <h3><i class="fa fa-history"></i> ${this.escape(this.t('int.history.title', 'Storico modifiche'))}</h3>
+                <ul class="history-list">${items}</ul>
+            </div>
+        `;
+
+        this.container.querySelectorAll('.history-restore').forEach(button => {
+            button.addEventListener('click', () => this.restore(Number(button.dataset.index), button));
+        });
+    }
+
+    /**
+     * Reinvia la versione tramite il DataEntryManager (validateRecord + onSubmit)
+     */
+    async restore(index, button) {
+        const version = this.versions[index];
+        const { manager, current } = this.options;
+        const errorsEl = this.container.querySelector(`#history-errors-${index}`);
+        errorsEl.textContent = '';
+
+        const { record, changes, locked } = RecordHistory.buildRestore(manager, current, version);
+        if (!changes.length) {
+            errorsEl.textContent = this.t('int.history.restore.none', 'Nessun campo modificabile da ripristinare');
+            return;
+        }
+
+        const lines = changes.map(change => `${this.label(change.field)}: ${change.before || '-'} → ${change.after || '-'}`);
+        if (locked.length) {
+            lines.push('', this.t('int.history.restore.locked', 'Non modificabili, restano invariati:'));
+            locked.forEach(change => lines.push(`${this.label(change.field)}: ${change.before || '-'}`));
+        }
+        if (!confirm(`${this.t('int.history.restore.confirm', 'Ripristinare la versione {version}?', { version: version.version })}\n\n${lines.join('\n')}`)) {
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            const errors = await manager.submitRecord(record);
+            if (errors.length) {
+                errorsEl.textContent = errors.map(e => `${this.label(e.field)}: ${e.message}`).join(' · ');
+                return;
+            }
+            this.options.current = record;
+            if (this.options.onRestored) this.options.onRestored(record);
+            await this.load();
+        } catch (error) {
+            console.error('[HistoryPanel] Restore failed:', error);
+            errorsEl.textContent = error.message || this.t('int.error.save', 'Registrazione fallita');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    static injectStyles() {
+        if (document.getElementById('history-panel-styles')) return;
+
+        const css = `
+            .history-panel {
+                margin-top: 25px;
+            }
+            .history-panel h3 {
+                font-size: 1rem;
+                margin-bottom: 10px;
+            }
+            .history-list {
+                list-style: none;
+                margin: 0;
+                padding: 0;
+            }
+            .history-version {
+                border-inline-start: 3px solid #ccc;
+                margin-bottom: 12px;
+                padding: 6px 12px;
+            }
+            .history-version.current {
+                border-inline-start-color: #2e7d32;
+            }
+            .history-version-header {
+                display: flex;
+                align-items: center;
+                flex-wrap: wrap;
+                gap: 10px;
+                margin-bottom: 6px;
+            }
+            .history-meta {
+                color: #777;
+                font-size: 0.8rem;
+            }
+            .history-badge {
+                background: #2e7d32;
+                border-radius: 3px;
+                color: #fff;
+                font-size: 0.7rem;
+                padding: 1px 6px;
+            }
+            .history-restore {
+                margin-inline-start: auto;
+                background: none;
+                border: 1px solid #ccc;
+                border-radius: 3px;
+                cursor: pointer;
+                font-size: 0.8rem;
+                padding: 3px 8px;
+            }
+            .history-diff {
+                border-collapse: collapse;
+                font-size: 0.8rem;
+                width: 100%;
+            }
+            .history-diff th,
+            .history-diff td {
+                border-bottom: 1px solid #eee;
+                padding: 3px 6px;
+                text-align: start;
+            }
+            .history-before {
+                color: #d32f2f;
+                text-decoration: line-through;
+            }
+            .history-after {
+                color: #2e7d32;
+            }
+            .history-status {
+                color: #777;
+                font-size: 0.8rem;
+            }
+            .history-status.error,
+            .history-errors {
+                color: #d32f2f;
+                font-size: 0.8rem;
+            }
+        `;
+
+        const style = document.createElement('style');
+        style.id = 'history-panel-styles';
+        style.textContent = css;
+        document.head.appendChild(style);
+    }
+}
+
+// Esporta globalmente
+window.RecordHistory = RecordHistory;
+window.HistoryPanel = HistoryPanel;
@@ -0,0 +1,338 @@
+// ===============================================
+// RISK METRICS - Statistiche di rischio da serie di prezzi
+// Dai prezzi di getprices (o dalle righe datate di statistics.json.gz) calcola
+// volatilità (anche mobile), massimo drawdown con date, VaR/CVaR storico e
+// parametrico, Sharpe, Sortino e la matrice di correlazione tra strumenti,
+// per singolo strumento e per il portafoglio con i pesi attuali.
+// Da includere dopo api-client.js, dashboard-shared.js e performance-engine.js.
+// ===============================================
+
+const RiskMetrics = {
+    TRADING_DAYS: 252,
+    DEFAULT_WINDOW: 21,
+    DEFAULT_CONFIDENCE: 0.95,
+    // Tasso privo di rischio annuo per Sharpe e Sortino
+    RISK_FREE_RATE: 0,
+    // Rendimenti minimi per calcolare le statistiche
+    MIN_RETURNS: 10,
+    CONCURRENCY: 4,
+
+    // ========== SERIE ==========
+
+    /**
+     * Serie di prezzi per strumento dalle righe di statistics.json.gz (una riga per strumento e data).
+     * Gli strumenti con un solo prezzo non hanno serie.
+     * @param {Array} rows - Righe con id_instrument, date_start e price@close
+     * @returns {Object} { id_instrument: [{ day, price }] }
+     */
+    seriesFromRows(rows, priceKey = 'price@close') {
+        const byInstrument = {};
+        (rows || []).forEach(row => {
+            const day = PerformanceEngine.toDay(row.date_start);
+            const price = PerformanceEngine.parseAmount(row[priceKey]);
+            if (!row.id_instrument || !day || !price) return;
+            (byInstrument[row.id_instrument] || (byInstrument[row.id_instrument] = {}))[day] = price;
+        });
+        const series = {};
+        Object.entries(byInstrument).forEach(([id, byDay]) => {
+            const days = Object.keys(byDay).sort();
+            if (days.length > 1) series[id] = days.map(day => ({ day, price: byDay[day] }));
+        });
+        return series;
+    },
+
+    /**
+     * Quotazioni degli strumenti da getprices, con un numero limitato di richieste in parallelo.
+     * @param {Array} ids - Codici strumento
+     * @param {Object} options - { currency, dateStart, dateEnd, onProgress(done, total) }
+     * @returns {Promise<{series: Object, failed: Array}>}
+     */
+    async loadSeries(ids, { currency = '', dateStart = '', dateEnd = '', onProgress = null } = {}) {
+        const series = {};
+        const failed = [];
+        const queue = Array.from(new Set(ids));
+        const total = queue.length;
+        let done = 0;
+        let stopped = false;
+
+        const worker = async () => {
+            while (queue.length && !stopped) {
+                const id = queue.shift();
+                try {
+                    const result = await ApiClient.getPrices({
+                        currency: currency,
+                        instrument: { id_instrument: id, date_start: dateStart, date_end: dateEnd }
+                    });
+                    if (result.authError) {
+                        stopped = true;
+                        return;
+                    }
+                    const prices = PerformanceEngine.priceList(PerformanceEngine.priceRows(result.raw), currency);
+                    if (prices.length > 1) series[id] = prices;
+                    else failed.push({ id, msg: result.msg });
+                } catch (e) {
+                    failed.push({ id, msg: e.message });
+                }
+                done++;
+                if (onProgress) onProgress(done, total);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.CONCURRENCY, total) }, worker));
+
+        return { series, failed };
+    },
+
+    /**
+     * Pesi attuali del portafoglio per strumento (somma sui conti), da parsePortfolioItems.
+     * @returns {Object} { id_instrument: peso } con somma 1, solo valori positivi
+     */
+    portfolioWeights(items, valueKey = 'CTVMKTTQ') {
+        const values = {};
+        items.forEach(item => {
+            const value = parseFloat(item[valueKey]);
+            if (!item.id_instrument || !isFinite(value) || value <= 0) return;
+            values[item.id_instrument] = (values[item.id_instrument] || 0) + value;
+        });
+        const total = Object.values(values).reduce((a, b) => a + b, 0);
+        const weights = {};
+        if (total > 0) Object.keys(values).forEach(id => { weights[id] = values[id] / total; });
+        return weights;
+    },
+
+    /**
+     * Prezzi allineati sui giorni comuni a tutte le serie (dal primo giorno in cui sono tutte quotate,
+     * con l'ultimo prezzo noto nei giorni in cui uno strumento non quota).
+     * @returns {Object} { days, prices: { id: [price] } }
+     */
+    align(seriesMap) {
+        const ids = Object.keys(seriesMap);
+        if (!ids.length) return { days: [], prices: {} };
+        const start = ids.map(id => seriesMap[id][0].day).sort().pop();
+        const daySet = new Set();
+        ids.forEach(id => seriesMap[id].forEach(p => { if (p.day >= start) daySet.add(p.day); }));
+        const days = Array.from(daySet).sort();
+
+        const prices = {};
+        ids.forEach(id => {
+            const position = { prices: seriesMap[id] };
+            prices[id] = days.map(day => PerformanceEngine.priceAt(position, day));
+        });
+        return { days, prices };
+    },
+
+    /**
+     * Serie del portafoglio a pesi costanti (ribilanciato ogni giorno) a partire da 100.
+     * @param {Object} seriesMap - { id: [{ day, price }] }
+     * @param {Object} weights - { id: peso }; gli strumenti senza serie sono esclusi e i pesi rinormalizzati
+     */
+    portfolioSeries(seriesMap, weights) {
+        const ids = Object.keys(weights).filter(id => seriesMap[id]);
+        const total = ids.reduce((s, id) => s + weights[id], 0);
+        if (!ids.length || total <= 0) return [];
+
+        const aligned = this.align(Object.fromEntries(ids.map(id => [id, seriesMap[id]])));
+        let level = 100;
+        return aligned.days.map((day, t) => {
+            if (t > 0) {
+                const rate = ids.reduce((s, id) => {
+                    const prev = aligned.prices[id][t - 1];
+                    const curr = aligned.prices[id][t];
+                    return s + weights[id] / total * (prev ? curr / prev - 1 : 0);
+                }, 0);
+                level *= 1 + rate;
+            }
+            return { day, price: level };
+        });
+    },
+
+    // ========== STATISTICHE ==========
+
+    // Rendimenti semplici tra prezzi consecutivi: [{ day, value }]
+    returns(prices) {
+        const list = [];
+        for (let i = 1; i < prices.length; i++) {
+            const prev = prices[i - 1].price;
+            if (prev) list.push({ day: prices[i].day, value: prices[i].price / prev - 1 });
+        }
+        return list;
+    },
+
+    mean(values) {
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    },
+
+    // Deviazione standard campionaria
+    stdev(values) {
+        if (values.length < 2) return 0;
+        const m = this.mean(values);
+        return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+    },
+
+    // Volatilità annualizzata dei rendimenti giornalieri
+    volatility(values) {
+        return this.stdev(values) * Math.sqrt(this.TRADING_DAYS);
+    },
+
+    // Volatilità annualizzata su finestra mobile di window rendimenti: [{ day, value }]
+    rollingVolatility(returns, window = this.DEFAULT_WINDOW) {
+        const list = [];
+        for (let i = window - 1; i < returns.length; i++) {
+            const slice = returns.slice(i - window + 1, i + 1).map(r => r.value);
+            list.push({ day: returns[i].day, value: this.volatility(slice) });
+        }
+        return list;
+    },
+
+    /**
+     * Massimo drawdown: perdita massima da un picco, con le date di picco, minimo e recupero.
+     * @returns {Object} { value (negativo o 0), peak, trough, recovery (null se non recuperato) }
+     */
+    maxDrawdown(prices) {
+        const result = { value: 0, peak: null, trough: null, recovery: null };
+        if (!prices.length) return result;
+
+        let peak = prices[0];
+        let candidatePeak = peak;
+        prices.forEach(p => {
+            if (p.price > candidatePeak.price) candidatePeak = p;
+            const drawdown = p.price / candidatePeak.price - 1;
+            if (drawdown < result.value) {
+                result.value = drawdown;
+                result.trough = p.day;
+                peak = candidatePeak;
+            }
+        });
+        if (!result.trough) return result;
+
+        result.peak = peak.day;
+        const recovery = prices.find(p => p.day > result.trough && p.price >= peak.price);
+        result.recovery = recovery ? recovery.day : null;
+        return result;
+    },
+
+    /**
+     * VaR e CVaR storici a un giorno: quantile empirico delle perdite e media oltre il quantile.
+     * @returns {Object} { var, cvar } come perdite positive (0.02 = 2%)
+     */
+    historicalVaR(values, confidence = this.DEFAULT_CONFIDENCE) {
+        if (!values.length) return { var: null, cvar: null };
+        const sorted = values.slice().sort((a, b) => a - b);
+        const index = Math.max(0, Math.floor((1 - confidence) * sorted.length) - 1);
+        const tail = sorted.slice(0, index + 1);
+        return { var: -sorted[index], cvar: -this.mean(tail) };
+    },
+
+    /**
+     * VaR e CVaR parametrici a un giorno con distribuzione normale dei rendimenti.
+     * @returns {Object} { var, cvar } come perdite positive
+     */
+    parametricVaR(values, confidence = this.DEFAULT_CONFIDENCE) {
+        if (values.length < 2) return { var: null, cvar: null };
+        const m = this.mean(values);
+        const sd = this.stdev(values);
+        const z = this.normalQuantile(confidence);
+        const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+        return { var: z * sd - m, cvar: sd * density / (1 - confidence) - m };
+    },
+
+    // Quantile della normale standard (approssimazione razionale di Acklam, errore < 1.2e-9)
+    normalQuantile(p) {
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            const q = Math.sqrt(-2 * Math.log(1 - p));
+            return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    },
+
+    // Sharpe annualizzato: (rendimento medio - risk free) / volatilità
+    sharpe(values, riskFree = this.RISK_FREE_RATE) {
+        const sd = this.stdev(values);
+        if (!sd) return null;
+        return (this.mean(values) * this.TRADING_DAYS - riskFree) / (sd * Math.sqrt(this.TRADING_DAYS));
+    },
+
+    // Sortino annualizzato: come Sharpe ma con la sola deviazione dei rendimenti sotto il risk free
+    sortino(values, riskFree = this.RISK_FREE_RATE) {
+        if (values.length < 2) return null;
+        const target = riskFree / this.TRADING_DAYS;
+        const downside = Math.sqrt(values.reduce((s, v) => s + Math.min(0, v - target) ** 2, 0) / values.length);
+        if (!downside) return null;
+        return (this.mean(values) * this.TRADING_DAYS - riskFree) / (downside * Math.sqrt(this.TRADING_DAYS));
+    },
+
+    /**
+     * Tutte le statistiche di una serie di prezzi.
+     * @param {Array} prices - [{ day, price }] ordinata
+     * @param {Object} options - { window, confidence, riskFree }
+     * @returns {Object|null} null se i rendimenti sono meno di MIN_RETURNS
+     */
+    analyse(prices, { window = this.DEFAULT_WINDOW, confidence = this.DEFAULT_CONFIDENCE, riskFree = this.RISK_FREE_RATE } = {}) {
+        const returns = this.returns(prices);
+        if (returns.length < this.MIN_RETURNS) return null;
+        const values = returns.map(r => r.value);
+        const rolling = this.rollingVolatility(returns, window);
+
+        return {
+            start: prices[0].day,
+            end: prices[prices.length - 1].day,
+            observations: values.length,
+            totalReturn: prices[prices.length - 1].price / prices[0].price - 1,
+            volatility: this.volatility(values),
+            rollingVolatility: rolling,
+            currentVolatility: rolling.length ? rolling[rolling.length - 1].value : null,
+            drawdown: this.maxDrawdown(prices),
+            historical: this.historicalVaR(values, confidence),
+            parametric: this.parametricVaR(values, confidence),
+            sharpe: this.sharpe(values, riskFree),
+            sortino: this.sortino(values, riskFree)
+        };
+    },
+
+    /**
+     * Matrice di correlazione dei rendimenti giornalieri sui giorni comuni.
+     * @returns {Object} { ids, matrix } con matrix[i][j] in [-1, 1] (null se non calcolabile)
+     */
+    correlationMatrix(seriesMap) {
+        const aligned = this.align(seriesMap);
+        const ids = Object.keys(aligned.prices);
+        const returns = {};
+        ids.forEach(id => {
+            const prices = aligned.prices[id];
+            returns[id] = prices.slice(1).map((p, i) => (prices[i] && p !== null ? p / prices[i] - 1 : 0));
+        });
+
+        const matrix = ids.map(a => ids.map(b => this.correlation(returns[a], returns[b])));
+        return { ids, matrix };
+    },
+
+    correlation(x, y) {
+        const n = Math.min(x.length, y.length);
+        if (n < this.MIN_RETURNS) return null;
+        const mx = this.mean(x.slice(0, n));
+        const my = this.mean(y.slice(0, n));
+        let cov = 0;
+        let vx = 0;
+        let vy = 0;
+        for (let i = 0; i < n; i++) {
+            cov += (x[i] - mx) * (y[i] - my);
+            vx += (x[i] - mx) ** 2;
+            vy += (y[i] - my) ** 2;
+        }
+        return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : null;
+    }
+};
+
+// Esporta globalmente
+window.RiskMetrics = RiskMetrics;
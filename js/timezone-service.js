@@ -0,0 +1,312 @@
+// ===============================================
+// TIMEZONE SERVICE - Fuso orario dell'utente e delle borse
+// Da includere dopo translations.js e prima degli script di pagina.
+// Il fuso scelto dall'utente (timezone/timezone.json, localStorage 'timezone')
+// è un codice come "CET" o "EST": viene risolto nella zona IANA corrispondente
+// ("Europe/Rome", "America/New_York") così che l'ora legale sia gestita da Intl.
+// ===============================================
+
+const TimezoneService = {
+    STORAGE_KEY: 'timezone',
+    DATA_URL: 'timezone/timezone.json',
+
+    // Zona di ogni borsa (codice MIC di code_market)
+    MARKET_ZONES: {
+        XMIL: 'Europe/Rome',
+        XLON: 'Europe/London',
+        XPAR: 'Europe/Paris',
+        XETR: 'Europe/Berlin',
+        XFRA: 'Europe/Berlin',
+        XSTU: 'Europe/Berlin',
+        XDUS: 'Europe/Berlin',
+        XAMS: 'Europe/Amsterdam',
+        XNYS: 'America/New_York',
+        XNAS: 'America/New_York'
+    },
+
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    // Elenco di timezone/timezone.json, caricato da load()
+    timezones: [],
+    ready: null,
+
+    // Cache degli Intl.DateTimeFormat per zona
+    _formatters: {},
+
+    /**
+     * Carica timezone/timezone.json una sola volta
+     * @returns {Promise<Array>}
+     */
+    load() {
+        if (!this.ready) {
+            this.ready = fetch(this.DATA_URL)
+                .then(response => (response.ok ? response.json() : []))
+                .then(list => {
+                    this.timezones = Array.isArray(list) ? list : [];
+                    return this.timezones;
+                })
+                .catch(error => {
+                    console.warn('[TimezoneService] timezone.json not available:', error.message);
+                    this.timezones = [];
+                    return this.timezones;
+                });
+        }
+        return this.ready;
+    },
+
+    // ========== ZONE ==========
+
+    getBrowserZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    },
+
+    isValidZone(zone) {
+        if (!zone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Codice di timezone.json ("CET", "CST_China") o zona IANA -> zona IANA.
+     * Senza corrispondenza restituisce il fuso del browser.
+     */
+    resolveZone(code) {
+        if (!code) return this.getBrowserZone();
+
+        const entry = this.timezones.find(tz => tz.timezone === code);
+        if (entry && this.isValidZone(entry.iana)) return entry.iana;
+        if (this.isValidZone(code)) return code;
+
+        return this.getBrowserZone();
+    },
+
+    /**
+     * Codice del fuso scelto dall'utente (null se mai impostato)
+     */
+    getUserTimezone() {
+        return localStorage.getItem(this.STORAGE_KEY);
+    },
+
+    setUserTimezone(code) {
+        if (code) localStorage.setItem(this.STORAGE_KEY, code);
+        else localStorage.removeItem(this.STORAGE_KEY);
+    },
+
+    /**
+     * Zona IANA dell'utente, usata per default e visualizzazione di date/ore
+     */
+    getUserZone() {
+        return this.resolveZone(this.getUserTimezone());
+    },
+
+    getMarketZone(codeMarket) {
+        return this.MARKET_ZONES[codeMarket] || this.getUserZone();
+    },
+
+    // ========== CONVERSIONI ==========
+
+    getFormatter(zone) {
+        if (!this._formatters[zone]) {
+            this._formatters[zone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+        }
+        return this._formatters[zone];
+    },
+
+    /**
+     * Data/ora "a muro" di un istante nella zona indicata
+     * @returns {{year, month, day, hour, minute, second}} (month 1-12)
+     */
+    getParts(date = new Date(), zone = this.getUserZone()) {
+        const parts = {};
+        this.getFormatter(zone).formatToParts(date).forEach(part => {
+            if (part.type !== 'literal') parts[part.type] = Number(part.value);
+        });
+        return parts;
+    },
+
+    /**
+     * Scostamento da UTC in minuti in quell'istante (CET +60, CEST +120, EDT -240)
+     */
+    getOffsetMinutes(date = new Date(), zone = this.getUserZone()) {
+        const p = this.getParts(date, zone);
+        const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+        return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    },
+
+    /**
+     * Minuti -> "+HHMM" (formato di FE_DateTime)
+     */
+    formatOffset(minutes) {
+        const sign = minutes >= 0 ? '+' : '-';
+        const abs = Math.abs(minutes);
+        const pad = (num) => String(num).padStart(2, '0');
+        return sign + pad(Math.floor(abs / 60)) + pad(abs % 60);
+    },
+
+    /**
+     * Istante -> "YYYY-MM-DD" nella zona (giorno di calendario dell'utente, non UTC)
+     */
+    formatDate(date = new Date(), zone = this.getUserZone()) {
+        const p = this.getParts(date, zone);
+        const pad = (num) => String(num).padStart(2, '0');
+        return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+    },
+
+    /**
+     * Istante -> "YYYY-MM-DD HH:MM:SS+ZZZZ" nella zona (formato FE_DateTime)
+     */
+    formatDateTime(date = new Date(), zone = this.getUserZone()) {
+        const p = this.getParts(date, zone);
+        const pad = (num) => String(num).padStart(2, '0');
+        const offset = this.formatOffset(this.getOffsetMinutes(date, zone));
+        return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${offset}`;
+    },
+
+    /**
+     * Istante -> "HH:MM" nella zona
+     */
+    formatTime(date, zone = this.getUserZone()) {
+        const p = this.getParts(date, zone);
+        const pad = (num) => String(num).padStart(2, '0');
+        return `${pad(p.hour)}:${pad(p.minute)}`;
+    },
+
+    today(zone = this.getUserZone()) {
+        return this.formatDate(new Date(), zone);
+    },
+
+    /**
+     * "YYYY-MM-DD" + n giorni di calendario (indipendente da fuso e ora legale)
+     */
+    addDays(dateStr, days) {
+        const [y, m, d] = String(dateStr).split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+    },
+
+    /**
+     * Data e ora "a muro" in una zona -> istante.
+     * Al cambio d'ora: un orario inesistente (02:30 di fine marzo a Roma) viene spostato
+     * in avanti (03:30 CEST); un orario ripetuto (02:30 di fine ottobre) è la prima occorrenza.
+     * @param {string} dateStr - "YYYY-MM-DD"
+     * @param {string} timeStr - "HH:MM" o "HH:MM:SS"
+     * @returns {Date|null}
+     */
+    toUtc(dateStr, timeStr = '00:00:00', zone = this.getUserZone()) {
+        const d = String(dateStr).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const t = String(timeStr).match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+        if (!d || !t) return null;
+
+        const wall = Date.UTC(Number(d[1]), Number(d[2]) - 1, Number(d[3]), Number(t[1]), Number(t[2]), Number(t[3] || 0));
+        const offsetBefore = this.getOffsetMinutes(new Date(wall - this.DAY_MS), zone);
+        const offsetAfter = this.getOffsetMinutes(new Date(wall + this.DAY_MS), zone);
+
+        const candidates = [...new Set([offsetBefore, offsetAfter])]
+            .map(offset => wall - offset * 60000)
+            .filter(utc => this.getOffsetMinutes(new Date(utc), zone) === (wall - utc) / 60000)
+            .sort((a, b) => a - b);
+
+        return new Date(candidates.length ? candidates[0] : wall - offsetBefore * 60000);
+    },
+
+    /**
+     * Interpreta "YYYY-MM-DD HH:MM:SS+ZZZZ", ISO con Z/offset, oppure data/ora senza offset
+     * (letta come ora "a muro" della zona indicata)
+     * @returns {Date|null}
+     */
+    parseDateTime(value, zone = this.getUserZone()) {
+        if (!value) return null;
+        if (value instanceof Date) return isNaN(value) ? null : value;
+
+        const text = String(value).trim();
+        const match = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}:\d{2}(?::\d{2})?)(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/);
+        if (!match) {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return this.toUtc(text, '00:00:00', zone);
+            const date = new Date(text);
+            return isNaN(date) ? null : date;
+        }
+
+        const [, datePart, timePart, offset] = match;
+        if (!offset) return this.toUtc(datePart, timePart, zone);
+
+        const iso = `${datePart}T${timePart.length === 5 ? timePart + ':00' : timePart.padStart(8, '0')}` +
+            (offset === 'Z' ? 'Z' : `${offset.slice(0, 3)}:${offset.slice(-2)}`);
+        const date = new Date(iso);
+        return isNaN(date) ? null : date;
+    },
+
+    /**
+     * Completa un FE_DateTime digitato senza offset con quello della zona dell'utente
+     * valido in quella data (ora legale inclusa): "2024-07-01 23:30" -> "2024-07-01 23:30:00+0200"
+     */
+    normalizeDateTime(value, zone = this.getUserZone()) {
+        const text = String(value || '').trim();
+        const match = text.match(/^(\d{4}-\d{2}-\d{2})[ T](\d{1,2}:\d{2}(?::\d{2})?)$/);
+        if (!match) return text;
+
+        const date = this.toUtc(match[1], match[2], zone);
+        return date ? this.formatDateTime(date, zone) : text;
+    },
+
+    // ========== BORSE ==========
+
+    /**
+     * Sessione di contrattazione come istanti.
+     * Orari "HH:MM" (o date/ore senza offset) sono nel fuso della borsa, non del browser;
+     * se la fine precede l'inizio la sessione attraversa la mezzanotte.
+     * @param {Object|string} tradingHours - { start, end, timezone? } o JSON equivalente
+     * @param {string} codeMarket - codice MIC (XMIL, XNYS, ...)
+     * @param {Date} now
+     * @returns {{start: Date, end: Date, zone: string}|null}
+     */
+    getMarketSession(tradingHours, codeMarket, now = new Date()) {
+        if (!tradingHours) return null;
+        const data = typeof tradingHours === 'string' ? JSON.parse(tradingHours) : tradingHours;
+        if (!data || !data.start || !data.end) return null;
+
+        const zone = this.isValidZone(data.timezone) ? data.timezone : this.getMarketZone(codeMarket);
+        const isTime = (value) => /^\d{1,2}:\d{2}(:\d{2})?$/.test(String(value).trim());
+
+        if (!isTime(data.start) || !isTime(data.end)) {
+            const start = this.parseDateTime(data.start, zone);
+            const end = this.parseDateTime(data.end, zone);
+            return start && end ? { start, end, zone } : null;
+        }
+
+        // Giorno corrente della borsa; per le sessioni notturne anche quella iniziata ieri
+        const day = this.formatDate(now, zone);
+        let start = this.toUtc(day, data.start.trim(), zone);
+        let end = this.toUtc(day, data.end.trim(), zone);
+        if (!start || !end) return null;
+
+        if (end <= start) {
+            if (now < end) start = this.toUtc(this.addDays(day, -1), data.start.trim(), zone);
+            else end = this.toUtc(this.addDays(day, 1), data.end.trim(), zone);
+        }
+        return { start, end, zone };
+    },
+
+    isMarketOpen(tradingHours, codeMarket, now = new Date()) {
+        try {
+            const session = this.getMarketSession(tradingHours, codeMarket, now);
+            return !!session && now >= session.start && now <= session.end;
+        } catch (error) {
+            console.error('[TimezoneService] Error parsing market hours:', error);
+            return false;
+        }
+    }
+};
+
+// Esporta globalmente
+window.TimezoneService = TimezoneService;
+
+// Caricamento immediato dell'elenco fusi (le pagine possono attendere TimezoneService.ready)
+TimezoneService.load();
@@ -1,63 +1,341 @@
 const TranslationManager = {
   currentLang: 'en_UK',
   translations: {},
-  
-  async loadTranslations(lang) {
-    console.log("📚 Loading translations for:", lang);
 
-    const url = `lang/${lang}.json`;
-    console.log("Fetching:", url);
+  // Lingua di ultima istanza: de_DE -> en_UK -> chiave
+  DEFAULT_FALLBACK: 'en_UK',
+
+  // Catene di fallback specifiche (prima del DEFAULT_FALLBACK)
+  FALLBACK_CHAINS: {
+    en_US: ['en_UK']
+  },
+
+  // Cartelle dei file di traduzione che compongono il bundle di una lingua
+  SOURCES: {
+    lang: 'lang',
+    event: 'event',
+    instrument: 'dataentry/instrument'
+  },
+  CURRENCY_FOLDER: 'currency',
+
+  // Lingue scritte da destra a sinistra
+  RTL_LANGUAGES: ['ar_SA', 'he_IL'],
+
+  // Traduzioni per sorgente (già risolte sulla catena di fallback) e lista divise
+  sourceTranslations: {},
+  currencies: [],
+
+  // Cache dei file già scaricati: "cartella/lingua" -> json (o null se assente)
+  _files: {},
+  _missing: new Set(),
+  _pluralRules: {},
+
+  /**
+   * Catena di lingue da consultare, es. de_DE -> ['de_DE', 'en_UK']
+   */
+  getFallbackChain(lang = this.currentLang) {
+    const chain = [lang, ...(this.FALLBACK_CHAINS[lang] || []), this.DEFAULT_FALLBACK];
+    return chain.filter((code, index) => code && chain.indexOf(code) === index);
+  },
+
+  async fetchJson(folder, lang, noCache = false) {
+    const cacheKey = `${folder}/${lang}`;
+    if (!noCache && cacheKey in this._files) return this._files[cacheKey];
 
+    const url = `${folder}/${lang}.json` + (noCache ? `?v=${new Date().getTime()}` : '');
     try {
       const response = await fetch(url);
+      if (!response.ok) throw new Error(`Cannot load: ${url}`);
+      this._files[cacheKey] = await response.json();
+    } catch (error) {
+      console.warn(`⚠️ Translation file not available: ${url}`);
+      this._files[cacheKey] = null;
+    }
+    return this._files[cacheKey];
+  },
 
-      console.log("Translation fetch response:", {
-        status: response.status,
-        ok: response.ok
-      });
+  /**
+   * Unisce i file di una cartella lungo la catena di fallback:
+   * la lingua richiesta sovrascrive le lingue di ripiego
+   */
+  async loadSource(folder, lang = this.currentLang, noCache = false) {
+    const chain = this.getFallbackChain(lang);
+    const files = await Promise.all(chain.map(code => this.fetchJson(folder, code, noCache)));
+    return files.reduceRight((merged, json) => Object.assign(merged, json || {}), {});
+  },
 
-      if (!response.ok) throw new Error(`Cannot load: ${url}`);
+  /**
+   * Carica in un solo bundle lang/, event/, dataentry/instrument/ e currency/
+   * per la lingua indicata e le sue lingue di fallback.
+   * options.instrumentSource: sottocartella di dataentry/ (default 'instrument')
+   */
+  async loadBundle(lang, options = {}) {
+    const { instrumentSource = 'instrument' } = options;
+    console.log("📚 Loading translation bundle for:", lang);
+
+    this.currentLang = lang;
+    this._missing.clear();
+    this.applyDirection(lang);
 
-      const json = await response.json();
-      console.log("Loaded keys:", Object.keys(json));
+    const sources = { ...this.SOURCES, instrument: `dataentry/${instrumentSource}` };
+    const names = Object.keys(sources);
+    const results = await Promise.all(
+      names.map(name => this.loadSource(sources[name], lang, name === 'instrument'))
+    );
 
-      this.translations = json;
-      this.currentLang = lang;
+    this.sourceTranslations = {};
+    names.forEach((name, i) => { this.sourceTranslations[name] = results[i]; });
+    this.currencies = await this.loadCurrencies(lang);
+    this.rebuild();
 
-      return true;
+    console.log("Loaded keys:", Object.keys(this.translations).length);
+    return Object.keys(this.sourceTranslations.lang).length > 0;
+  },
+
+  /**
+   * Ricarica solo le traduzioni di dataentry/<sourceFolder>/ (es. 'trade-loan')
+   */
+  async loadInstrumentSource(sourceFolder = 'instrument') {
+    this.sourceTranslations.instrument = await this.loadSource(`dataentry/${sourceFolder}`, this.currentLang, true);
+    this.rebuild();
+    return this.sourceTranslations.instrument;
+  },
+
+  /**
+   * Codice, descrizione e bandiera di una lingua (selettori di lingua), letti dal
+   * suo file lang/ con la stessa cache del bundle; null se il file manca o è incompleto
+   */
+  async getLanguageInfo(langCode) {
+    const data = await this.fetchJson(this.SOURCES.lang, langCode);
+    if (!data || !data['int.language.code'] || !data['int.language.description'] || !data['img.language.flag']) {
+      return null;
+    }
+    return {
+      code: data['int.language.code'],
+      description: data['int.language.description'],
+      flag: data['img.language.flag']
+    };
+  },
+
+  /**
+   * Lista divise della lingua, con ripiego sulla catena di fallback
+   */
+  async loadCurrencies(lang = this.currentLang) {
+    for (const code of this.getFallbackChain(lang)) {
+      const list = await this.fetchJson(this.CURRENCY_FOLDER, code);
+      if (Array.isArray(list)) return list;
+    }
+    return [];
+  },
+
+  // Bundle unico: la sorgente più specifica (dataentry) prevale su event/ e lang/
+  rebuild() {
+    this.translations = Object.assign({},
+      this.sourceTranslations.lang,
+      this.sourceTranslations.event,
+      this.sourceTranslations.instrument
+    );
+  },
+
+  getSource(name) {
+    return this.sourceTranslations[name] || {};
+  },
+
+  getCurrencies() {
+    return this.currencies;
+  },
+
+  // Compatibilità: carica il bundle completo
+  async loadTranslations(lang) {
+    try {
+      return await this.loadBundle(lang);
     } catch (error) {
       console.error('❌ Error loading translations:', error);
       this.translations = {}; // evita riferimenti vecchi
       return false;
     }
   },
-  
-  getTranslation(key) {
-    if (!this.translations) {
-      console.warn("⚠️ No translations loaded yet.");
-    }
-    
+
+  has(key) {
+    return this.translations[key] !== undefined && this.translations[key] !== '';
+  },
+
+  /**
+   * Traduce una chiave.
+   * params: valori per i segnaposto {name} e per i plurali ICU, es.
+   *   "{count, plural, =0 {Nessuna operazione} one {# operazione} other {# operazioni}}"
+   * Chiave mancante: restituisce la chiave (segnalata una sola volta).
+   */
+  getTranslation(key, params = null) {
     const value = this.translations[key];
 
-    if (!value) {
-      console.warn(`⚠️ Missing translation for key: "${key}"`);
+    if (value === undefined || value === '') {
+      if (!this._missing.has(key)) {
+        this._missing.add(key);
+        console.warn(`⚠️ Missing translation for key: "${key}"`);
+      }
       return key;
     }
 
-    return value;
+    return params ? this.format(value, params) : value;
   },
-  
-  get(key) {
-    return this.getTranslation(key);
+
+  get(key, params = null) {
+    return this.getTranslation(key, params);
   },
-  
+
+  t(key, params = null) {
+    return this.getTranslation(key, params);
+  },
+
+  /**
+   * Categoria plurale CLDR per la lingua corrente (one, few, many, other, ...)
+   */
+  getPluralCategory(count, lang = this.currentLang) {
+    const locale = String(lang).replace('_', '-');
+    if (!this._pluralRules[locale]) {
+      try {
+        this._pluralRules[locale] = new Intl.PluralRules(locale);
+      } catch (e) {
+        this._pluralRules[locale] = new Intl.PluralRules('en');
+      }
+    }
+    return this._pluralRules[locale].select(Number(count));
+  },
+
+  /**
+   * Applica plurali ICU e segnaposto {name}; i segnaposto senza valore restano invariati
+   */
+  format(template, params = {}) {
+    let result = '';
+    let i = 0;
+
+    while (i < template.length) {
+      const start = template.indexOf('{', i);
+      if (start === -1) {
+        result += template.slice(i);
+        break;
+      }
+      result += template.slice(i, start);
+
+      const end = this.findClosingBrace(template, start);
+      if (end === -1) {
+        result += template.slice(start);
+        break;
+      }
+
+      result += this.formatArgument(template.slice(start + 1, end), params, template.slice(start, end + 1));
+      i = end + 1;
+    }
+
+    return result;
+  },
+
+  findClosingBrace(text, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+      if (text[i] === '{') depth++;
+      else if (text[i] === '}' && --depth === 0) return i;
+    }
+    return -1;
+  },
+
+  formatArgument(body, params, original) {
+    const plural = body.match(/^\s*(\w+)\s*,\s*plural\s*,([\s\S]*)$/);
+    if (!plural) {
+      const name = body.trim();
+      return params[name] !== undefined && params[name] !== null ? String(params[name]) : original;
+    }
+
+    const [, name, optionsText] = plural;
+    const count = params[name];
+    if (count === undefined || count === null || isNaN(Number(count))) return original;
+
+    const options = this.parsePluralOptions(optionsText);
+    const message = options[`=${Number(count)}`] ?? options[this.getPluralCategory(count)] ?? options.other;
+    if (message === undefined) return original;
+
+    // "#" diventa il numero, formattato secondo la lingua
+    const number = Number(count).toLocaleString(String(this.currentLang).replace('_', '-'));
+    return this.format(message.replace(/#/g, number), params);
+  },
+
+  parsePluralOptions(text) {
+    const options = {};
+    let i = 0;
+
+    while (i < text.length) {
+      const open = text.indexOf('{', i);
+      if (open === -1) break;
+      const selector = text.slice(i, open).trim();
+      const close = this.findClosingBrace(text, open);
+      if (close === -1) break;
+      if (selector) options[selector] = text.slice(open + 1, close);
+      i = close + 1;
+    }
+
+    return options;
+  },
+
+  isRtl(lang = this.currentLang) {
+    return this.RTL_LANGUAGES.includes(lang);
+  },
+
+  getDirection(lang = this.currentLang) {
+    return this.isRtl(lang) ? 'rtl' : 'ltr';
+  },
+
+  // it_IT -> it-IT (attributo lang, Intl, jsPDF)
+  getLocaleTag(lang = this.currentLang) {
+    return String(lang || '').replace('_', '-');
+  },
+
+  /**
+   * Imposta lang/dir su <html> (css/rtl.css specchia header, menu e tabelle)
+   * e la direzione di default di legende e tooltip Chart.js
+   */
+  applyDirection(lang = this.currentLang) {
+    if (!lang || typeof document === 'undefined') return;
+
+    this.currentLang = lang;
+    const dir = this.getDirection(lang);
+    const root = document.documentElement;
+    root.setAttribute('lang', this.getLocaleTag(lang));
+    root.setAttribute('dir', dir);
+
+    if (window.Chart && Chart.defaults && Chart.defaults.plugins) {
+      ['legend', 'tooltip'].forEach(name => {
+        const options = Chart.defaults.plugins[name];
+        if (!options) return;
+        options.rtl = dir === 'rtl';
+        options.textDirection = dir;
+      });
+    }
+  },
+
+  /**
+   * Lingua della pagina prima del caricamento delle traduzioni:
+   * ?language=, poi sessione della scheda, poi localStorage
+   */
+  detectLanguage() {
+    const fromUrl = new URLSearchParams(window.location.search).get('language');
+    return fromUrl ||
+      sessionStorage.getItem('language') ||
+      localStorage.getItem('language') ||
+      localStorage.getItem('selectedLanguage') ||
+      this.currentLang;
+  },
+
   async setLanguage(lang) {
     return await this.loadTranslations(lang);
   },
-  
+
   getCurrentLanguage() {
     return this.currentLang;
   }
 };
 
-window.getTranslation = (key) => TranslationManager.getTranslation(key);
+window.getTranslation = (key, params) => TranslationManager.getTranslation(key, params);
+
+// Direzione del documento già al caricamento, così la pagina non "salta" da LTR a RTL
+TranslationManager.applyDirection(TranslationManager.detectLanguage());
@@ -0,0 +1,489 @@
+#!/usr/bin/env node
+// Dataentry descriptor linter ver 1.0
+//
+// Validates every descriptor set under dataentry/<folder>/ read by DataEntryManager:
+//   <prefix>@data@structure.json  field -> label key, optional "sections"
+//   <prefix>@data@format.json     field -> { format, modify, value, fix, visibleWhen, requiredWhen, valueWhenHidden }
+//   <prefix>@data@mandatory.json  { required, optional, rules }
+// and reports every problem at once instead of stopping at the first one.
+// Field types are checked against the FieldTypes registry of js/dataentry-manager.js,
+// including the types declared in dataentry/field-types.json.
+//
+// Usage:
+//   node tools/check-dataentry.js [--folder trade] [--json] [--strict]
+//
+//   --folder  only check this folder of dataentry/ (repeatable)
+//   --json    machine-readable output
+//   --strict  exit with code 1 on warnings too (errors always exit with 1)
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATAENTRY = 'dataentry';
+
+const PARTS = ['structure', 'format', 'mandatory'];
+const DESCRIPTOR_FILE = /^(.+)@data@(structure|format|mandatory)\.json$/;
+
+const { FieldTypes } = require(path.join(ROOT, 'js', 'dataentry-manager.js'));
+
+// Same file DataEntryManager loads by default (fieldTypesFile)
+const FIELD_TYPES_FILE = `${DATAENTRY}/field-types.json`;
+
+// Formats not in the registry but used by the descriptors: rendered as free text
+const PLAIN_FORMATS = [
+    'FE_CouponBaseMethod', 'FE_CouponFrequency', 'FE_CouponType', 'FE_InstrumentType',
+    'FE_Issuer', 'FE_Market', 'number', 'string'
+];
+
+// Same rule types as ValidationRules.evaluate (js/dataentry-manager.js)
+const RULE_TYPES = ['compare', 'formula', 'currency', 'sign'];
+
+// Operators of a condition (ValidationRules.matches)
+const CONDITION_OPERATORS = ['in', 'notIn', 'equals', 'notEquals', 'empty'];
+const CONDITION_SOURCES = ['field', 'instrument', 'param'];
+
+// Folders with a layout DataEntryManager does not read (dashboard-registry.html builds its own form)
+const SKIPPED_FOLDERS = ['registry'];
+
+// Same folders as TranslationManager.SOURCES (js/translations.js)
+const TRANSLATION_SOURCES = ['lang', 'event', 'dataentry/instrument'];
+
+// Same as TranslationManager.DEFAULT_FALLBACK / FALLBACK_CHAINS
+const DEFAULT_FALLBACK = 'en_UK';
+const FALLBACK_CHAINS = { en_US: ['en_UK'] };
+
+const LANG_FILE = /^[a-z]{2}_[A-Z]{2}\.json$/;
+
+function parseArgs(argv) {
+    const options = { folders: [], json: false, strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--folder') options.folders.push(argv[++i]);
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--strict') options.strict = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return options;
+}
+
+/**
+ * Reads a JSON file; { error } instead of throwing so that one broken file
+ * does not hide the problems of the others.
+ */
+function readJson(relativePath) {
+    const file = path.join(ROOT, relativePath);
+    if (!fs.existsSync(file)) return { missing: true };
+    try {
+        return { json: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+function listLanguageFiles(folder) {
+    const dir = path.join(ROOT, folder);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => LANG_FILE.test(name)).map(name => name.replace('.json', ''));
+}
+
+/**
+ * Keys available at runtime for each language: the translation sources plus the
+ * descriptor folder's own bundle, resolved on the fallback chain.
+ */
+function loadTranslations(languages, folder) {
+    const sources = [...TRANSLATION_SOURCES];
+    if (!sources.includes(folder) && listLanguageFiles(folder).length) sources.push(folder);
+
+    const direct = {};
+    const read = (lang) => {
+        if (!direct[lang]) {
+            direct[lang] = new Set();
+            for (const source of sources) {
+                const { json } = readJson(`${source}/${lang}.json`);
+                if (json && typeof json === 'object') Object.keys(json).forEach(key => direct[lang].add(key));
+            }
+        }
+        return direct[lang];
+    };
+
+    const resolved = {};
+    for (const lang of languages) {
+        const chain = [lang, ...(FALLBACK_CHAINS[lang] || []), DEFAULT_FALLBACK];
+        resolved[lang] = { direct: read(lang), chain: chain.map(read) };
+    }
+    return resolved;
+}
+
+/**
+ * Checks and registers the types of dataentry/field-types.json.
+ * @returns {Array} issues
+ */
+function checkFieldTypes() {
+    const issues = [];
+    const error = message => issues.push({ level: 'error', file: FIELD_TYPES_FILE, message });
+
+    const { json, missing, error: parseError } = readJson(FIELD_TYPES_FILE);
+    if (missing) return issues;
+    if (parseError) {
+        error(`invalid JSON: ${parseError}`);
+        return issues;
+    }
+
+    // Specs are checked in file order: a type may extend one declared above it
+    for (const [name, spec] of Object.entries(json)) {
+        if (!spec || typeof spec !== 'object') {
+            error(`${name}: must be an object`);
+            continue;
+        }
+        if (spec.extends && !FieldTypes.has(spec.extends)) error(`${name}: unknown base type "${spec.extends}"`);
+        (spec.transform || [])
+            .filter(transform => !FieldTypes.TRANSFORMS[transform])
+            .forEach(transform => error(`${name}: unknown transform "${transform}"`));
+        if (spec.checksum && !FieldTypes.CHECKSUMS[spec.checksum]) error(`${name}: unknown checksum "${spec.checksum}"`);
+        if (spec.pattern) {
+            try {
+                new RegExp(spec.pattern);
+            } catch (patternError) {
+                error(`${name}: invalid pattern: ${patternError.message}`);
+                continue;
+            }
+        }
+        FieldTypes.define(name, spec);
+    }
+    return issues;
+}
+
+function isKnownFormat(format) {
+    return FieldTypes.has(format) || format.startsWith('list:') || PLAIN_FORMATS.includes(format);
+}
+
+/**
+ * Groups the descriptor files of a folder by prefix.
+ */
+function collectSets(folder) {
+    const sets = {};
+    for (const name of fs.readdirSync(path.join(ROOT, folder)).sort()) {
+        const match = name.match(DESCRIPTOR_FILE);
+        if (!match) continue;
+        const [, prefix, part] = match;
+        if (!sets[prefix]) sets[prefix] = {};
+        sets[prefix][part] = `${folder}/${name}`;
+    }
+    return sets;
+}
+
+/**
+ * Problems of a visibleWhen / requiredWhen / when condition, as messages.
+ * Collects the referenced field names into `fields`.
+ */
+function checkCondition(condition, fields, messages = []) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+        messages.push('condition must be an object');
+        return messages;
+    }
+    for (const combinator of ['all', 'any']) {
+        if (condition[combinator] === undefined) continue;
+        if (!Array.isArray(condition[combinator])) messages.push(`"${combinator}" must be an array`);
+        else condition[combinator].forEach(inner => checkCondition(inner, fields, messages));
+        return messages;
+    }
+    if (condition.not !== undefined) return checkCondition(condition.not, fields, messages);
+
+    const sources = CONDITION_SOURCES.filter(source => condition[source]);
+    if (sources.length !== 1) messages.push(`condition needs exactly one of ${CONDITION_SOURCES.join(', ')}`);
+    if (condition.field) fields.push(condition.field);
+
+    const operators = CONDITION_OPERATORS.filter(operator => condition[operator] !== undefined);
+    if (operators.length !== 1) messages.push(`condition needs exactly one of ${CONDITION_OPERATORS.join(', ')}`);
+    ['in', 'notIn'].filter(operator => condition[operator] !== undefined && !Array.isArray(condition[operator]))
+        .forEach(operator => messages.push(`"${operator}" must be an array`));
+    if (condition.part !== undefined && !['currency', 'amount'].includes(condition.part)) {
+        messages.push(`unknown part "${condition.part}"`);
+    }
+    for (const operator of ['equals', 'notEquals']) {
+        const reference = condition[operator];
+        if (reference && typeof reference === 'object') {
+            if (CONDITION_SOURCES.filter(source => reference[source]).length !== 1) {
+                messages.push(`"${operator}" reference needs exactly one of ${CONDITION_SOURCES.join(', ')}`);
+            }
+            if (reference.field) fields.push(reference.field);
+        }
+    }
+    return messages;
+}
+
+/**
+ * Field names referenced by a rule: field, other, instrument, the fields of "when" and the
+ * terms of a formula expression (same tokenization as ValidationRules.evaluateExpression).
+ */
+function ruleFields(rule) {
+    const fields = [];
+    if (rule.field) fields.push(rule.field);
+    if (rule.other) fields.push(rule.other);
+    if (rule.type === 'currency') fields.push(rule.instrument || 'id_instrument');
+    if (rule.when) checkCondition(rule.when, fields);
+    if (rule.type === 'formula' && rule.expression) {
+        String(rule.expression).trim().split(/\s+[+-]\s+/)
+            .filter(term => term && isNaN(Number(term)))
+            .forEach(term => fields.push(term));
+    }
+    return fields;
+}
+
+/**
+ * Lints one descriptor set.
+ * @returns {Array} issues { level: 'error'|'warning', file, message }
+ */
+function checkSet(folder, prefix, files, translations) {
+    const issues = [];
+    const error = (file, message) => issues.push({ level: 'error', file, message });
+    const warning = (file, message) => issues.push({ level: 'warning', file, message });
+
+    const languages = Object.keys(translations);
+    // Label translated through the fallback chain: missing everywhere is an error.
+    // Fields are looked up by name first, then by label key, as the trade page does.
+    const checkLabel = (where, label, name = null) => {
+        const translated = keys => (name && keys.has(name)) || keys.has(label);
+        const untranslated = languages.filter(lang => !translations[lang].chain.some(translated));
+        if (untranslated.length === languages.length) {
+            error(files.structure, `${where}: label "${label}" has no translation`);
+        } else if (untranslated.length) {
+            warning(files.structure, `${where}: label "${label}" not translated in ${untranslated.join(', ')}`);
+        }
+    };
+    let fields = null;
+    const checkConditionOf = (file, where, condition) => {
+        const referenced = [];
+        checkCondition(condition, referenced).forEach(message => error(file, `${where}: ${message}`));
+        referenced.filter(field => !fields.includes(field))
+            .forEach(field => error(file, `${where}: unknown field "${field}"`));
+    };
+
+    const data = {};
+    for (const part of PARTS) {
+        const file = files[part];
+        if (!file) {
+            const others = Object.values(files).map(other => path.basename(other)).join(', ');
+            error(`${folder}/${prefix}@data@${part}.json`, `missing (set has ${others})`);
+            continue;
+        }
+        const { json, error: parseError } = readJson(file);
+        if (parseError) error(file, `invalid JSON: ${parseError}`);
+        else data[part] = json;
+    }
+
+    // structure.data[0]: field -> label key
+    if (data.structure) {
+        const row = Array.isArray(data.structure.data) ? data.structure.data[0] : null;
+        if (!row || typeof row !== 'object') {
+            error(files.structure, '"data" must be an array with one object of field -> label key');
+        } else {
+            fields = Object.keys(row);
+            for (const [field, label] of Object.entries(row)) {
+                if (!label) {
+                    warning(files.structure, `${field}: empty label key`);
+                    continue;
+                }
+                checkLabel(field, label, field);
+            }
+        }
+    }
+
+    // structure.sections: [{ id, label, fields, visibleWhen }], each field in at most one section
+    if (data.structure && fields && data.structure.sections !== undefined) {
+        const sections = data.structure.sections;
+        if (!Array.isArray(sections)) {
+            error(files.structure, '"sections" must be an array');
+        } else {
+            const owner = {};
+            sections.forEach((section, index) => {
+                const where = `sections[${index}]${section && section.id ? ` (${section.id})` : ''}`;
+                if (!section || !Array.isArray(section.fields) || !section.fields.length) {
+                    error(files.structure, `${where}: "fields" must be a non-empty array`);
+                    return;
+                }
+                if (!section.id) warning(files.structure, `${where}: no "id"`);
+                if (section.label) checkLabel(where, section.label);
+                section.fields.forEach(field => {
+                    if (!fields.includes(field)) error(files.structure, `${where}: unknown field "${field}"`);
+                    else if (owner[field]) error(files.structure, `${where}: "${field}" already in ${owner[field]}`);
+                    else owner[field] = where;
+                });
+                if (section.visibleWhen !== undefined) checkConditionOf(files.structure, `${where}: visibleWhen`, section.visibleWhen);
+            });
+        }
+    }
+
+    // format: one known type for every structure field
+    if (data.format && fields) {
+        for (const field of fields) {
+            const entry = data.format[field];
+            if (!entry) {
+                error(files.format, `${field}: no format entry`);
+            } else if (!entry.format) {
+                error(files.format, `${field}: no "format" type`);
+            } else if (!isKnownFormat(entry.format)) {
+                error(files.format, `${field}: unknown format type "${entry.format}"`);
+            } else if (FieldTypes.get(entry.format).name === 'FE_Enum' && !FieldTypes.getOptions({ format: entry }, FieldTypes.get(entry.format)).length) {
+                error(files.format, `${field}: ${entry.format} without "options"`);
+            }
+            if (entry && entry.modify !== undefined && !['True', 'False'].includes(entry.modify)) {
+                warning(files.format, `${field}: "modify" should be "True" or "False", not "${entry.modify}"`);
+            }
+            for (const key of ['visibleWhen', 'requiredWhen']) {
+                if (entry && entry[key] !== undefined) checkConditionOf(files.format, `${field}: ${key}`, entry[key]);
+            }
+            if (entry && entry.valueWhenHidden !== undefined && !entry.visibleWhen) {
+                warning(files.format, `${field}: "valueWhenHidden" without "visibleWhen" (never used)`);
+            }
+        }
+        Object.keys(data.format)
+            .filter(field => !fields.includes(field))
+            .forEach(field => warning(files.format, `${field}: not in structure (ignored)`));
+    }
+
+    // mandatory: required/optional and rules reference existing fields
+    if (data.mandatory && fields) {
+        for (const list of ['required', 'optional']) {
+            const names = data.mandatory[list];
+            if (names === undefined) continue;
+            if (!Array.isArray(names)) {
+                error(files.mandatory, `"${list}" must be an array`);
+                continue;
+            }
+            names.filter(field => !fields.includes(field))
+                .forEach(field => error(files.mandatory, `${list}: unknown field "${field}"`));
+        }
+
+        const required = data.mandatory.required || [];
+        const optional = data.mandatory.optional || [];
+        if (Array.isArray(required) && Array.isArray(optional)) {
+            required.filter(field => optional.includes(field))
+                .forEach(field => warning(files.mandatory, `${field}: both required and optional`));
+        }
+
+        (Array.isArray(data.mandatory.rules) ? data.mandatory.rules : []).forEach((rule, index) => {
+            const where = `rules[${index}]`;
+            if (!RULE_TYPES.includes(rule.type)) {
+                error(files.mandatory, `${where}: unknown rule type "${rule.type}"`);
+                return;
+            }
+            ruleFields(rule).filter(field => !fields.includes(field))
+                .forEach(field => error(files.mandatory, `${where} (${rule.type}): unknown field "${field}"`));
+            if (rule.message && !Object.values(translations).some(lang => lang.direct.has(rule.message))) {
+                warning(files.mandatory, `${where} (${rule.type}): message "${rule.message}" has no translation`);
+            }
+        });
+    }
+
+    return issues;
+}
+
+function buildReport(options) {
+    const { json: manifest } = readJson('lang/manifest.json');
+    if (!manifest || !Array.isArray(manifest.languages)) {
+        throw new Error('lang/manifest.json has no "languages" list');
+    }
+
+    const root = path.join(ROOT, DATAENTRY);
+    const available = fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+    const unknown = options.folders.filter(folder => !available.includes(folder));
+    if (unknown.length) throw new Error(`Unknown dataentry folder: ${unknown.join(', ')}`);
+
+    const folders = options.folders.length ? options.folders : available;
+    const report = { fieldTypes: checkFieldTypes(), folders: {}, skipped: [], sets: 0, errors: 0, warnings: 0 };
+    report.errors += report.fieldTypes.length;
+
+    for (const name of folders) {
+        if (SKIPPED_FOLDERS.includes(name)) {
+            report.skipped.push(name);
+            continue;
+        }
+        const folder = `${DATAENTRY}/${name}`;
+        const translations = loadTranslations(manifest.languages, folder);
+        const sets = collectSets(folder);
+
+        report.folders[name] = {};
+        for (const [prefix, files] of Object.entries(sets)) {
+            const issues = checkSet(folder, prefix, files, translations);
+            report.folders[name][prefix] = issues;
+            report.sets++;
+            report.errors += issues.filter(issue => issue.level === 'error').length;
+            report.warnings += issues.filter(issue => issue.level === 'warning').length;
+        }
+    }
+
+    return report;
+}
+
+function printReport(report) {
+    console.log(`Dataentry descriptor report (${report.sets} sets)\n`);
+
+    if (report.fieldTypes.length) {
+        console.log(`== ${FIELD_TYPES_FILE} ==`);
+        report.fieldTypes.forEach(issue => console.log(`    ❌ ${issue.message}`));
+        console.log('');
+    }
+
+    for (const [folder, sets] of Object.entries(report.folders)) {
+        const prefixes = Object.keys(sets);
+        if (!prefixes.length) {
+            console.log(`== ${folder}/ ==\n  no descriptor sets\n`);
+            continue;
+        }
+        console.log(`== ${folder}/ ==`);
+        for (const prefix of prefixes) {
+            const issues = sets[prefix];
+            if (!issues.length) {
+                console.log(`  ✓ ${prefix}`);
+                continue;
+            }
+            console.log(`  ${prefix}`);
+            for (const issue of issues) {
+                const mark = issue.level === 'error' ? '❌' : '⚠️ ';
+                console.log(`    ${mark} ${path.basename(issue.file)}: ${issue.message}`);
+            }
+        }
+        console.log('');
+    }
+
+    if (report.skipped.length) {
+        console.log(`Skipped (not read by DataEntryManager): ${report.skipped.join(', ')}\n`);
+    }
+    console.log(`${report.errors} error(s), ${report.warnings} warning(s)`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log('Usage: node tools/check-dataentry.js [--folder trade] [--json] [--strict]');
+        return;
+    }
+
+    let report;
+    try {
+        report = buildReport(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (options.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+
+    if (report.errors || (options.strict && report.warnings)) process.exit(1);
+}
+
+main();
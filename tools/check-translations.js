@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+// Translation completeness checker ver 1.0
+//
+// Compares every language declared in lang/manifest.json against the reference
+// language for each translation source loaded by TranslationManager, and lists
+// keys used by the pages that exist in no bundle.
+//
+// Usage:
+//   node tools/check-translations.js [--reference it_IT] [--lang de_DE] [--json] [--strict]
+//
+//   --reference  language the others are compared to (default it_IT)
+//   --lang       only report this language (repeatable)
+//   --json       machine-readable output
+//   --strict     exit with code 1 if anything is missing
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Same folders as TranslationManager.SOURCES (js/translations.js)
+const SOURCES = ['lang', 'event', 'dataentry/instrument'];
+
+// Key families used in the bundles; a string literal starting with one of these is a translation key
+const KEY_PREFIXES = ['int', 'dom', 'eve', 'ins', 'sel', 'cube', 'acc', 'img'];
+
+// Files whose values reference translation keys besides HTML/JS
+const JSON_REFERENCES = ['menu.json', 'event/manifest.json', 'dataentry/instrument/manifest.json'];
+
+// Fields of the currency/<lang>.json objects, not translation keys
+const IGNORED_KEYS = ['img.currency.flag'];
+
+const LANG_FILE = /^[a-z]{2}_[A-Z]{2}\.json$/;
+
+function parseArgs(argv) {
+    const options = { reference: 'it_IT', langs: [], json: false, strict: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--reference') options.reference = argv[++i];
+        else if (arg === '--lang') options.langs.push(argv[++i]);
+        else if (arg === '--json') options.json = true;
+        else if (arg === '--strict') options.strict = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown option: ${arg}`);
+    }
+    return options;
+}
+
+function readJson(relativePath) {
+    const file = path.join(ROOT, relativePath);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${relativePath}: ${error.message}`);
+    }
+}
+
+function listLanguageFiles(source) {
+    const dir = path.join(ROOT, source);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(name => LANG_FILE.test(name)).map(name => name.replace('.json', ''));
+}
+
+/**
+ * Diffs one language file against the reference file of the same source.
+ */
+function compareBundle(reference, bundle) {
+    const referenceKeys = Object.keys(reference);
+    if (!bundle) {
+        return { exists: false, total: referenceKeys.length, translated: 0, missing: referenceKeys, empty: [], extra: [] };
+    }
+
+    const missing = referenceKeys.filter(key => !(key in bundle));
+    const empty = referenceKeys.filter(key => key in bundle && String(bundle[key]).trim() === '');
+    const extra = Object.keys(bundle).filter(key => !(key in reference));
+
+    return {
+        exists: true,
+        total: referenceKeys.length,
+        translated: referenceKeys.length - missing.length - empty.length,
+        missing,
+        empty,
+        extra
+    };
+}
+
+function walk(dir, filter, result = []) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules' || entry.name === 'tmp') continue;
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) walk(full, filter, result);
+        else if (filter(entry.name)) result.push(full);
+    }
+    return result;
+}
+
+/**
+ * Collects translation keys referenced by pages and scripts:
+ *  - getTranslation('key') with any key
+ *  - string literals starting with a known prefix ('dom.sector:SEC01', "eve.FI-BB")
+ *  - dynamic keys ('dom.sector:' + x, `dom.code_market:${mkt}`) recorded as prefixes
+ */
+function collectReferences() {
+    const keys = new Map();
+    const prefixes = new Map();
+    const add = (map, key, where) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(where);
+    };
+
+    const family = KEY_PREFIXES.join('|');
+    const patterns = [
+        { regex: /getTranslation\(\s*(['"])([^'"\n]+)\1\s*[,)]/g, group: 2 },
+        { regex: new RegExp(`(['"\`])((?:${family})\\.[^'"\`\\s$]+)\\1`, 'g'), group: 2 }
+    ];
+    const dynamicPatterns = [
+        new RegExp(`(['"])((?:${family})\\.[^'"\\s]*[:.])\\1\\s*\\+`, 'g'),
+        new RegExp(`\`((?:${family})\\.[^\`\\s$]*)\\$\\{`, 'g')
+    ];
+
+    const files = walk(ROOT, name => /\.(html|js)$/.test(name))
+        .filter(file => !file.startsWith(path.join(ROOT, 'tools') + path.sep));
+
+    for (const file of files) {
+        const relative = path.relative(ROOT, file);
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        lines.forEach((line, index) => {
+            const where = `${relative}:${index + 1}`;
+            for (const { regex, group } of patterns) {
+                for (const match of line.matchAll(regex)) {
+                    const key = match[group];
+                    // 'dom.sector:' is a prefix, handled below
+                    if (/[:.]$/.test(key)) continue;
+                    add(keys, key, where);
+                }
+            }
+            for (const regex of dynamicPatterns) {
+                for (const match of line.matchAll(regex)) {
+                    const prefix = match[match.length - 1];
+                    if (prefix) add(prefixes, prefix, where);
+                }
+            }
+        });
+    }
+
+    const keyPattern = new RegExp(`^(?:${family})\\.`);
+    const collectJsonValues = (value, where) => {
+        if (typeof value === 'string') {
+            if (keyPattern.test(value)) add(keys, value, where);
+        } else if (Array.isArray(value)) {
+            value.forEach(item => collectJsonValues(item, where));
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => collectJsonValues(item, where));
+        }
+    };
+    for (const relative of JSON_REFERENCES) {
+        const json = readJson(relative);
+        if (json) collectJsonValues(json, relative);
+    }
+
+    return { keys, prefixes };
+}
+
+function buildReport(options) {
+    const manifest = readJson('lang/manifest.json');
+    if (!manifest || !Array.isArray(manifest.languages)) {
+        throw new Error('lang/manifest.json has no "languages" list');
+    }
+
+    const declared = manifest.languages;
+    const languages = (options.langs.length ? options.langs : declared).filter(lang => lang !== options.reference);
+
+    const sources = {};
+    const allKeys = new Set();
+
+    for (const source of SOURCES) {
+        const reference = readJson(`${source}/${options.reference}.json`);
+        if (!reference) throw new Error(`Reference file ${source}/${options.reference}.json not found`);
+
+        const files = listLanguageFiles(source);
+        files.forEach(lang => Object.keys(readJson(`${source}/${lang}.json`) || {}).forEach(key => allKeys.add(key)));
+
+        sources[source] = {
+            referenceKeys: Object.keys(reference).length,
+            languages: {},
+            undeclared: files.filter(lang => !declared.includes(lang) && lang !== options.reference)
+        };
+        for (const lang of languages) {
+            sources[source].languages[lang] = compareBundle(reference, readJson(`${source}/${lang}.json`));
+        }
+    }
+
+    const { keys, prefixes } = collectReferences();
+    const unknownKeys = [...keys.entries()]
+        .filter(([key]) => !allKeys.has(key) && !IGNORED_KEYS.includes(key))
+        .map(([key, where]) => ({ key, where }))
+        .sort((a, b) => a.key.localeCompare(b.key));
+    const unknownPrefixes = [...prefixes.entries()]
+        .filter(([prefix]) => ![...allKeys].some(key => key.startsWith(prefix) && key.length > prefix.length))
+        .map(([prefix, where]) => ({ prefix, where }))
+        .sort((a, b) => a.prefix.localeCompare(b.prefix));
+
+    const coverage = {};
+    for (const lang of languages) {
+        let total = 0;
+        let translated = 0;
+        for (const source of SOURCES) {
+            total += sources[source].languages[lang].total;
+            translated += sources[source].languages[lang].translated;
+        }
+        coverage[lang] = total ? Math.round((translated / total) * 1000) / 10 : 100;
+    }
+
+    return {
+        reference: options.reference,
+        languages,
+        coverage,
+        sources,
+        referencedKeys: keys.size,
+        unknownKeys,
+        unknownPrefixes
+    };
+}
+
+function hasProblems(report) {
+    if (report.unknownKeys.length || report.unknownPrefixes.length) return true;
+    return Object.values(report.sources).some(source =>
+        Object.values(source.languages).some(result => result.missing.length || result.empty.length));
+}
+
+function printReport(report) {
+    const pad = (value, width) => String(value).padEnd(width);
+    const padLeft = (value, width) => String(value).padStart(width);
+
+    console.log(`Translation coverage report (reference: ${report.reference})\n`);
+
+    console.log(`${pad('Language', 10)}${padLeft('Coverage', 10)}`);
+    for (const lang of report.languages) {
+        console.log(`${pad(lang, 10)}${padLeft(report.coverage[lang].toFixed(1) + '%', 10)}`);
+    }
+
+    for (const [source, data] of Object.entries(report.sources)) {
+        console.log(`\n== ${source}/ (${data.referenceKeys} keys) ==`);
+        console.log(`${pad('Language', 10)}${padLeft('Missing', 9)}${padLeft('Empty', 7)}${padLeft('Extra', 7)}`);
+        for (const [lang, result] of Object.entries(data.languages)) {
+            if (!result.exists) {
+                console.log(`${pad(lang, 10)}  file ${source}/${lang}.json not found`);
+                continue;
+            }
+            console.log(`${pad(lang, 10)}${padLeft(result.missing.length, 9)}${padLeft(result.empty.length, 7)}${padLeft(result.extra.length, 7)}`);
+        }
+
+        for (const [lang, result] of Object.entries(data.languages)) {
+            if (!result.exists) continue;
+            if (result.missing.length) console.log(`\n  ${lang} missing:\n    ${result.missing.join('\n    ')}`);
+            if (result.empty.length) console.log(`\n  ${lang} empty:\n    ${result.empty.join('\n    ')}`);
+            if (result.extra.length) console.log(`\n  ${lang} not in ${report.reference} (obsolete?):\n    ${result.extra.join('\n    ')}`);
+        }
+
+        if (data.undeclared.length) {
+            console.log(`\n  Files not declared in lang/manifest.json: ${data.undeclared.join(', ')}`);
+        }
+    }
+
+    console.log(`\n== Keys used in pages (${report.referencedKeys}) ==`);
+    if (!report.unknownKeys.length && !report.unknownPrefixes.length) {
+        console.log('All referenced keys exist in at least one bundle.');
+    }
+    if (report.unknownKeys.length) {
+        console.log(`Keys present in no bundle (${report.unknownKeys.length}):`);
+        report.unknownKeys.forEach(({ key, where }) => {
+            const more = where.length > 1 ? ` (+${where.length - 1})` : '';
+            console.log(`  ${pad(key, 45)} ${where[0]}${more}`);
+        });
+    }
+    if (report.unknownPrefixes.length) {
+        console.log(`Dynamic key prefixes with no matching key (${report.unknownPrefixes.length}):`);
+        report.unknownPrefixes.forEach(({ prefix, where }) => console.log(`  ${pad(prefix + '*', 45)} ${where[0]}`));
+    }
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log('Usage: node tools/check-translations.js [--reference it_IT] [--lang de_DE] [--json] [--strict]');
+        return;
+    }
+
+    let report;
+    try {
+        report = buildReport(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (options.json) console.log(JSON.stringify(report, null, 2));
+    else printReport(report);
+
+    if (options.strict && hasProblems(report)) process.exit(1);
+}
+
+main();